@@ -1,15 +1,26 @@
 // Clinical Guidance Monitor — Data Client (GitHub Pages version)
 // ═══════════════════════════════════════════════════════════════
 // Reads data directly from JSON files in the /data/ folder.
-// No API server needed — everything runs client-side.
+// No API server needed — everything runs client-side, unless index.html names
+// one (see "API server" at the end).
 
 // Cache loaded data to avoid repeated fetches within the same session
 let _guidance = null;
 let _changes = null;
 let _config = null;
+let _history = null;
+let _drugs = null;
+let _filtered = null;
+let _searchIndex = null;
 let _lastFetch = 0;
 const CACHE_TTL = 5 * 60 * 1000; // Refresh data every 5 minutes
 
+// The API server (scripts/api-server.js) in <meta name="cgm-api-url">, '' when
+// the dashboard reads the JSON files itself. The server fills it in when it
+// serves the dashboard; it runs this file too, with no document.
+const API_URL = (typeof document !== 'undefined'
+  && document.querySelector('meta[name="cgm-api-url"]')?.content || '').replace(/\/+$/, '');
+
 // ── Load all data files ────────────────────────────────────────────────────────
 
 async function loadData(force = false) {
@@ -25,12 +36,268 @@ async function loadData(force = false) {
   _guidance = guidanceRes.ok ? await guidanceRes.json() : {};
   _changes = changesRes.ok ? await changesRes.json() : {};
   _config = configRes.ok ? await configRes.json() : {};
+  _history = null;
+  _filtered = null;
+  _searchIndex = null;
   _lastFetch = now;
+  await pullSync();
+}
+
+// Content history is only needed for diffs, so it's loaded on first use
+async function loadHistory() {
+  await loadData();
+  if (_history) return;
+  const res = await fetch('data/history.json');
+  _history = res.ok ? await res.json() : {};
+}
+
+// Items the relevance rules excluded are only needed for the Filtered out tab
+// and for items promoted from it
+async function loadFiltered() {
+  await loadData();
+  if (_filtered) return _filtered;
+  const res = await fetch('data/filtered.json');
+  _filtered = res.ok ? await res.json() : {};
+  return _filtered;
+}
+
+// The pollers write a search index alongside guidance.json (see js/search.js).
+// If it's missing, from an older format or behind guidance.json, it's rebuilt
+// here from the loaded items.
+async function loadSearchIndex() {
+  await loadData();
+  if (_searchIndex) return _searchIndex;
+
+  const res = await fetch('data/search-index.json');
+  const index = res.ok ? await res.json() : null;
+  const indexed = new Set(index?.docs || []);
+  const current = index?.version === Search.INDEX_VERSION
+    && index.docs.length === Object.keys(_guidance).length
+    && Object.keys(_guidance).every(id => indexed.has(id));
+
+  _searchIndex = current ? index : Search.buildIndex(Object.values(_guidance));
+  return _searchIndex;
+}
+
+// The drug list (class labels and members) is only needed for the medicines
+// facet, search and the modal's mentions section
+async function loadDrugs() {
+  if (_drugs) return _drugs;
+  const res = await fetch('data/drugs.json');
+  _drugs = res.ok ? await res.json() : { classes: {}, aliases: {}, medicines: [] };
+  return _drugs;
+}
+
+// Changes recorded before guidanceId was stored share the URL hash with the item
+function guidanceIdForChange(change) {
+  return change.guidanceId || `content:${change.id.split(':').pop()}`;
+}
+
+// ── Search operators ──────────────────────────────────────────────────────────
+// Filtering and excerpts for Api.search; the query syntax is parsed by
+// Search.parseQuery in js/search.js
+
+// Up to 200 characters of text around the first highlighted word
+function searchExcerpt(text, pattern) {
+  if (!text || !pattern) return '';
+  pattern.lastIndex = 0;
+  const found = pattern.exec(text);
+  if (!found) return '';
+  const start = Math.max(0, found.index - 100);
+  const end = Math.min(text.length, found.index + found[0].length + 100);
+  return (start > 0 ? '...' : '') + text.substring(start, end) + (end < text.length ? '...' : '');
+}
+
+// Detection dates of each item's recorded changes, new and updated
+function changeDatesByItem() {
+  const dates = {};
+  for (const change of Object.values(_changes)) {
+    (dates[guidanceIdForChange(change)] = dates[guidanceIdForChange(change)] || []).push(change.detectedAt);
+  }
+  return dates;
+}
+
+// Unread changes per item, as the unread count counts them
+function unreadByItem() {
+  const acknowledged = getAcknowledged();
+  const counts = {};
+  for (const change of Object.values(_changes)) {
+    if (change.minor || change.acknowledged || acknowledged[change.id]) continue;
+    const id = guidanceIdForChange(change);
+    counts[id] = (counts[id] || 0) + 1;
+  }
+  return counts;
+}
+
+function matchesQueryFilters(item, filters, changedDates) {
+  const { source, type, published, changed } = filters;
+  if (source.include.length && !source.include.includes(item.source)) return false;
+  if (source.exclude.includes(item.source)) return false;
+  if (type.include.length && !type.include.includes(item.type)) return false;
+  if (type.exclude.includes(item.type)) return false;
+  if (!published.every(range => Search.inDateRange(item.publishedDate || item.fetchedDate, range))) return false;
+  return changed.every(range => {
+    const dates = changedDates?.[item.id] || [];
+    return range.negated
+      ? dates.every(date => Search.inDateRange(date, range))
+      : dates.some(date => Search.inDateRange(date, range));
+  });
+}
+
+// Quoted phrases in order, and no excluded phrase, in the right field
+function matchesPhrases(item, parsed) {
+  const fields = Search.itemFields(item);
+  const contains = ({ stems, field }) => Search.containsPhrase(fields.title, stems)
+    || (!field && Search.containsPhrase(fields.body, stems));
+  return parsed.phrases.every(contains)
+    && !parsed.exclusions.filter(e => e.stems.length > 1).some(contains);
+}
+
+// ── Date range and sort order ─────────────────────────────────────────────────
+// The dashboard's date range (`from` / `to`, inclusive ISO days, either may be
+// empty) matches guidance published or changed within it, and changes detected
+// within it. `sort` is published, fetched or changed (newest first), title or
+// source; without one, lists keep their own order: newest published first,
+// best match first for searches, newest detected first for changes.
+
+// The picked days as a Search.inDateRange range (to exclusive), or null
+function pickedRange(from, to) {
+  if (!from && !to) return null;
+  return { from: from || null, to: to ? Search.parseDateRange(to)?.to || null : null };
+}
+
+function matchesDateRange(item, range, changedDates) {
+  if (!range) return true;
+  return Search.inDateRange(item.publishedDate || item.fetchedDate, range)
+    || (changedDates[item.id] || []).some(date => Search.inDateRange(date, range));
+}
+
+function latestDate(dates) {
+  return (dates || []).reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+}
+
+function sourceName(id) {
+  return _config.sources?.[id]?.name || id || '';
+}
+
+// Comparator for `sort`. `dates` reads an entry's published, fetched and last
+// changed dates, so guidance and change records sort the same way.
+function sortComparator(sort, dates) {
+  const time = value => new Date(value).getTime() || 0;
+  const newest = field => (a, b) => time(dates[field](b)) - time(dates[field](a));
+  switch (sort) {
+    case 'fetched': return newest('fetched');
+    case 'changed': return newest('changed');
+    case 'title': return (a, b) => (a.title || '').localeCompare(b.title || '');
+    case 'source': return (a, b) => sourceName(a.source).localeCompare(sourceName(b.source)) || newest('published')(a, b);
+    default: return newest('published');
+  }
+}
+
+function itemDates(changedDates) {
+  return {
+    published: item => item.publishedDate || item.fetchedDate,
+    fetched: item => item.fetchedDate,
+    changed: item => latestDate(changedDates[item.id]) || item.fetchedDate
+  };
+}
+
+// A change was fetched when it was detected; its published date is its item's
+const CHANGE_DATES = {
+  published: change => _guidance[guidanceIdForChange(change)]?.publishedDate || change.detectedAt,
+  fetched: change => change.detectedAt,
+  changed: change => change.detectedAt
+};
+
+// ── NICE metadata filters ─────────────────────────────────────────────────────
+// NICE items carry metadata.nice (code, guidanceType, published, lastUpdated).
+// `updatedWithin` is a number of days: only guidance NICE last updated within
+// that window matches.
+
+function matchesNiceFilters(item, { guidanceType = 'all', updatedWithin = 'all' } = {}) {
+  const nice = item.metadata?.nice;
+  if (guidanceType !== 'all' && nice?.guidanceType !== guidanceType) return false;
+  if (updatedWithin !== 'all') {
+    const since = Date.now() - Number(updatedWithin) * 86_400_000;
+    if (!nice?.lastUpdated || new Date(nice.lastUpdated) < since) return false;
+  }
+  return true;
+}
+
+// Clinical topics are tagged by the pollers (scripts/lib/topics.js)
+function matchesTopic(item, topic = 'all') {
+  return topic === 'all' || !!item.topics?.includes(topic);
+}
+
+// ── Medicine mentions ─────────────────────────────────────────────────────────
+// The pollers record item.medicines = { drugs, classes } from data/drugs.json
+// (scripts/lib/medicines.js). Filter values are "class:<id>" or "drug:<name>".
+
+function matchesMedicine(item, medicine = 'all') {
+  if (medicine === 'all') return true;
+  const [kind, value] = medicine.split(/:(.*)/);
+  const found = kind === 'class' ? item.medicines?.classes : item.medicines?.drugs;
+  return !!found?.includes(value);
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive match for any of the names (as the pollers match them)
+function namesPattern(names) {
+  return new RegExp(`(?<![\\w-])(?:${names.map(n => escapeRegExp(n).replace(/\s+/g, '\\s+')).join('|')})(?![\\w-])`, 'i');
+}
+
+function drugAliases(list, drug) {
+  return [drug, ...(list.aliases?.[drug] || [])];
+}
+
+function listedDrugs(list) {
+  return [...new Set([...Object.values(list.classes || {}).flatMap(c => c.drugs || []), ...(list.medicines || [])])];
+}
+
+// Classes and drugs a search query names exactly, e.g. "SGLT2 inhibitors" or "Eliquis"
+function medicinesForQuery(list, q) {
+  return {
+    classes: Object.entries(list.classes || {})
+      .filter(([, c]) => [c.label, ...(c.synonyms || [])].some(name => name.toLowerCase() === q))
+      .map(([id]) => id),
+    drugs: listedDrugs(list).filter(drug => drugAliases(list, drug).some(name => name.toLowerCase() === q))
+  };
+}
+
+// Names under which an item mentions what the query named: the drugs
+// themselves, members of the named classes, and the classes' own names
+function queriedMentionNames(list, named, item) {
+  const memberOf = drug => named.classes.some(id => list.classes[id].drugs?.includes(drug));
+  const drugs = (item.medicines?.drugs || []).filter(drug => named.drugs.includes(drug) || memberOf(drug));
+  const classes = named.classes.filter(id => item.medicines?.classes?.includes(id));
+  return [
+    ...drugs.flatMap(drug => drugAliases(list, drug)),
+    ...classes.flatMap(id => [list.classes[id].label, ...(list.classes[id].synonyms || [])])
+  ];
+}
+
+// The sentence-ish stretch of text around the first mention of any name
+function mentionSnippet(text, names) {
+  const match = (text || '').match(namesPattern(names));
+  if (!match) return '';
+  const start = Math.max(0, match.index - 80);
+  const end = Math.min(text.length, match.index + match[0].length + 80);
+  return (start > 0 ? '...' : '') + text.substring(start, end).replace(/\s+/g, ' ') + (end < text.length ? '...' : '');
+}
+
+function niceSummary(item) {
+  const nice = item.metadata?.nice;
+  return nice ? { code: nice.code, guidanceType: nice.guidanceType, lastUpdated: nice.lastUpdated } : null;
 }
 
 // ── Acknowledged changes (stored in browser localStorage) ─────────────────────
 // Since this is a static site, we can't write back to files from the browser.
-// Instead, "Mark as read" is tracked locally in the browser.
+// Instead, "Mark as read" is tracked locally in the browser, as { at, by } per
+// change (older marks are just `true`), and shared through the sync server
+// when there is one (see below).
 
 function getAcknowledged() {
   try {
@@ -44,6 +311,56 @@ function setAcknowledged(data) {
   localStorage.setItem('cgm-acknowledged', JSON.stringify(data));
 }
 
+// ── Change reviews (stored in browser localStorage) ───────────────────────────
+// Clinical review of each change: who owns it, its status, a note on what was
+// done locally and a due date. A change nobody has reviewed is "to review".
+
+const REVIEW_STATUSES = {
+  to_review: 'To review',
+  actioned: 'Actioned',
+  not_relevant: 'Not relevant'
+};
+
+// Reviews due within this many days count as due soon in the report
+const REVIEW_DUE_SOON_DAYS = 7;
+
+function getReviews() {
+  try { return JSON.parse(localStorage.getItem('cgm-reviews') || '{}'); }
+  catch { return {}; }
+}
+
+function setReviews(data) {
+  localStorage.setItem('cgm-reviews', JSON.stringify(data));
+}
+
+function reviewOf(reviews, id) {
+  return { status: 'to_review', assignee: '', note: '', dueDate: '', updated: null, updatedBy: '', ...reviews[id] };
+}
+
+// `status` is all, outstanding (to review), overdue or a REVIEW_STATUSES key;
+// `assignee` is all, unassigned or a name
+function matchesReviewFilters(change, { status, assignee }, today) {
+  const review = change.review;
+  if (status === 'overdue' && !(review.status === 'to_review' && review.dueDate && review.dueDate < today)) return false;
+  if (status === 'outstanding' && review.status !== 'to_review') return false;
+  if (REVIEW_STATUSES[status] && review.status !== status) return false;
+  if (assignee === 'unassigned') return !review.assignee;
+  return assignee === 'all' || review.assignee === assignee;
+}
+
+// Today as an ISO day in the browser's time zone
+function localDay(date = new Date()) {
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+}
+
+// Changes with their `review`, counted by status then filtered
+function filterByReview(items, { status, assignee }) {
+  const reviewCounts = Object.fromEntries(Object.keys(REVIEW_STATUSES).map(key => [key, 0]));
+  for (const item of items) reviewCounts[item.review.status]++;
+  const today = localDay();
+  return { items: items.filter(i => matchesReviewFilters(i, { status, assignee }, today)), reviewCounts };
+}
+
 // ── Saved items (stored in browser localStorage) ───────────────────────────────
 
 function getSavedIds() {
@@ -55,52 +372,309 @@ function setSavedIds(data) {
   localStorage.setItem('cgm-saved', JSON.stringify(data));
 }
 
+// ── Profiles (stored in browser localStorage) ─────────────────────────────────
+// Each person using this browser can keep a profile of the sources, topics and
+// keywords they follow. The active profile's subscriptions ({ sources, topics,
+// keywords }) pick what My feed shows and what the unread count counts. An
+// item matches when it comes from one of the sources, is tagged with one of
+// the topics or mentions one of the keywords; with none, everything matches.
+
+function getProfiles() {
+  try {
+    return { active: '', profiles: {}, ...JSON.parse(localStorage.getItem('cgm-profiles') || '{}') };
+  } catch {
+    return { active: '', profiles: {} };
+  }
+}
+
+function setProfiles(data) {
+  localStorage.setItem('cgm-profiles', JSON.stringify(data));
+}
+
+function hasSubscriptions(subscriptions) {
+  return ['sources', 'topics', 'keywords'].some(key => subscriptions?.[key]?.length > 0);
+}
+
+// A test for guidance items, or null when everything matches
+function subscriptionMatcher(subscriptions) {
+  if (!hasSubscriptions(subscriptions)) return null;
+  const { sources = [], topics = [], keywords = [] } = subscriptions;
+  const pattern = keywords.length ? namesPattern(keywords) : null;
+  return item => sources.includes(item.source)
+    || (item.topics || []).some(topic => topics.includes(topic))
+    || (!!pattern && pattern.test(`${item.title || ''}\n${item.metadata?.description || ''}\n${item.content || ''}`));
+}
+
+// Changes match through their item; one whose item has gone, on its own fields
+function changeItem(change) {
+  return _guidance[guidanceIdForChange(change)] || change;
+}
+
+// ── Sync backend (optional) ───────────────────────────────────────────────────
+// With a sync server (scripts/sync-server.js) named in config.json → sync.url,
+// or set up from the Sync panel, read marks and reviews are shared by the whole
+// team and saved items follow each person between browsers. Every change is
+// still written to localStorage first and then queued for the server, so the
+// site works the same while the server can't be reached; the queue is sent
+// when it's back. Whenever the data files are reloaded, the server's state
+// replaces the local copy.
+
+const SYNC_TIMEOUT_MS = 4000;
+// After a failed request the server isn't tried again for this long
+const SYNC_RETRY_MS = 60 * 1000;
+
+const _sync = { status: 'off', error: '', lastSynced: null, retryAt: 0, flushing: null };
+
+function getSyncSettings() {
+  try { return JSON.parse(localStorage.getItem('cgm-sync') || '{}'); }
+  catch { return {}; }
+}
+
+function setSyncSettings(data) {
+  localStorage.setItem('cgm-sync', JSON.stringify(data));
+}
+
+function getSyncQueue() {
+  try { return JSON.parse(localStorage.getItem('cgm-sync-queue') || '[]'); }
+  catch { return []; }
+}
+
+function setSyncQueue(data) {
+  localStorage.setItem('cgm-sync-queue', JSON.stringify(data));
+}
+
+// The server set up in this browser, else the site's; '' when there is none
+function syncUrl() {
+  return (getSyncSettings().url || _config?.sync?.url || '').replace(/\/+$/, '');
+}
+
+async function syncRequest(method, route, body, settings = getSyncSettings()) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.token) headers.Authorization = `Bearer ${settings.token}`;
+  if (settings.user?.id) headers['X-User-Id'] = settings.user.id;
+
+  const res = await fetch(`${settings.url || syncUrl()}${route}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(SYNC_TIMEOUT_MS)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || `Sync server answered ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+function syncFailed(err) {
+  _sync.status = 'offline';
+  _sync.error = err.name === 'TimeoutError' ? 'the server did not answer'
+    : err.status ? err.message : 'the server could not be reached';
+  _sync.retryAt = Date.now() + SYNC_RETRY_MS;
+}
+
+// Queues a request for the server and starts sending the queue
+function queueSync(method, route, body) {
+  if (!syncUrl() || !getSyncSettings().user) return;
+  setSyncQueue([...getSyncQueue(), { method, route, body }]);
+  flushSync();
+}
+
+// Sends queued requests in order, one flush at a time. A request the server
+// rejects (4xx) is dropped; anything else leaves the rest for later.
+function flushSync() {
+  if (!_sync.flushing) {
+    _sync.flushing = (async () => {
+      let queue = getSyncQueue();
+      while (queue.length) {
+        const [next] = queue;
+        try {
+          await syncRequest(next.method, next.route, next.body);
+        } catch (err) {
+          if (!(err.status >= 400 && err.status < 500)) {
+            syncFailed(err);
+            return false;
+          }
+          console.warn(`Sync request dropped: ${next.method} ${next.route} — ${err.message}`);
+        }
+        queue = getSyncQueue().slice(1);
+        setSyncQueue(queue);
+      }
+      return true;
+    })().finally(() => { _sync.flushing = null; });
+  }
+  return _sync.flushing;
+}
+
+// Sends anything queued, then takes the server's state as the local copy
+async function pullSync({ force = false } = {}) {
+  const settings = getSyncSettings();
+  if (!syncUrl() || !settings.user) {
+    _sync.status = 'off';
+    return;
+  }
+  if (!force && _sync.status === 'offline' && Date.now() < _sync.retryAt) return;
+
+  try {
+    if (!(await flushSync())) return;
+    const remote = await syncRequest('GET', '/sync/state');
+    if (getSyncQueue().length === 0) {
+      setAcknowledged(remote.acknowledged || {});
+      setReviews(remote.reviews || {});
+      setSavedIds(remote.saved || {});
+    }
+    setSyncSettings({ ...getSyncSettings(), user: remote.user });
+    _sync.status = 'online';
+    _sync.error = '';
+    _sync.lastSynced = new Date().toISOString();
+  } catch (err) {
+    syncFailed(err);
+  }
+}
+
+// Who made a change here, for read marks and reviews
+function syncUserName() {
+  return getSyncSettings().user?.name || '';
+}
+
+// ── Saved search queries (stored in browser localStorage) ─────────────────────
+
+function getSavedQueries() {
+  try { return JSON.parse(localStorage.getItem('cgm-saved-queries') || '[]'); }
+  catch { return []; }
+}
+
+function setSavedQueries(data) {
+  localStorage.setItem('cgm-saved-queries', JSON.stringify(data));
+}
+
+// ── Promoted items and rule suggestions (stored in browser localStorage) ──────
+// Promoting a filtered item shows it in this browser's feed straight away;
+// `node scripts/quarantine.js promote <key>` makes the pollers store it.
+// Rule suggestions are drafts to copy into a source's relevance rules.
+
+function getPromoted() {
+  try { return JSON.parse(localStorage.getItem('cgm-promoted') || '{}'); }
+  catch { return {}; }
+}
+
+function setPromoted(data) {
+  localStorage.setItem('cgm-promoted', JSON.stringify(data));
+}
+
+function getRuleSuggestions() {
+  try { return JSON.parse(localStorage.getItem('cgm-rule-suggestions') || '[]'); }
+  catch { return []; }
+}
+
+function setRuleSuggestions(data) {
+  localStorage.setItem('cgm-rule-suggestions', JSON.stringify(data));
+}
+
+const SUGGESTION_STOP_WORDS = new Set([
+  'about', 'after', 'and', 'for', 'from', 'into', 'new', 'now', 'our', 'the', 'their', 'this', 'update', 'updates',
+  'what', 'when', 'with', 'you', 'your'
+]);
+
+// A starting query for a rule matching an item: its first few distinctive title words
+function suggestRuleMatch(title) {
+  const words = (title || '').toLowerCase().match(/[a-z][a-z0-9'-]+/g) || [];
+  const picked = [...new Set(words.filter(word => word.length > 2 && !SUGGESTION_STOP_WORDS.has(word)))].slice(0, 3);
+  return picked.length ? picked.join(' ') : `"${(title || '').replace(/"/g, '')}"`;
+}
+
+function suggestionId(action, match) {
+  const slug = match.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+  return `${action === 'exclude' ? 'exclude-' : ''}${slug}`;
+}
+
+// A promoted filtered item in the shape of a guidance item
+function promotedItem(key, entry) {
+  return {
+    id: `filtered:${key}`,
+    url: entry.url,
+    title: entry.title,
+    source: entry.source,
+    type: 'article',
+    publishedDate: entry.publishedDate || null,
+    fetchedDate: entry.firstExcluded,
+    content: entry.description || '',
+    metadata: { description: entry.description || '' },
+    topics: [],
+    relevance: entry.relevance,
+    promoted: true
+  };
+}
+
 // ── API object (same interface as the Cloudflare version) ──────────────────────
 
 const Api = {
 
-  // GET /stats
-  async getStats() {
+  // GET /stats — `unreadChanges` counts only changes the subscriptions match
+  async getStats({ subscriptions = null } = {}) {
     await loadData();
     const acknowledged = getAcknowledged();
+    const matches = subscriptionMatcher(subscriptions);
 
-    const counts = { nice: 0, ncl: 0, nhs: 0, artp: 0, total: 0 };
+    const counts = { total: 0 };
+    const topicCounts = {};
+    for (const id of Object.keys(_config.sources || {})) counts[id] = 0;
+    for (const id of Object.keys(_config.topics || {})) topicCounts[id] = 0;
     for (const item of Object.values(_guidance)) {
       if (item.source) {
         counts[item.source] = (counts[item.source] || 0) + 1;
         counts.total++;
       }
+      for (const topic of item.topics || []) topicCounts[topic] = (topicCounts[topic] || 0) + 1;
     }
 
     let unreadChanges = 0;
     let totalChanges = 0;
     for (const change of Object.values(_changes)) {
       totalChanges++;
-      if (!change.acknowledged && !acknowledged[change.id]) unreadChanges++;
+      // Minor updates are recorded but never count as unread
+      if (change.minor || change.acknowledged || acknowledged[change.id]) continue;
+      if (!matches || matches(changeItem(change))) unreadChanges++;
     }
 
     return {
       guidanceCount: counts,
+      topicCounts,
       totalChanges,
       unreadChanges,
+      subscribed: !!matches,
       lastUpdate: _config.lastRunStats || {},
-      sources: _config.sources || {}
+      sources: _config.sources || {},
+      topics: _config.topics || {}
     };
   },
 
-  // GET /guidance
-  async getGuidance({ source = 'all', limit = 20, offset = 0 } = {}) {
+  // GET /guidance — `subscriptions` narrows the list to what they match (My feed)
+  async getGuidance({
+    source = 'all', topic = 'all', medicine = 'all', guidanceType = 'all', updatedWithin = 'all',
+    from = '', to = '', sort = 'published', subscriptions = null, limit = 20, offset = 0
+  } = {}) {
     await loadData();
 
     let items = Object.values(_guidance);
+    const promoted = getPromoted();
+    if (Object.keys(promoted).length > 0) {
+      const filtered = await loadFiltered();
+      items = items.concat(Object.keys(promoted).filter(key => filtered[key]).map(key => promotedItem(key, filtered[key])));
+    }
     if (source !== 'all') items = items.filter(i => i.source === source);
+    items = items.filter(i => matchesTopic(i, topic) && matchesMedicine(i, medicine));
+    items = items.filter(i => matchesNiceFilters(i, { guidanceType, updatedWithin }));
+    const matches = subscriptionMatcher(subscriptions);
+    if (matches) items = items.filter(matches);
 
-    // Sort newest first by publication date, falling back to fetch date
-    items.sort((a, b) => {
-      const dateA = new Date(a.publishedDate || a.fetchedDate);
-      const dateB = new Date(b.publishedDate || b.fetchedDate);
-      return dateB - dateA;
-    });
+    const changedDates = changeDatesByItem();
+    const unread = unreadByItem();
+    const range = pickedRange(from, to);
+    items = items.filter(i => matchesDateRange(i, range, changedDates));
+    items.sort(sortComparator(sort, itemDates(changedDates)));
 
     // Map to summary format (exclude full content for list view)
     const mapped = items.map(item => ({
@@ -111,10 +685,15 @@ const Api = {
       type: item.type,
       publishedDate: item.publishedDate,
       fetchedDate: item.fetchedDate,
+      lastChanged: latestDate(changedDates[item.id]),
       excerpt: item.metadata?.description || item.content?.substring(0, 200) || '',
       wordCount: item.metadata?.wordCount || 0,
       estimatedReadTime: item.metadata?.estimatedReadTime || 0,
-      parentUrl: item.parentUrl
+      parentUrl: item.parentUrl,
+      topics: item.topics || [],
+      nice: niceSummary(item),
+      unreadChanges: unread[item.id] || 0,
+      promoted: !!item.promoted
     }));
 
     return {
@@ -128,52 +707,247 @@ const Api = {
   // GET /guidance/:id
   async getGuidanceById(id) {
     await loadData();
+    if (id.startsWith('filtered:')) {
+      const key = id.slice('filtered:'.length);
+      const entry = (await loadFiltered())[key];
+      return entry ? promotedItem(key, entry) : { error: 'Not found' };
+    }
     const item = _guidance[id];
     if (!item) return { error: 'Not found' };
-    return item;
+
+    const detail = { ...item, mentions: await Api.getMentions(item) };
+    if (!item.metadata?.nice) return detail;
+
+    // A guideline's update list lives on its Update information chapter
+    const updatesFrom = item.metadata.nice.updateInformation
+      ? item
+      : Object.values(_guidance).find(i => i.parentUrl === item.url && i.metadata?.nice?.updateInformation);
+    return { ...detail, updateInformation: updatesFrom?.metadata.nice.updateInformation || [] };
+  },
+
+  // Medicines an item mentions, grouped by class, each with where it appears
+  async getMentions(item) {
+    const list = await loadDrugs();
+    const { drugs = [], classes = [] } = item.medicines || {};
+    const text = item.content || '';
+
+    const mentions = drugs.map(drug => ({
+      drug,
+      snippet: mentionSnippet(text, drugAliases(list, drug))
+    }));
+    return {
+      drugs: mentions,
+      classes: classes.map(id => {
+        const drugClass = list.classes?.[id] || {};
+        return {
+          id,
+          label: drugClass.label || id,
+          drugs: drugs.filter(drug => drugClass.drugs?.includes(drug)),
+          snippet: mentionSnippet(text, [drugClass.label || id, ...(drugClass.synonyms || [])])
+        };
+      })
+    };
+  },
+
+  // GET /guidance/facets/nice — guidance types present, with counts
+  async getNiceFacets() {
+    await loadData();
+    const types = {};
+    for (const item of Object.values(_guidance)) {
+      const type = item.metadata?.nice?.guidanceType;
+      if (type) types[type] = (types[type] || 0) + 1;
+    }
+    return { guidanceTypes: types };
   },
 
-  // GET /changes
-  async getChanges({ limit = 50, offset = 0 } = {}) {
+  // GET /guidance/facets/medicines — classes and drugs mentioned, with counts
+  async getMedicineFacets() {
+    await loadData();
+    const list = await loadDrugs();
+    const classes = {};
+    const drugs = {};
+    for (const item of Object.values(_guidance)) {
+      for (const id of item.medicines?.classes || []) {
+        classes[id] = classes[id] || { label: list.classes?.[id]?.label || id, count: 0 };
+        classes[id].count++;
+      }
+      for (const drug of item.medicines?.drugs || []) drugs[drug] = (drugs[drug] || 0) + 1;
+    }
+    return { classes, drugs };
+  },
+
+  // GET /changes — `status` and `assignee` filter by review (see
+  // matchesReviewFilters); `reviewCounts` counts statuses within the date range.
+  // `unread` counts the changes `subscriptions` match, and with
+  // `subscribedOnly` the list holds only those.
+  async getChanges({
+    from = '', to = '', sort = 'changed', status = 'all', assignee = 'all',
+    subscriptions = null, subscribedOnly = false, limit = 50, offset = 0
+  } = {}) {
     await loadData();
     const acknowledged = getAcknowledged();
+    const reviews = getReviews();
 
     let items = Object.values(_changes).map(change => ({
       ...change,
       // Merge server-side acknowledged flag with local localStorage flag
-      acknowledged: change.acknowledged || !!acknowledged[change.id]
+      acknowledged: change.acknowledged || !!acknowledged[change.id],
+      readBy: acknowledged[change.id]?.by || '',
+      review: reviewOf(reviews, change.id)
     }));
 
-    items.sort((a, b) => new Date(b.detectedAt) - new Date(a.detectedAt));
+    // Unread counts every matching change, whatever the date range
+    const matches = subscriptionMatcher(subscriptions);
+    const subscribed = i => !matches || matches(changeItem(i));
+    const unread = items.filter(i => !i.acknowledged && !i.minor && subscribed(i)).length;
+    if (subscribedOnly) items = items.filter(subscribed);
 
-    const unread = items.filter(i => !i.acknowledged).length;
+    const range = pickedRange(from, to);
+    if (range) items = items.filter(i => Search.inDateRange(i.detectedAt, range));
+    items.sort(sortComparator(sort, CHANGE_DATES));
 
+    const reviewed = filterByReview(items, { status, assignee });
     return {
-      items: items.slice(offset, offset + limit),
-      total: items.length,
+      items: reviewed.items.slice(offset, offset + limit),
+      total: reviewed.items.length,
       unread,
+      subscribed: !!matches,
+      reviewCounts: reviewed.reviewCounts,
       limit,
       offset
     };
   },
 
-  // POST /changes/:id/acknowledge  (stored in localStorage)
+  reviewStatuses() {
+    return REVIEW_STATUSES;
+  },
+
+  // Everyone a change has been assigned to, for the assignee filter and picker
+  getAssignees() {
+    const names = Object.values(getReviews()).map(r => r.assignee).filter(Boolean);
+    return [...new Set(names)].sort((a, b) => a.localeCompare(b));
+  },
+
+  // PUT /changes/:id/review  (stored in localStorage, and shared through the
+  // sync server when there is one). Setting a status other than "to review"
+  // also marks the change read.
+  async updateReview(id, fields) {
+    await loadData();
+    if (!_changes[id]) return { error: 'Not found' };
+    if (fields.status !== undefined && !REVIEW_STATUSES[fields.status]) return { error: `Unknown status "${fields.status}"` };
+    if (fields.dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(fields.dueDate)) return { error: 'Due date must be YYYY-MM-DD' };
+
+    const reviews = getReviews();
+    const review = { ...reviewOf(reviews, id) };
+    for (const key of ['status', 'assignee', 'note', 'dueDate']) {
+      if (fields[key] !== undefined) review[key] = String(fields[key]).trim();
+    }
+    review.updated = new Date().toISOString();
+    review.updatedBy = syncUserName();
+    reviews[id] = review;
+    setReviews(reviews);
+    queueSync('PUT', `/sync/reviews/${encodeURIComponent(id)}`, review);
+
+    if (review.status !== 'to_review') {
+      const ack = getAcknowledged();
+      ack[id] = ack[id] || { at: review.updated, by: syncUserName() };
+      setAcknowledged(ack);
+    }
+    _lastFetch = 0;
+    return review;
+  },
+
+  // GET /reports/reviews — changes still to review, overdue first, then by due
+  // date and oldest detected, with totals overall and per assignee. Minor
+  // updates are left out unless someone has picked them up.
+  async getReviewReport() {
+    await loadData();
+    const reviews = getReviews();
+    const today = localDay();
+    const soon = localDay(new Date(Date.now() + REVIEW_DUE_SOON_DAYS * 24 * 60 * 60 * 1000));
+
+    const outstanding = Object.values(_changes)
+      .map(change => ({ ...change, review: reviewOf(reviews, change.id) }))
+      .filter(c => c.review.status === 'to_review' && (!c.minor || reviews[c.id]))
+      .map(c => ({
+        ...c,
+        overdue: !!c.review.dueDate && c.review.dueDate < today,
+        dueSoon: !!c.review.dueDate && c.review.dueDate >= today && c.review.dueDate <= soon
+      }))
+      .sort((a, b) => (b.overdue - a.overdue)
+        || (a.review.dueDate || '9999').localeCompare(b.review.dueDate || '9999')
+        || a.detectedAt.localeCompare(b.detectedAt));
+
+    const byAssignee = {};
+    for (const change of outstanding) {
+      const name = change.review.assignee || '';
+      const row = byAssignee[name] = byAssignee[name] || { outstanding: 0, overdue: 0, dueSoon: 0 };
+      row.outstanding++;
+      if (change.overdue) row.overdue++;
+      if (change.dueSoon) row.dueSoon++;
+    }
+
+    const statusCounts = Object.fromEntries(Object.keys(REVIEW_STATUSES).map(key => [key, 0]));
+    for (const change of Object.values(_changes)) statusCounts[reviewOf(reviews, change.id).status]++;
+
+    return {
+      generated: new Date().toISOString(),
+      items: outstanding,
+      totals: {
+        outstanding: outstanding.length,
+        overdue: outstanding.filter(c => c.overdue).length,
+        dueSoon: outstanding.filter(c => c.dueSoon).length,
+        unassigned: outstanding.filter(c => !c.review.assignee).length,
+        noDueDate: outstanding.filter(c => !c.review.dueDate).length
+      },
+      byAssignee,
+      statusCounts
+    };
+  },
+
+  // GET /guidance/:id/history
+  async getHistory(id) {
+    await loadHistory();
+    const revisions = _history[id] || [];
+    return { id, revisions, total: revisions.length };
+  },
+
+  // GET /changes/:id/diff
+  async getChangeDiff(changeId) {
+    await loadHistory();
+    const change = _changes[changeId];
+    if (!change) return { error: 'Not found' };
+
+    const revisions = _history[guidanceIdForChange(change)] || [];
+    const before = revisions.find(r => r.hash === change.previousHash);
+    const after = revisions.find(r => r.hash === change.newHash);
+    if (!before || !after) return { error: 'Revision not stored' };
+
+    return { before, after, ops: Diff.paragraphs(before.content, after.content) };
+  },
+
+  // POST /changes/:id/acknowledge  (stored in localStorage, and shared
+  // through the sync server when there is one)
   async acknowledgeChange(id) {
     const ack = getAcknowledged();
-    ack[id] = true;
+    ack[id] = ack[id] || { at: new Date().toISOString(), by: syncUserName() };
     setAcknowledged(ack);
+    queueSync('POST', '/sync/acknowledged', { ids: [id] });
     _lastFetch = 0; // Force refresh so counts update
     return { success: true };
   },
 
-  // POST /changes/acknowledge-all  (stored in localStorage)
+  // POST /changes/acknowledge-all  (as above)
   async acknowledgeAll() {
     await loadData();
     const ack = getAcknowledged();
-    for (const id of Object.keys(_changes)) {
-      ack[id] = true;
+    const at = new Date().toISOString();
+    const ids = Object.keys(_changes).filter(id => !ack[id]);
+    for (const id of ids) {
+      ack[id] = { at, by: syncUserName() };
     }
     setAcknowledged(ack);
+    if (ids.length) queueSync('POST', '/sync/acknowledged', { ids });
     _lastFetch = 0;
     return { success: true };
   },
@@ -189,8 +963,9 @@ const Api = {
 
   toggleSaved(id) {
     const saved = getSavedIds();
-    if (saved[id]) { delete saved[id]; } else { saved[id] = true; }
+    if (saved[id]) { delete saved[id]; } else { saved[id] = new Date().toISOString(); }
     setSavedIds(saved);
+    queueSync(saved[id] ? 'PUT' : 'DELETE', `/sync/saved/${encodeURIComponent(id)}`);
     return { saved: !!saved[id] };
   },
 
@@ -208,54 +983,387 @@ const Api = {
 
   clearAllSaved() {
     setSavedIds({});
+    queueSync('DELETE', '/sync/saved');
+    return { success: true };
+  },
+
+  // ── Profiles ──
+
+  // { active: the active profile's id or '', profiles: [...] by name }
+  getProfiles() {
+    const { active, profiles } = getProfiles();
+    return {
+      active: profiles[active] ? active : '',
+      profiles: Object.values(profiles).sort((a, b) => a.name.localeCompare(b.name))
+    };
+  },
+
+  // The active profile, whose sources, topics and keywords are the
+  // `subscriptions` the list and count methods take; null for none
+  activeProfile() {
+    const { active, profiles } = getProfiles();
+    return profiles[active] || null;
+  },
+
+  // Creates a profile (no id) or updates one, and makes it the active one
+  saveProfile({ id = '', name = '', sources = [], topics = [], keywords = [] }) {
+    const data = getProfiles();
+    name = String(name).trim();
+    if (!name) return { error: 'Give the profile a name' };
+    if (id && !data.profiles[id]) return { error: 'Not found' };
+    if (Object.values(data.profiles).some(p => p.id !== id && p.name.toLowerCase() === name.toLowerCase())) {
+      return { error: `There is already a profile called "${name}"` };
+    }
+
+    const profile = {
+      id: id || `profile-${Date.now().toString(36)}`,
+      name,
+      sources: [...new Set(sources)],
+      topics: [...new Set(topics)],
+      keywords: [...new Set(keywords.map(k => String(k).trim()).filter(Boolean))]
+    };
+    data.profiles[profile.id] = profile;
+    data.active = profile.id;
+    setProfiles(data);
+    return profile;
+  },
+
+  removeProfile(id) {
+    const data = getProfiles();
+    delete data.profiles[id];
+    if (data.active === id) data.active = '';
+    setProfiles(data);
+    return { success: true };
+  },
+
+  // '' for no profile: everything counts
+  setActiveProfile(id) {
+    const data = getProfiles();
+    data.active = data.profiles[id] ? id : '';
+    setProfiles(data);
+    return { success: true };
+  },
+
+  // ── Sync server ──
+
+  // { status: off | online | offline, url, user, error, pending, lastSynced }
+  syncStatus() {
+    const settings = getSyncSettings();
+    return {
+      status: _sync.status,
+      url: syncUrl(),
+      user: settings.user || null,
+      error: _sync.error,
+      pending: getSyncQueue().length,
+      lastSynced: _sync.lastSynced
+    };
+  },
+
+  // Joins the sync server as `name` (an existing user of that name is
+  // matched). What this browser has stored so far is sent up first.
+  async connectSync({ url = '', token = '', name, role = '' }) {
+    await loadData();
+    const settings = { url: url.trim().replace(/\/+$/, '') || syncUrl(), token: token.trim() };
+    if (!settings.url) return { error: 'Enter the sync server address' };
+    if (!name?.trim()) return { error: 'Enter your name' };
+
+    let user;
+    try {
+      ({ user } = await syncRequest('POST', '/sync/users', { name: name.trim(), role: role.trim() }, settings));
+    } catch (err) {
+      return { error: err.name === 'TimeoutError' ? 'The sync server did not answer'
+        : err.status ? err.message : 'The sync server could not be reached' };
+    }
+    setSyncSettings({ ...settings, user });
+    setSyncQueue([]);
+
+    // Local read marks, saved items and reviews the server lacks (or has an
+    // older version of) join the shared state
+    try {
+      const remote = await syncRequest('GET', '/sync/state');
+      const ack = Object.keys(getAcknowledged()).filter(id => !remote.acknowledged[id]);
+      if (ack.length) queueSync('POST', '/sync/acknowledged', { ids: ack });
+      for (const id of Object.keys(getSavedIds()).filter(id => !remote.saved[id])) {
+        queueSync('PUT', `/sync/saved/${encodeURIComponent(id)}`);
+      }
+      for (const [id, review] of Object.entries(getReviews())) {
+        if ((review.updated || '') > (remote.reviews[id]?.updated || '')) queueSync('PUT', `/sync/reviews/${encodeURIComponent(id)}`, review);
+      }
+    } catch (err) {
+      syncFailed(err);
+    }
+
+    await pullSync({ force: true });
+    _lastFetch = 0;
+    return Api.syncStatus();
+  },
+
+  // Stops syncing; this browser keeps its copy of the shared state
+  disconnectSync() {
+    setSyncSettings({});
+    setSyncQueue([]);
+    _sync.status = 'off';
+    _sync.error = '';
+    return Api.syncStatus();
+  },
+
+  async refreshSync() {
+    await loadData();
+    await pullSync({ force: true });
+    _lastFetch = 0;
+    return Api.syncStatus();
+  },
+
+  // GET /filtered — items the sources' relevance rules excluded, most recently seen first
+  async getFiltered({ source = 'all' } = {}) {
+    const filtered = await loadFiltered();
+    const promoted = getPromoted();
+    let items = Object.entries(filtered).map(([key, entry]) => ({
+      key,
+      ...entry,
+      promoted: !!(entry.promoted || promoted[key]),
+      promotedLocally: !entry.promoted && !!promoted[key]
+    }));
+    if (source !== 'all') items = items.filter(i => i.source === source);
+    items.sort((a, b) => new Date(b.lastEvaluated || b.firstExcluded) - new Date(a.lastEvaluated || a.firstExcluded));
+    return { items, total: items.length };
+  },
+
+  // POST /filtered/:key/promote  (stored in localStorage)
+  togglePromoted(key) {
+    const promoted = getPromoted();
+    if (promoted[key]) { delete promoted[key]; } else { promoted[key] = new Date().toISOString(); }
+    setPromoted(promoted);
+    return { promoted: !!promoted[key] };
+  },
+
+  getRuleSuggestions() {
+    return getRuleSuggestions();
+  },
+
+  // Drafts an include or exclude rule from a filtered item
+  async suggestRule(key, action) {
+    const entry = (await loadFiltered())[key];
+    if (!entry) return { error: 'Not found' };
+    const match = suggestRuleMatch(entry.title);
+    const suggestion = {
+      id: suggestionId(action, match),
+      source: entry.source,
+      action,
+      match,
+      fromTitle: entry.title,
+      created: new Date().toISOString()
+    };
+    setRuleSuggestions([...getRuleSuggestions(), suggestion]);
+    return suggestion;
+  },
+
+  updateRuleSuggestion(index, changes) {
+    const suggestions = getRuleSuggestions();
+    if (!suggestions[index]) return { error: 'Not found' };
+    suggestions[index] = { ...suggestions[index], ...changes };
+    if (changes.match) suggestions[index].id = suggestionId(suggestions[index].action, changes.match);
+    setRuleSuggestions(suggestions);
+    return suggestions[index];
+  },
+
+  removeRuleSuggestion(index) {
+    const suggestions = getRuleSuggestions();
+    suggestions.splice(index, 1);
+    setRuleSuggestions(suggestions);
     return { success: true };
   },
 
-  // GET /search
-  async search(query, source = 'all') {
+  // GET /search — ranked with BM25 over the search index. All words must
+  // match (any of them if no item has them all); "quoted phrases" must appear
+  // in order. Operators (Search.QUERY_HELP) narrow the results, and a query
+  // naming a drug class also finds items mentioning its drugs.
+  async search(query, source = 'all', { limit = 20, offset = 0, ...filters } = {}) {
     await loadData();
-    const q = query.toLowerCase().trim();
-    if (!q || q.length < 2) return { items: [], total: 0, query: '' };
+    const parsed = Search.parseQuery(query.trim());
+    const empty = { items: [], total: 0, query: '', highlight: [], errors: parsed.errors, limit, offset };
+    if (!Search.hasCriteria(parsed) || (parsed.text && parsed.text.length < 2 && !parsed.titleTerms.length)) return empty;
+
+    const { mode, results: ranked } = Search.rank(await loadSearchIndex(), parsed);
+    const pattern = Search.highlightPattern(parsed.highlight);
 
+    const list = await loadDrugs();
+    const named = medicinesForQuery(list, parsed.text.toLowerCase());
+    const changedDates = changeDatesByItem();
+    const unread = unreadByItem();
+    const range = pickedRange(filters.from, filters.to);
+
+    const matches = new Map(ranked.map(result => [result.id, result]));
     const results = [];
 
     for (const item of Object.values(_guidance)) {
       if (source !== 'all' && item.source !== source) continue;
+      if (!matchesTopic(item, filters.topic) || !matchesMedicine(item, filters.medicine)) continue;
+      if (!matchesNiceFilters(item, filters)) continue;
+      if (!matchesQueryFilters(item, parsed.filters, changedDates)) continue;
+      if (!matchesDateRange(item, range, changedDates)) continue;
 
-      const titleMatch = item.title?.toLowerCase().includes(q);
-      const contentMatch = item.content?.toLowerCase().includes(q);
-      if (!titleMatch && !contentMatch) continue;
-
-      let excerpt = '';
-      if (contentMatch && item.content) {
-        const idx = item.content.toLowerCase().indexOf(q);
-        const start = Math.max(0, idx - 100);
-        const end = Math.min(item.content.length, idx + q.length + 100);
-        excerpt = (start > 0 ? '...' : '') + item.content.substring(start, end) + (end < item.content.length ? '...' : '');
-      } else {
-        excerpt = item.metadata?.description || '';
-      }
+      let match = matches.get(item.id);
+      if (match && !matchesPhrases(item, parsed)) match = null;
+      const medicineNames = parsed.exclusions.length || parsed.titleTerms.length ? [] : queriedMentionNames(list, named, item);
+      if (!match && medicineNames.length === 0) continue;
+
+      const excerpt = match
+        ? searchExcerpt(item.content, pattern) || item.metadata?.description || ''
+        : mentionSnippet(item.content, medicineNames) || item.metadata?.description || '';
 
       results.push({
         id: item.id,
         url: item.url,
         title: item.title,
         source: item.source,
+        type: item.type,
         publishedDate: item.publishedDate,
         fetchedDate: item.fetchedDate,
+        lastChanged: latestDate(changedDates[item.id]),
         excerpt,
         wordCount: item.metadata?.wordCount || 0,
-        matchType: titleMatch ? 'title' : 'content'
+        topics: item.topics || [],
+        nice: niceSummary(item),
+        unreadChanges: unread[item.id] || 0,
+        score: match ? Math.round(match.score * 100) / 100 : 0,
+        matchType: match ? (match.inTitle ? 'title' : 'content') : 'medicine'
       });
     }
 
-    results.sort((a, b) => {
-      if (a.matchType !== b.matchType) return a.matchType === 'title' ? -1 : 1;
-      const dateA = new Date(a.publishedDate || a.fetchedDate);
-      const dateB = new Date(b.publishedDate || b.fetchedDate);
-      return dateB - dateA;
-    });
+    // Best match first; medicine-only and operator-only matches (score 0) and
+    // ties newest first. A chosen sort order replaces ranking.
+    const byDate = sortComparator(filters.sort, itemDates(changedDates));
+    results.sort(filters.sort ? byDate : (a, b) => b.score - a.score || byDate(a, b));
+
+    return {
+      items: results.slice(offset, offset + limit),
+      total: results.length,
+      query,
+      mode,
+      highlight: parsed.highlight,
+      errors: parsed.errors,
+      limit,
+      offset
+    };
+  },
+
+  // Values the search box offers after source: and type:
+  async getSearchVocabulary() {
+    await loadData();
+    return {
+      source: Object.keys(_config.sources || {}),
+      type: [...new Set(Object.values(_guidance).map(item => item.type).filter(Boolean))].sort()
+    };
+  },
+
+  // Saved search queries (localStorage-backed, sync)
+  getSavedQueries() {
+    return getSavedQueries();
+  },
+
+  saveQuery(query) {
+    const queries = getSavedQueries().filter(q => q !== query);
+    setSavedQueries([query, ...queries]);
+    return { success: true };
+  },
 
-    return { items: results.slice(0, 50), total: results.length, query };
+  removeSavedQuery(query) {
+    setSavedQueries(getSavedQueries().filter(q => q !== query));
+    return { success: true };
   }
 };
+
+// ── API server (optional) ─────────────────────────────────────────────────────
+// With an API server, the documented routes above are answered by it: counts,
+// lists and searches are worked out there, and read marks are kept there for
+// everyone. Everything else still reads the JSON files, which the server also
+// serves. Reviews stay in the browser (and on the sync server), so changes
+// are fetched a whole date range at a time and review filters applied here.
+
+const API_PAGE_SIZE = 500;
+const API_TIMEOUT_MS = 15000;
+
+async function apiRequest(method, route, params = {}, body) {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== ''));
+  const res = await fetch(`${API_URL}${route}${query.toString() ? `?${query}` : ''}`, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(API_TIMEOUT_MS)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok && res.status !== 404) throw new Error(data.error || `API server answered ${res.status}`);
+  return res.ok ? data : { error: data.error || 'Not found' };
+}
+
+// Subscriptions travel as comma-separated sources, topics and keywords
+function subscriptionParams(subscriptions) {
+  if (!hasSubscriptions(subscriptions)) return {};
+  return Object.fromEntries(['sources', 'topics', 'keywords'].map(key => [key, (subscriptions[key] || []).join(',')]));
+}
+
+if (API_URL) {
+  const localUpdateReview = Api.updateReview;
+
+  Object.assign(Api, {
+    async getStats({ subscriptions = null } = {}) {
+      return apiRequest('GET', '/stats', subscriptionParams(subscriptions));
+    },
+
+    async getGuidance({ subscriptions = null, ...params } = {}) {
+      return apiRequest('GET', '/guidance', { ...params, ...subscriptionParams(subscriptions) });
+    },
+
+    async getGuidanceById(id) {
+      return apiRequest('GET', `/guidance/${encodeURIComponent(id)}`);
+    },
+
+    async getChanges({
+      from = '', to = '', sort = 'changed', status = 'all', assignee = 'all',
+      subscriptions = null, subscribedOnly = false, limit = 50, offset = 0
+    } = {}) {
+      const reviews = getReviews();
+      const filters = { from, to, sort, ...subscriptionParams(subscriptions), subscribedOnly: subscribedOnly ? 'true' : '' };
+      const items = [];
+      let page;
+      do {
+        page = await apiRequest('GET', '/changes', { ...filters, limit: API_PAGE_SIZE, offset: items.length });
+        if (page.error) return page;
+        items.push(...page.items);
+      } while (page.items.length && items.length < page.total);
+
+      const reviewed = filterByReview(items.map(change => ({ ...change, review: reviewOf(reviews, change.id) })), { status, assignee });
+      return {
+        items: reviewed.items.slice(offset, offset + limit),
+        total: reviewed.items.length,
+        unread: page.unread,
+        subscribed: page.subscribed,
+        reviewCounts: reviewed.reviewCounts,
+        limit,
+        offset
+      };
+    },
+
+    async acknowledgeChange(id) {
+      await apiRequest('POST', `/changes/${encodeURIComponent(id)}/acknowledge`, {}, { by: syncUserName() });
+      return { success: true };
+    },
+
+    async acknowledgeAll() {
+      await apiRequest('POST', '/changes/acknowledge-all', {}, { by: syncUserName() });
+      return { success: true };
+    },
+
+    // Reviewing a change marks it read on the server as well
+    async updateReview(id, fields) {
+      const review = await localUpdateReview.call(Api, id, fields);
+      if (!review.error && review.status !== 'to_review') await Api.acknowledgeChange(id);
+      return review;
+    },
+
+    async search(query, source = 'all', { limit = 20, offset = 0, ...filters } = {}) {
+      return apiRequest('GET', '/search', { q: query.trim(), source, limit, offset, ...filters });
+    }
+  });
+}
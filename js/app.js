@@ -12,32 +12,61 @@ const state = {
   guidance: [],
   changes: [],
   stats: null,
+  sources: {},
+  topics: {},
   currentSource: 'all',
+  currentTopic: 'all',
+  currentMedicine: 'all',
+  currentGuidanceType: 'all',
+  currentUpdatedWithin: 'all',
+  // Shared by the dashboard and Changes tab, so they survive tab switches
+  dateFrom: '',
+  dateTo: '',
+  sortBy: '',
+  // Changes tab: review status (all, outstanding, overdue or a status) and assignee
+  reviewStatus: 'all',
+  reviewAssignee: 'all',
+  reviewReport: null,
+  // Changes tab: only changes the active profile follows (when it follows any)
+  subscribedOnly: true,
+  // My feed: items the active profile follows
+  myFeed: [],
+  myFeedTotal: 0,
   currentOffset: 0,
   searchQuery: '',
+  searchHighlight: [],
+  searchSuggestions: [],
+  activeSuggestion: -1,
   isSearching: false,
   totalGuidance: 0,
   unreadChanges: 0,
-  activeTab: 'dashboard'
+  filteredSource: 'all',
+  activeTab: 'dashboard',
+  modalRevisions: []
 };
 
 // ── Initialise ────────────────────────────────────────────────────────────────
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   initTheme();
   initTabs();
   initEventListeners();
-  loadDashboard();
+  renderSavedQueries();
   startPolling();
+  await loadDashboard();
+  renderSyncStatus();
+  routeFromLocation();
 });
 
 // ── Data loading ──────────────────────────────────────────────────────────────
 
 async function loadDashboard() {
   try {
-    const [stats, guidance] = await Promise.allSettled([
-      Api.getStats(),
-      Api.getGuidance({ source: state.currentSource, limit: 20, offset: 0 })
+    const [stats, guidance, facets, medicines] = await Promise.allSettled([
+      Api.getStats({ subscriptions: mySubscriptions() }),
+      Api.getGuidance({ source: state.currentSource, ...feedFilters(), limit: 20, offset: 0 }),
+      Api.getNiceFacets(),
+      Api.getMedicineFacets()
     ]);
 
     if (stats.status === 'fulfilled') {
@@ -46,7 +75,15 @@ async function loadDashboard() {
       updateSavedBadge(Api.savedCount());
     }
 
-    if (guidance.status === 'fulfilled') {
+    if (facets.status === 'fulfilled') {
+      renderNiceFilters(facets.value);
+    }
+
+    if (medicines.status === 'fulfilled') {
+      renderMedicineFilter(medicines.value);
+    }
+
+    if (guidance.status === 'fulfilled' && !state.isSearching) {
       state.guidance = guidance.value.items;
       state.totalGuidance = guidance.value.total;
       state.currentOffset = guidance.value.items.length;
@@ -70,11 +107,15 @@ async function loadMore() {
   try {
     let result;
     if (state.isSearching) {
-      // Search doesn't support offset — all results returned at once
-      return;
+      result = await Api.search(state.searchQuery, state.currentSource, {
+        ...feedFilters(),
+        limit: 20,
+        offset: state.currentOffset
+      });
     } else {
       result = await Api.getGuidance({
         source: state.currentSource,
+        ...feedFilters(),
         limit: 20,
         offset: state.currentOffset
       });
@@ -83,7 +124,7 @@ async function loadMore() {
     state.guidance = state.guidance.concat(result.items);
     state.currentOffset += result.items.length;
     state.totalGuidance = result.total;
-    renderGuidanceFeed(state.guidance);
+    renderGuidanceFeed(state.guidance, state.isSearching ? state.searchHighlight : []);
   } catch (err) {
     console.error('Load more error:', err);
   } finally {
@@ -94,9 +135,18 @@ async function loadMore() {
 
 async function loadChanges() {
   try {
-    const result = await Api.getChanges({ limit: 100 });
+    const result = await Api.getChanges({
+      ...dateFilters(),
+      status: state.reviewStatus,
+      assignee: state.reviewAssignee,
+      subscriptions: mySubscriptions(),
+      subscribedOnly: state.subscribedOnly,
+      limit: 100
+    });
     state.changes = result.items;
     state.unreadChanges = result.unread;
+    renderReviewFilters(result.reviewCounts);
+    renderSubscribedFilter(result.subscribed);
     renderChanges(result.items);
     updateUnreadBadge(result.unread);
   } catch (err) {
@@ -118,6 +168,19 @@ async function loadSaved() {
   }
 }
 
+async function loadFilteredOut() {
+  try {
+    const result = await Api.getFiltered({ source: state.filteredSource });
+    renderFilteredSourceFilter();
+    renderFilteredOut(result.items);
+    renderRuleSuggestions();
+  } catch (err) {
+    console.error('Filtered load error:', err);
+    document.getElementById('filtered-feed').innerHTML =
+      '<div class="p-8 text-center text-gray-400">Failed to load filtered items.</div>';
+  }
+}
+
 // ── Search ────────────────────────────────────────────────────────────────────
 
 async function doSearch() {
@@ -130,16 +193,23 @@ async function doSearch() {
   state.searchQuery = query;
   state.isSearching = true;
   document.getElementById('btn-clear-search').classList.remove('hidden');
+  document.getElementById('btn-save-query').classList.remove('hidden');
+  hideSearchSuggestions();
+  // The query lives in the URL, so searches can be bookmarked and shared
+  if (hashValue('#q=') !== query) location.hash = `q=${encodeURIComponent(query)}`;
 
   // Show loading
   document.getElementById('guidance-feed').innerHTML =
     '<div class="p-8 text-center text-gray-400"><div class="loading-spinner mx-auto mb-3"></div>Searching...</div>';
 
   try {
-    const result = await Api.search(query, state.currentSource);
+    const result = await Api.search(query, state.currentSource, { ...feedFilters(), limit: 20, offset: 0 });
     state.guidance = result.items;
     state.totalGuidance = result.total;
-    renderGuidanceFeed(state.guidance, query);
+    state.currentOffset = result.items.length;
+    state.searchHighlight = result.highlight;
+    renderSearchErrors(result.errors);
+    renderGuidanceFeed(state.guidance, result.highlight);
   } catch (err) {
     console.error('Search error:', err);
     showFeedError('Search failed: ' + err.message);
@@ -148,17 +218,222 @@ async function doSearch() {
 
 function clearSearch() {
   state.searchQuery = '';
+  state.searchHighlight = [];
   state.isSearching = false;
   state.currentOffset = 0;
   document.getElementById('search-input').value = '';
   document.getElementById('btn-clear-search').classList.add('hidden');
+  document.getElementById('btn-save-query').classList.add('hidden');
+  renderSearchErrors([]);
+  if (location.hash) history.pushState(null, '', location.pathname + location.search);
   loadDashboard();
 }
 
+// The URL hash's value after `prefix` ('' without one), decoded. A shared
+// link can carry a broken escape (#q=%E0); that is taken as typed.
+function hashValue(prefix) {
+  const raw = location.hash.startsWith(prefix) ? location.hash.slice(prefix.length) : '';
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    return raw;
+  }
+}
+
+// Runs the query in the URL (#q=...), on load and on back/forward. Links from
+// the change feeds open an item instead (#item=...).
+function routeFromLocation() {
+  if (location.hash.startsWith('#item=')) {
+    openGuidance(hashValue('#item='));
+    return;
+  }
+  const query = hashValue('#q=');
+  if (query === state.searchQuery) return;
+  if (!query) {
+    clearSearch();
+    return;
+  }
+  document.getElementById('search-input').value = query;
+  doSearch();
+}
+
+function renderSearchErrors(errors) {
+  const container = document.getElementById('search-errors');
+  container.classList.toggle('hidden', !errors?.length);
+  container.innerHTML = (errors || []).map(escapeHTML).join('<br>');
+}
+
+// ── Search: operator help and autocompletion ──────────────────────────────────
+
+const DATE_SUGGESTIONS = {
+  'last-7d': 'In the last 7 days',
+  'last-30d': 'In the last 30 days',
+  'last-3m': 'In the last 3 months',
+  'last-1y': 'In the last year'
+};
+
+function toggleSearchHelp() {
+  const panel = document.getElementById('search-help');
+  panel.classList.toggle('hidden');
+  panel.innerHTML = `
+    <div class="text-xs text-gray-500 dark:text-gray-400 mb-2">Combine words with these operators; click one to add it.</div>
+    <dl class="search-help-list">${Search.QUERY_HELP.map(help => `
+      <dt><button class="search-help-syntax" onclick="insertSearchText('${escapeAttr(help.syntax)}')">${escapeHTML(help.syntax)}</button></dt>
+      <dd>${escapeHTML(help.description)}</dd>
+    `).join('')}</dl>
+  `;
+}
+
+function insertSearchText(text) {
+  const input = document.getElementById('search-input');
+  input.value = `${input.value.trimEnd()} ${text}`.trimStart();
+  input.focus();
+  input.setSelectionRange(input.value.length, input.value.length);
+}
+
+// Completions for the word being typed: operator names, then their values
+async function searchCompletions(token) {
+  const negation = token.startsWith('-') ? '-' : '';
+  const body = token.slice(negation.length);
+  const colon = body.indexOf(':');
+
+  if (colon < 0) {
+    const typed = body.toLowerCase();
+    if (!typed) return [];
+    return [...Search.FILTER_OPERATORS, 'title']
+      .filter(op => op.startsWith(typed))
+      .map(op => ({
+        value: `${negation}${op}:`,
+        description: Search.QUERY_HELP.find(help => help.syntax.startsWith(`${op}:`)).description
+      }));
+  }
+
+  const operator = body.slice(0, colon).toLowerCase();
+  const value = body.slice(colon + 1);
+  // source:nice,n completes the value after the last comma
+  const listed = value.includes(',') ? value.slice(0, value.lastIndexOf(',') + 1) : '';
+  const partial = value.slice(listed.length).toLowerCase();
+
+  let options = [];
+  if (operator === 'source' || operator === 'type') {
+    const vocabulary = await Api.getSearchVocabulary();
+    options = vocabulary[operator].map(v => [v, operator === 'source' ? state.sources[v]?.name || '' : '']);
+  } else if (operator === 'published' || operator === 'changed') {
+    options = [...Object.entries(DATE_SUGGESTIONS), [`>${new Date().getFullYear()}-01-01`, 'Since the start of this year']];
+  }
+  const chosen = listed.toLowerCase().split(',');
+  return options
+    .filter(([v]) => v.startsWith(partial) && v !== partial && !chosen.includes(v))
+    .map(([v, description]) => ({ value: `${negation}${operator}:${listed}${v}`, description }));
+}
+
+async function updateSearchSuggestions() {
+  const input = document.getElementById('search-input');
+  const token = input.value.slice(0, input.selectionStart).match(/\S*$/)[0];
+  state.searchSuggestions = token.includes('"') ? [] : await searchCompletions(token);
+  state.activeSuggestion = -1;
+  renderSearchSuggestions();
+}
+
+function renderSearchSuggestions() {
+  const container = document.getElementById('search-suggestions');
+  container.classList.toggle('hidden', state.searchSuggestions.length === 0);
+  container.innerHTML = state.searchSuggestions.map((suggestion, i) => `
+    <button class="search-suggestion ${i === state.activeSuggestion ? 'active' : ''}"
+            onmousedown="event.preventDefault(); applySearchSuggestion(${i})">
+      <code>${escapeHTML(suggestion.value)}</code>
+      ${suggestion.description ? `<span class="text-xs text-gray-500 dark:text-gray-400">${escapeHTML(suggestion.description)}</span>` : ''}
+    </button>
+  `).join('');
+}
+
+function hideSearchSuggestions() {
+  state.searchSuggestions = [];
+  renderSearchSuggestions();
+}
+
+// Replaces the word before the caret with the suggestion
+function applySearchSuggestion(index) {
+  const suggestion = state.searchSuggestions[index];
+  if (!suggestion) return;
+  const input = document.getElementById('search-input');
+  const caret = input.selectionStart;
+  const before = input.value.slice(0, caret).replace(/\S*$/, '');
+  const completed = suggestion.value.endsWith(':') ? suggestion.value : `${suggestion.value} `;
+  input.value = before + completed + input.value.slice(caret).trimStart();
+  input.focus();
+  input.setSelectionRange(before.length + completed.length, before.length + completed.length);
+  updateSearchSuggestions();
+}
+
+function onSearchKeydown(event) {
+  const open = state.searchSuggestions.length > 0;
+  if (open && (event.key === 'ArrowDown' || event.key === 'ArrowUp')) {
+    event.preventDefault();
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    state.activeSuggestion = (state.activeSuggestion + step + state.searchSuggestions.length) % state.searchSuggestions.length;
+    renderSearchSuggestions();
+  } else if (open && (event.key === 'Tab' || event.key === 'Enter') && state.activeSuggestion >= 0) {
+    event.preventDefault();
+    applySearchSuggestion(state.activeSuggestion);
+  } else if (open && event.key === 'Escape') {
+    event.stopPropagation();
+    hideSearchSuggestions();
+  } else if (event.key === 'Enter') {
+    doSearch();
+  }
+}
+
+// ── Search: saved queries ─────────────────────────────────────────────────────
+
+function renderSavedQueries() {
+  const queries = Api.getSavedQueries();
+  const container = document.getElementById('saved-queries');
+  container.classList.toggle('hidden', queries.length === 0);
+  // Chips carry the query's index, not its text: see onSavedQueryClick
+  container.innerHTML = '<span class="text-xs text-gray-500 dark:text-gray-400">Saved searches:</span>' + queries.map((query, index) => `
+    <span class="topic-chip topic-chip-sm">
+      <button data-index="${index}" data-action="run" title="Run this search">${escapeHTML(query)}</button>
+      <button data-index="${index}" data-action="remove" class="text-gray-400 hover:text-red-500" title="Remove">&times;</button>
+    </span>
+  `).join('');
+}
+
+// Delegated from #saved-queries. A query is free text, so it never goes into
+// inline handler source where a quote or backslash would break it.
+function onSavedQueryClick(event) {
+  const button = event.target.closest('button[data-index]');
+  if (!button) return;
+  const query = Api.getSavedQueries()[button.dataset.index];
+  if (query === undefined) return;
+  if (button.dataset.action === 'remove') removeSavedQuery(query);
+  else runSavedQuery(query);
+}
+
+function saveCurrentQuery() {
+  if (!state.searchQuery) return;
+  Api.saveQuery(state.searchQuery);
+  renderSavedQueries();
+}
+
+function runSavedQuery(query) {
+  document.getElementById('search-input').value = query;
+  doSearch();
+}
+
+function removeSavedQuery(query) {
+  Api.removeSavedQuery(query);
+  renderSavedQueries();
+}
+
 // ── Filters ───────────────────────────────────────────────────────────────────
 
 function applyFilters() {
   state.currentSource = document.getElementById('filter-source').value;
+  state.currentTopic = document.getElementById('filter-topic').value;
+  state.currentMedicine = document.getElementById('filter-medicine').value;
+  state.currentGuidanceType = document.getElementById('filter-guidance-type').value;
+  state.currentUpdatedWithin = document.getElementById('filter-updated').value;
   state.currentOffset = 0;
   state.guidance = [];
 
@@ -169,6 +444,64 @@ function applyFilters() {
   }
 }
 
+function feedFilters() {
+  return {
+    topic: state.currentTopic,
+    medicine: state.currentMedicine,
+    guidanceType: state.currentGuidanceType,
+    updatedWithin: state.currentUpdatedWithin,
+    ...dateFilters()
+  };
+}
+
+// Without a chosen sort each list keeps its own order (Api.getGuidance etc.)
+function dateFilters() {
+  return { from: state.dateFrom, to: state.dateTo, ...(state.sortBy ? { sort: state.sortBy } : {}) };
+}
+
+// The dashboard and Changes tab each have date and sort controls; a change to
+// either set applies to both
+function applyDateFilters(control) {
+  const controls = control.closest('.date-controls');
+  state.dateFrom = controls.querySelector('.date-from').value;
+  state.dateTo = controls.querySelector('.date-to').value;
+  state.sortBy = controls.querySelector('.sort-by').value;
+  reloadDateFiltered();
+}
+
+function clearDateFilters() {
+  state.dateFrom = '';
+  state.dateTo = '';
+  reloadDateFiltered();
+}
+
+function reloadDateFiltered() {
+  syncDateControls();
+  state.currentOffset = 0;
+  state.guidance = [];
+
+  if (state.activeTab === 'changes') {
+    loadChanges();
+  } else if (state.isSearching) {
+    doSearch();
+  } else {
+    loadDashboard();
+  }
+}
+
+function syncDateControls() {
+  document.querySelectorAll('.date-controls').forEach(controls => {
+    const from = controls.querySelector('.date-from');
+    const to = controls.querySelector('.date-to');
+    from.value = state.dateFrom;
+    to.value = state.dateTo;
+    from.max = state.dateTo;
+    to.min = state.dateFrom;
+    controls.querySelector('.sort-by').value = state.sortBy;
+    controls.querySelector('.date-clear').classList.toggle('hidden', !state.dateFrom && !state.dateTo);
+  });
+}
+
 function filterBySource(source) {
   document.getElementById('filter-source').value = source;
   state.currentSource = source;
@@ -182,25 +515,138 @@ function filterBySource(source) {
   }
 }
 
+function filterByTopic(topic) {
+  // Clicking the active topic again clears it
+  state.currentTopic = state.currentTopic === topic ? 'all' : topic;
+  document.getElementById('filter-topic').value = state.currentTopic;
+  state.currentOffset = 0;
+  state.guidance = [];
+
+  if (state.isSearching) {
+    doSearch();
+  } else {
+    loadDashboard();
+  }
+}
+
 // ── Rendering: Stats ──────────────────────────────────────────────────────────
 
 function renderStats(stats) {
   document.getElementById('stat-total').textContent = stats.guidanceCount?.total ?? 0;
   document.getElementById('stat-unread').textContent = stats.unreadChanges ?? 0;
+  document.getElementById('stat-unread-label').textContent = stats.subscribed ? 'Unread in My Feed' : 'Unread Changes';
   document.getElementById('stat-changes').textContent = stats.totalChanges ?? 0;
   document.getElementById('stat-last-update').textContent = relativeTime(stats.lastUpdate?.rssPoller);
 
-  document.getElementById('count-nice').textContent = stats.guidanceCount?.nice ?? 0;
-  document.getElementById('count-ncl').textContent = stats.guidanceCount?.ncl ?? 0;
-  document.getElementById('count-nhs').textContent = stats.guidanceCount?.nhs ?? 0;
-  document.getElementById('count-artp').textContent = stats.guidanceCount?.artp ?? 0;
+  state.sources = stats.sources || {};
+  renderSourceCards(stats.guidanceCount || {});
+  renderSourceFilter();
+
+  state.topics = stats.topics || {};
+  renderTopicCounts(stats.topicCounts || {});
+  renderTopicFilter();
+  renderFeedLinks();
 
   updateUnreadBadge(stats.unreadChanges);
 }
 
+// ── Rendering: Sources (from the registry in config.json) ─────────────────────
+
+function renderSourceCards(counts) {
+  document.getElementById('source-cards').innerHTML = Object.entries(state.sources)
+    .map(([id, source]) => `
+      <button class="source-card" data-source="${escapeAttr(id)}" onclick="filterBySource('${escapeAttr(id)}')">
+        <div class="flex justify-between items-start mb-1">
+          ${sourceBadge(id)}
+          <span class="text-xl font-bold">${counts[id] ?? 0}</span>
+        </div>
+        <div class="text-xs text-gray-500 dark:text-gray-400">${escapeHTML(source.description || '')}</div>
+      </button>
+    `).join('');
+}
+
+function renderSourceFilter() {
+  const select = document.getElementById('filter-source');
+  select.innerHTML = '<option value="all">All Sources</option>' + Object.entries(state.sources)
+    .map(([id, source]) => `<option value="${escapeAttr(id)}">${escapeHTML(source.name || source.label || id)}</option>`)
+    .join('');
+  select.value = state.currentSource;
+}
+
+// ── Rendering: Topics (from the taxonomy in config.json) ──────────────────────
+
+function topicLabel(id) {
+  return state.topics[id]?.label || id;
+}
+
+// One chip per topic with its item count; the active topic is highlighted
+function renderTopicCounts(counts) {
+  const topics = Object.keys(state.topics).filter(id => counts[id] > 0);
+  const container = document.getElementById('topic-counts');
+  container.classList.toggle('hidden', topics.length === 0);
+  container.innerHTML = topics
+    .map(id => `
+      <button class="topic-chip ${state.currentTopic === id ? 'active' : ''}" onclick="filterByTopic('${escapeAttr(id)}')">
+        ${topicDot(id)}${escapeHTML(topicLabel(id))} <span class="topic-count">${counts[id]}</span>
+      </button>
+    `).join('');
+}
+
+function renderTopicFilter() {
+  const select = document.getElementById('filter-topic');
+  select.innerHTML = '<option value="all">All Topics</option>' + Object.keys(state.topics)
+    .map(id => `<option value="${escapeAttr(id)}">${escapeHTML(topicLabel(id))}</option>`)
+    .join('');
+  select.value = state.currentTopic;
+}
+
+function topicDot(id) {
+  const color = state.topics[id]?.color;
+  return color ? `<span class="topic-dot" style="background-color: ${escapeAttr(color)}"></span>` : '';
+}
+
+function renderTopicChips(topics) {
+  if (!topics?.length) return '';
+  return `<div class="flex flex-wrap gap-1.5 mb-2">${topics
+    .map(id => `<button class="topic-chip topic-chip-sm" onclick="event.stopPropagation(); filterByTopic('${escapeAttr(id)}')">${topicDot(id)}${escapeHTML(topicLabel(id))}</button>`)
+    .join('')}</div>`;
+}
+
+// Drug classes and medicines mentioned, most mentioned first; values are
+// "class:<id>" / "drug:<name>" (see matchesMedicine in api.js)
+function renderMedicineFilter(facets) {
+  const classes = Object.entries(facets.classes || {}).sort((a, b) => b[1].count - a[1].count);
+  const drugs = Object.entries(facets.drugs || {}).sort((a, b) => b[1] - a[1]);
+  const select = document.getElementById('filter-medicine');
+  select.classList.toggle('hidden', classes.length === 0 && drugs.length === 0);
+
+  select.innerHTML = '<option value="all">All Medicines</option>' +
+    (classes.length ? `<optgroup label="Drug classes">${classes
+      .map(([id, c]) => `<option value="class:${escapeAttr(id)}">${escapeHTML(c.label)} (${c.count})</option>`)
+      .join('')}</optgroup>` : '') +
+    (drugs.length ? `<optgroup label="Medicines">${drugs
+      .map(([drug, count]) => `<option value="drug:${escapeAttr(drug)}">${escapeHTML(drug)} (${count})</option>`)
+      .join('')}</optgroup>` : '');
+  select.value = state.currentMedicine;
+}
+
+// NICE guidance type and "last updated" filters, shown once NICE items exist
+function renderNiceFilters(facets) {
+  const types = Object.entries(facets.guidanceTypes || {}).sort((a, b) => b[1] - a[1]);
+  document.getElementById('nice-filters').classList.toggle('hidden', types.length === 0);
+
+  const select = document.getElementById('filter-guidance-type');
+  select.innerHTML = '<option value="all">All NICE types</option>' + types
+    .map(([type, count]) => `<option value="${escapeAttr(type)}">${escapeHTML(type)} (${count})</option>`)
+    .join('');
+  select.value = state.currentGuidanceType;
+  document.getElementById('filter-updated').value = state.currentUpdatedWithin;
+}
+
 // ── Rendering: Guidance Feed ──────────────────────────────────────────────────
 
-function renderGuidanceFeed(items, highlightQuery = '') {
+// `highlight` is the search's word stems (see Search.highlightPattern)
+function renderGuidanceFeed(items, highlight = []) {
   const container = document.getElementById('guidance-feed');
   const loadMoreContainer = document.getElementById('load-more-container');
 
@@ -210,52 +656,69 @@ function renderGuidanceFeed(items, highlightQuery = '') {
     return;
   }
 
-  container.innerHTML = items.map(item => {
-    const badge = sourceBadge(item.source);
-    let excerpt = escapeHTML(item.excerpt || '');
-    if (highlightQuery) {
-      excerpt = highlightText(excerpt, highlightQuery);
-    }
-    const saved = Api.isSaved(item.id);
-
-    return `
-      <div class="guidance-card fade-in" onclick="openGuidance('${escapeAttr(item.id)}')">
-        <div class="flex justify-between items-start gap-3 mb-1.5">
-          <h3 class="font-semibold text-[0.9375rem] leading-snug flex-1">${escapeHTML(item.title)}</h3>
-          <div class="flex items-center gap-2 shrink-0">
-            <button onclick="event.stopPropagation(); toggleSaved('${escapeAttr(item.id)}')"
-                    class="${saved ? 'text-amber-500' : 'text-gray-300 dark:text-gray-600 hover:text-amber-400'} transition-colors"
-                    title="${saved ? 'Remove from saved' : 'Save this article'}">
-              ${saved ? BOOKMARK_FILLED : BOOKMARK_OUTLINE}
-            </button>
-            ${badge}
-          </div>
-        </div>
-        <p class="text-sm text-gray-500 dark:text-gray-400 mb-2 line-clamp-2">${excerpt}</p>
-        <div class="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-400">
-          <span>Published: ${formatDate(item.publishedDate)}</span>
-          <span>${(item.wordCount || 0).toLocaleString()} words</span>
-          ${item.estimatedReadTime ? `<span>${item.estimatedReadTime} min read</span>` : ''}
-        </div>
-      </div>
-    `;
-  }).join('');
+  container.innerHTML = items.map(item => guidanceCard(item, highlight)).join('');
 
   // Show/hide load more
-  if (!state.isSearching && state.currentOffset < state.totalGuidance) {
+  if (state.currentOffset < state.totalGuidance) {
     loadMoreContainer.classList.remove('hidden');
   } else {
     loadMoreContainer.classList.add('hidden');
   }
 }
 
+// One item in a guidance list; `sortBy` picks which extra date it shows
+function guidanceCard(item, highlight = [], sortBy = state.sortBy) {
+  const badge = sourceBadge(item.source);
+  let excerpt = escapeHTML(item.excerpt || '');
+  if (highlight.length > 0) {
+    excerpt = highlightText(excerpt, highlight);
+  }
+  const saved = Api.isSaved(item.id);
+  // Promoted items aren't stored yet, so they can't be saved
+  const action = item.promoted
+    ? '<span class="promoted-badge" title="Promoted from Filtered out in this browser">Promoted</span>'
+    : `<button onclick="event.stopPropagation(); toggleSaved('${escapeAttr(item.id)}')"
+                  class="${saved ? 'text-amber-500' : 'text-gray-300 dark:text-gray-600 hover:text-amber-400'} transition-colors"
+                  title="${saved ? 'Remove from saved' : 'Save this article'}">
+            ${saved ? BOOKMARK_FILLED : BOOKMARK_OUTLINE}
+          </button>`;
+
+  return `
+    <div class="guidance-card fade-in" onclick="openGuidance('${escapeAttr(item.id)}')">
+      <div class="flex justify-between items-start gap-3 mb-1.5">
+        <h3 class="font-semibold text-[0.9375rem] leading-snug flex-1">${escapeHTML(item.title)}</h3>
+        <div class="flex items-center gap-2 shrink-0">
+          ${item.unreadChanges ? `<span class="unread-pill" title="Unread changes to this item">${item.unreadChanges} unread</span>` : ''}
+          ${action}
+          ${badge}
+        </div>
+      </div>
+      <p class="text-sm text-gray-500 dark:text-gray-400 mb-2 line-clamp-2">${excerpt}</p>
+      ${renderTopicChips(item.topics)}
+      <div class="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-400">
+        ${item.nice?.code ? `<span class="nice-code">${escapeHTML(item.nice.code)}</span>` : ''}
+        <span>Published: ${formatDate(item.publishedDate)}</span>
+        ${sortBy === 'fetched' ? `<span>Fetched: ${formatDate(item.fetchedDate)}</span>` : ''}
+        ${sortBy === 'changed' && item.lastChanged ? `<span>Last changed: ${formatDate(item.lastChanged)}</span>` : ''}
+        ${item.nice?.lastUpdated ? `<span>Last updated: ${formatDate(item.nice.lastUpdated)}</span>` : ''}
+        <span>${(item.wordCount || 0).toLocaleString()} words</span>
+        ${item.estimatedReadTime ? `<span>${item.estimatedReadTime} min read</span>` : ''}
+      </div>
+    </div>
+  `;
+}
+
 // ── Rendering: Changes ────────────────────────────────────────────────────────
 
 function renderChanges(items) {
   const container = document.getElementById('changes-feed');
 
   if (!items || items.length === 0) {
-    container.innerHTML = '<div class="p-8 text-center text-gray-400">No changes recorded yet.</div>';
+    const message = state.reviewStatus !== 'all' || state.reviewAssignee !== 'all'
+      ? 'No changes match these review filters.'
+      : state.subscribedOnly && Api.activeProfile() ? 'No changes match your profile.'
+      : state.dateFrom || state.dateTo ? 'No changes detected in these dates.' : 'No changes recorded yet.';
+    container.innerHTML = `<div class="p-8 text-center text-gray-400">${message}</div>`;
     return;
   }
 
@@ -263,28 +726,330 @@ function renderChanges(items) {
     const badge = sourceBadge(item.source);
     const typeBadge = item.changeType === 'new_guidance'
       ? '<span class="change-type-new text-xs font-medium px-2 py-0.5 rounded">New</span>'
-      : '<span class="change-type-update text-xs font-medium px-2 py-0.5 rounded">Updated</span>';
+      : item.minor
+        ? '<span class="change-type-minor text-xs font-medium px-2 py-0.5 rounded">Minor</span>'
+        : '<span class="change-type-update text-xs font-medium px-2 py-0.5 rounded">Updated</span>';
+    const unread = !item.acknowledged && !item.minor;
 
     return `
-      <div class="change-card fade-in ${item.acknowledged ? '' : 'unread'}">
+      <div class="change-card fade-in ${unread ? 'unread' : ''}">
         <div class="flex justify-between items-start gap-3 mb-1.5">
           <div class="flex-1">
             <div class="flex items-center gap-2 mb-1">
               ${badge} ${typeBadge}
               <span class="text-xs text-gray-400">${formatDate(item.detectedAt)}</span>
+              ${item.readBy ? `<span class="text-xs text-gray-400">&middot; Read by ${escapeHTML(item.readBy)}</span>` : ''}
+              ${renderMagnitude(item.magnitude)}
             </div>
             <h3 class="font-semibold text-[0.9375rem]">${escapeHTML(item.title)}</h3>
+            ${renderRecommendationChanges(item)}
+            ${renderReviewSummary(item.review)}
           </div>
           <div class="flex gap-2 shrink-0">
-            ${!item.acknowledged ? `<button onclick="event.stopPropagation(); acknowledgeChange('${escapeAttr(item.id)}')" class="btn-secondary text-xs py-1 px-2">Mark Read</button>` : ''}
+            <button onclick="event.stopPropagation(); toggleReviewEditor('${escapeAttr(item.id)}')" class="btn-secondary text-xs py-1 px-2">Review</button>
+            ${item.changeType === 'content_update' ? `<button onclick="event.stopPropagation(); toggleChangeDiff('${escapeAttr(item.id)}')" class="btn-secondary text-xs py-1 px-2">Diff</button>` : ''}
+            ${unread ? `<button onclick="event.stopPropagation(); acknowledgeChange('${escapeAttr(item.id)}')" class="btn-secondary text-xs py-1 px-2">Mark Read</button>` : ''}
             <a href="${escapeAttr(item.url)}" target="_blank" onclick="event.stopPropagation()" class="btn-secondary text-xs py-1 px-2">View</a>
           </div>
         </div>
+        <div id="review-${escapeAttr(item.id)}" class="hidden mt-2"></div>
+        <div id="diff-${escapeAttr(item.id)}" class="hidden mt-2"></div>
       </div>
     `;
   }).join('');
 }
 
+// How much text an update changed, after noise was stripped
+function renderMagnitude(magnitude) {
+  if (!magnitude) return '';
+  const paragraphs = `${magnitude.paragraphs} paragraph${magnitude.paragraphs === 1 ? '' : 's'}`;
+  return `<span class="text-xs text-gray-400" title="${Math.round(magnitude.ratio * 100)}% of the text">${magnitude.characters.toLocaleString()} chars in ${paragraphs}</span>`;
+}
+
+// Which numbered NICE recommendations an update added, removed or reworded
+function renderRecommendationChanges(change) {
+  const recs = change.recommendationChanges;
+  if (!recs) return '';
+
+  const counts = [
+    recs.added.length && `<span class="rec-chip rec-added">${recs.added.length} added</span>`,
+    recs.reworded.length && `<span class="rec-chip rec-reworded">${recs.reworded.length} reworded</span>`,
+    recs.removed.length && `<span class="rec-chip rec-removed">${recs.removed.length} removed</span>`,
+    recs.renumbered.length && `<span class="rec-chip">${recs.renumbered.length} renumbered</span>`
+  ].filter(Boolean);
+  if (counts.length === 0) {
+    return '<div class="text-xs text-gray-400 mt-1">No recommendations changed (other text only)</div>';
+  }
+
+  const rows = [
+    ...recs.added.map(r => `
+      <li><span class="rec-number">${escapeHTML(r.number)}</span> <span class="rec-label">added</span>
+        <div class="diff-added">${escapeHTML(r.text)}</div></li>`),
+    ...recs.reworded.map(r => `
+      <li><span class="rec-number">${escapeHTML(r.number)}</span> <span class="rec-label">reworded</span>
+        <div class="diff-removed">${escapeHTML(r.before)}</div>
+        <div class="diff-added">${escapeHTML(r.after)}</div></li>`),
+    ...recs.removed.map(r => `
+      <li><span class="rec-number">${escapeHTML(r.number)}</span> <span class="rec-label">removed</span>
+        <div class="diff-removed">${escapeHTML(r.text)}</div></li>`),
+    ...recs.renumbered.map(r => `
+      <li><span class="rec-number">${escapeHTML(r.from)} &rarr; ${escapeHTML(r.to)}</span> <span class="rec-label">renumbered, text unchanged</span></li>`)
+  ];
+
+  return `
+    <details class="rec-changes mt-1" onclick="event.stopPropagation()">
+      <summary class="cursor-pointer text-xs">Recommendations: ${counts.join(' ')}</summary>
+      <ul class="mt-2 space-y-2 text-sm">${rows.join('')}</ul>
+    </details>
+  `;
+}
+
+async function toggleChangeDiff(id) {
+  const container = document.getElementById(`diff-${id}`);
+  if (!container.classList.contains('hidden')) {
+    container.classList.add('hidden');
+    return;
+  }
+
+  container.classList.remove('hidden');
+  container.innerHTML = '<div class="loading-spinner mx-auto my-3"></div>';
+
+  try {
+    const result = await Api.getChangeDiff(id);
+    container.innerHTML = result.error
+      ? '<div class="text-sm text-gray-400 py-2">No earlier revision stored for this change.</div>'
+      : renderDiff(result.ops);
+  } catch (err) {
+    container.innerHTML = `<div class="text-sm text-red-500 py-2">Failed to load diff: ${escapeHTML(err.message)}</div>`;
+  }
+}
+
+// ── Rendering: Change reviews ─────────────────────────────────────────────────
+// Each change's clinical review: status, assignee, due date and a note (see
+// Api.updateReview)
+
+const REVIEW_FILTERS = { all: 'All', outstanding: 'To review', overdue: 'Overdue', actioned: 'Actioned', not_relevant: 'Not relevant' };
+
+function renderReviewFilters(counts) {
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  const count = { all: total, outstanding: counts.to_review, actioned: counts.actioned, not_relevant: counts.not_relevant };
+  document.getElementById('review-status-filter').innerHTML = Object.entries(REVIEW_FILTERS)
+    .map(([key, label]) => `
+      <button class="topic-chip ${state.reviewStatus === key ? 'active' : ''}" onclick="setReviewStatus('${key}')">
+        ${escapeHTML(label)}${count[key] !== undefined ? ` <span class="topic-count">${count[key]}</span>` : ''}
+      </button>`).join('');
+
+  const select = document.getElementById('filter-assignee');
+  const names = Api.getAssignees();
+  if (state.reviewAssignee !== 'all' && state.reviewAssignee !== 'unassigned' && !names.includes(state.reviewAssignee)) {
+    names.push(state.reviewAssignee);
+  }
+  select.innerHTML = '<option value="all">Anyone</option><option value="unassigned">Unassigned</option>' + names
+    .map(name => `<option value="${escapeAttr(name)}">${escapeHTML(name)}</option>`)
+    .join('');
+  select.value = state.reviewAssignee;
+}
+
+function setReviewStatus(status) {
+  state.reviewStatus = status;
+  loadChanges();
+}
+
+function setReviewAssignee(assignee) {
+  state.reviewAssignee = assignee;
+  loadChanges();
+}
+
+function reviewStatusPill(status) {
+  return `<span class="review-status review-${escapeAttr(status)}">${escapeHTML(Api.reviewStatuses()[status] || status)}</span>`;
+}
+
+function isOverdue(review) {
+  return review.status === 'to_review' && review.dueDate && new Date(`${review.dueDate}T23:59:59`) < new Date();
+}
+
+// One line under the change: status, owner, due date and the note
+function renderReviewSummary(review) {
+  if (!review) return '';
+  const parts = [reviewStatusPill(review.status)];
+  if (review.assignee) parts.push(`<span>${escapeHTML(review.assignee)}</span>`);
+  if (review.dueDate) {
+    parts.push(`<span class="${isOverdue(review) ? 'review-overdue' : ''}">Due ${formatDate(review.dueDate)}${isOverdue(review) ? ' (overdue)' : ''}</span>`);
+  }
+  const note = review.note ? `<div class="review-note">${escapeHTML(review.note)}</div>` : '';
+  return `<div class="review-summary">${parts.join('<span class="text-gray-300">&middot;</span>')}</div>${note}`;
+}
+
+function toggleReviewEditor(id) {
+  const container = document.getElementById(`review-${id}`);
+  if (!container.classList.contains('hidden')) {
+    container.classList.add('hidden');
+    return;
+  }
+  const review = state.changes.find(c => c.id === id)?.review || {};
+  const statuses = Object.entries(Api.reviewStatuses())
+    .map(([key, label]) => `<option value="${key}" ${review.status === key ? 'selected' : ''}>${escapeHTML(label)}</option>`)
+    .join('');
+
+  container.innerHTML = `
+    <form class="review-editor" onsubmit="event.preventDefault(); saveReview('${escapeAttr(id)}', this)">
+      <label>Status <select name="status" class="input-field">${statuses}</select></label>
+      <label>Assignee <input name="assignee" class="input-field" list="assignee-options" value="${escapeAttr(review.assignee || '')}" placeholder="Who owns this"></label>
+      <label>Due <input name="dueDate" type="date" class="input-field" value="${escapeAttr(review.dueDate || '')}"></label>
+      <label class="review-editor-note">Note <textarea name="note" class="input-field" rows="2" placeholder="What we changed locally">${escapeHTML(review.note || '')}</textarea></label>
+      <datalist id="assignee-options">${Api.getAssignees().map(name => `<option value="${escapeAttr(name)}">`).join('')}</datalist>
+      <div class="flex gap-2">
+        <button type="submit" class="btn-primary text-xs py-1 px-3">Save</button>
+        <button type="button" onclick="toggleReviewEditor('${escapeAttr(id)}')" class="btn-secondary text-xs py-1 px-3">Cancel</button>
+      </div>
+      ${review.updated ? `<span class="text-xs text-gray-400">Last updated ${relativeTime(review.updated)}${review.updatedBy ? ` by ${escapeHTML(review.updatedBy)}` : ''}</span>` : ''}
+      <span class="review-error text-xs text-red-500"></span>
+    </form>`;
+  container.classList.remove('hidden');
+}
+
+// Governance report of outstanding reviews, refreshed each time it's opened
+async function toggleReviewReport() {
+  const panel = document.getElementById('review-report');
+  if (!panel.classList.contains('hidden')) {
+    panel.classList.add('hidden');
+    return;
+  }
+  panel.classList.remove('hidden');
+  panel.innerHTML = '<div class="loading-spinner mx-auto my-3"></div>';
+  try {
+    state.reviewReport = await Api.getReviewReport();
+    renderReviewReport(state.reviewReport);
+  } catch (err) {
+    panel.innerHTML = `<div class="text-sm text-red-500">Failed to build the report: ${escapeHTML(err.message)}</div>`;
+  }
+}
+
+function renderReviewReport(report) {
+  const { totals, byAssignee } = report;
+  const figure = (label, n, cls = '') => `<div class="report-figure ${cls}"><div class="report-number">${n}</div><div>${escapeHTML(label)}</div></div>`;
+  const assignees = Object.entries(byAssignee)
+    .sort(([a], [b]) => (!a - !b) || a.localeCompare(b))
+    .map(([name, row]) => `
+      <tr><td>${name ? escapeHTML(name) : '<em>Unassigned</em>'}</td><td>${row.outstanding}</td>
+        <td class="${row.overdue ? 'review-overdue' : ''}">${row.overdue}</td><td>${row.dueSoon}</td></tr>`).join('');
+  const rows = report.items.map(item => `
+      <tr>
+        <td><a href="${escapeAttr(item.url)}" target="_blank">${escapeHTML(item.title)}</a></td>
+        <td>${sourceBadge(item.source)}</td>
+        <td>${formatDate(item.detectedAt)}</td>
+        <td>${item.review.assignee ? escapeHTML(item.review.assignee) : '<em>Unassigned</em>'}</td>
+        <td class="${item.overdue ? 'review-overdue' : ''}">${item.review.dueDate ? formatDate(item.review.dueDate) : '&mdash;'}</td>
+        <td>${escapeHTML(item.review.note)}</td>
+      </tr>`).join('');
+
+  document.getElementById('review-report').innerHTML = `
+    <div class="flex justify-between items-center">
+      <h3 class="font-semibold">Outstanding reviews</h3>
+      <button onclick="downloadReviewReport()" class="btn-secondary text-xs py-1 px-2">Download CSV</button>
+    </div>
+    <p class="text-xs text-gray-400 mb-2">Generated ${new Date(report.generated).toLocaleString('en-GB')}. Reviews are kept in this browser. Minor updates nobody has picked up are left out.</p>
+    <div class="report-figures">
+      ${figure('To review', totals.outstanding)}
+      ${figure('Overdue', totals.overdue, totals.overdue ? 'review-overdue' : '')}
+      ${figure('Due within a week', totals.dueSoon)}
+      ${figure('Unassigned', totals.unassigned)}
+      ${figure('No due date', totals.noDueDate)}
+    </div>
+    ${assignees ? `
+    <table class="report-table">
+      <thead><tr><th>Assignee</th><th>To review</th><th>Overdue</th><th>Due soon</th></tr></thead>
+      <tbody>${assignees}</tbody>
+    </table>` : ''}
+    ${rows ? `
+    <table class="report-table">
+      <thead><tr><th>Change</th><th>Source</th><th>Detected</th><th>Assignee</th><th>Due</th><th>Note</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>` : '<p class="text-sm text-gray-400 mt-2">Nothing left to review.</p>'}`;
+}
+
+function downloadReviewReport() {
+  const report = state.reviewReport;
+  if (!report) return;
+  const cell = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const lines = [
+    ['Change', 'Type', 'Source', 'Detected', 'Status', 'Assignee', 'Due', 'Overdue', 'Note', 'URL'],
+    ...report.items.map(item => [
+      item.title, item.changeType, state.sources[item.source]?.name || item.source, item.detectedAt.split('T')[0],
+      Api.reviewStatuses()[item.review.status], item.review.assignee, item.review.dueDate,
+      item.overdue ? 'yes' : 'no', item.review.note, item.url
+    ])
+  ].map(row => row.map(cell).join(','));
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([`${lines.join('\r\n')}\r\n`], { type: 'text/csv' }));
+  link.download = `outstanding-reviews-${report.generated.split('T')[0]}.csv`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// ── Rendering: Change feeds ───────────────────────────────────────────────────
+// The pollers write RSS and Atom feeds per source and topic (see
+// scripts/lib/change-feeds.js)
+
+function feedLinkRow(label, key) {
+  return `
+    <div class="feed-link-row">
+      <span>${escapeHTML(label)}</span>
+      <span><a href="data/feeds/${escapeAttr(key)}.rss" target="_blank" rel="noopener">RSS</a><a href="data/feeds/${escapeAttr(key)}.atom" target="_blank" rel="noopener">Atom</a></span>
+    </div>`;
+}
+
+function renderFeedLinks() {
+  const sources = Object.entries(state.sources)
+    .map(([id, source]) => feedLinkRow(source.name || source.label || id, `source-${id}`)).join('');
+  const topics = Object.keys(state.topics).map(id => feedLinkRow(topicLabel(id), `topic-${id}`)).join('');
+  document.getElementById('feed-links').innerHTML = `
+    <p class="text-sm text-gray-500 dark:text-gray-400">Copy a link into your feed reader or Outlook (RSS Feeds → Add a new RSS feed). Minor updates are left out.</p>
+    ${feedLinkRow('All changes', 'all')}
+    ${sources ? `<h3>By source</h3>${sources}` : ''}
+    ${topics ? `<h3>By topic</h3>${topics}` : ''}`;
+}
+
+function toggleFeedLinks() {
+  document.getElementById('feed-links').classList.toggle('hidden');
+}
+
+// ── Rendering: Diff ───────────────────────────────────────────────────────────
+
+function renderDiff(ops) {
+  const { added, removed } = Diff.summary(ops);
+  if (added === 0 && removed === 0) {
+    return '<div class="text-sm text-gray-400 py-2">No paragraph-level differences (whitespace or formatting only).</div>';
+  }
+
+  // Collapse runs of unchanged paragraphs so only the edits stand out
+  const blocks = [];
+  let unchanged = 0;
+  for (const op of ops) {
+    if (op.type === 'same') {
+      unchanged++;
+      continue;
+    }
+    if (unchanged > 0) {
+      blocks.push(`<div class="diff-skip">${unchanged} unchanged paragraph${unchanged === 1 ? '' : 's'}</div>`);
+      unchanged = 0;
+    }
+    blocks.push(`<div class="diff-${op.type}">${escapeHTML(op.text)}</div>`);
+  }
+  if (unchanged > 0) {
+    blocks.push(`<div class="diff-skip">${unchanged} unchanged paragraph${unchanged === 1 ? '' : 's'}</div>`);
+  }
+
+  return `
+    <div class="text-xs text-gray-500 dark:text-gray-400 mb-1">
+      <span class="text-green-600 dark:text-green-400">+${added} added</span> &middot;
+      <span class="text-red-600 dark:text-red-400">&minus;${removed} removed</span>
+    </div>
+    <div class="diff-view">${blocks.join('')}</div>
+  `;
+}
+
 // ── Rendering: Saved Feed ─────────────────────────────────────────────────────
 
 function renderSaved(items) {
@@ -316,6 +1081,7 @@ function renderSaved(items) {
           </div>
         </div>
         <p class="text-sm text-gray-500 dark:text-gray-400 mb-2 line-clamp-2">${excerpt}</p>
+        ${renderTopicChips(item.topics)}
         <div class="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-400">
           <span>Published: ${formatDate(item.publishedDate)}</span>
         </div>
@@ -324,6 +1090,101 @@ function renderSaved(items) {
   }).join('');
 }
 
+// ── Rendering: Filtered out ───────────────────────────────────────────────────
+
+function renderFilteredSourceFilter() {
+  const select = document.getElementById('filtered-source');
+  select.innerHTML = '<option value="all">All Sources</option>' + Object.entries(state.sources)
+    .map(([id, source]) => `<option value="${escapeAttr(id)}">${escapeHTML(source.name || source.label || id)}</option>`)
+    .join('');
+  select.value = state.filteredSource;
+}
+
+function renderFilteredOut(items) {
+  const container = document.getElementById('filtered-feed');
+  renderPromoteCommand(items.filter(item => item.promotedLocally));
+
+  if (!items || items.length === 0) {
+    container.innerHTML = '<div class="p-8 text-center text-gray-400">No items have been filtered out.</div>';
+    return;
+  }
+
+  container.innerHTML = items.map(item => `
+    <div class="change-card fade-in">
+      <div class="flex justify-between items-start gap-3">
+        <div class="flex-1">
+          <div class="flex items-center gap-2 mb-1">
+            ${sourceBadge(item.source)}
+            ${item.promoted ? '<span class="promoted-badge">Promoted</span>' : ''}
+            <span class="text-xs text-gray-400">Last seen ${formatDate(item.lastEvaluated)}</span>
+          </div>
+          <h3 class="font-semibold text-[0.9375rem]">${escapeHTML(item.title)}</h3>
+          ${item.description ? `<p class="text-sm text-gray-500 dark:text-gray-400 mt-1 line-clamp-2">${escapeHTML(item.description)}</p>` : ''}
+          <div class="text-xs text-gray-500 dark:text-gray-400 mt-1">${describeRelevance(item.relevance)}</div>
+        </div>
+        <div class="flex flex-wrap justify-end gap-2 shrink-0 max-w-[14rem]">
+          ${item.promoted && !item.promotedLocally ? '' : `<button onclick="togglePromoted('${escapeAttr(item.key)}')" class="btn-secondary text-xs py-1 px-2">${item.promotedLocally ? 'Undo promote' : 'Promote'}</button>`}
+          <button onclick="suggestRule('${escapeAttr(item.key)}', 'include')" class="btn-secondary text-xs py-1 px-2">Suggest include</button>
+          <button onclick="suggestRule('${escapeAttr(item.key)}', 'exclude')" class="btn-secondary text-xs py-1 px-2">Suggest exclude</button>
+          <a href="${escapeAttr(item.url)}" target="_blank" class="btn-secondary text-xs py-1 px-2">View</a>
+        </div>
+      </div>
+    </div>
+  `).join('');
+}
+
+// Why the rules excluded an item, in words
+function describeRelevance(relevance) {
+  if (!relevance) return 'Excluded';
+  if (relevance.reason === 'no-match') return 'No include rule matched';
+  const match = relevance.matches.find(m => m.rule === relevance.rule);
+  const hits = (match?.hits || []).map(h => `${escapeHTML(h.field)}: &ldquo;${escapeHTML(h.text)}&rdquo;`).join(', ');
+  const rule = relevance.rule ? `<span class="font-medium">${escapeHTML(relevance.rule)}</span>` : 'the rules';
+  const why = relevance.reason === 'excluded' ? `Excluded by rule ${rule}` : `Scored ${relevance.score}, below the threshold, after ${rule}`;
+  return `${why}${hits ? ` &middot; ${hits}` : ''}`;
+}
+
+// The pollers only store promoted items once the promotion is in filtered.json
+function renderPromoteCommand(items) {
+  const container = document.getElementById('promote-command');
+  container.classList.toggle('hidden', items.length === 0);
+  if (items.length === 0) return;
+  container.innerHTML = `
+    <p class="text-sm mb-2">
+      ${items.length} item${items.length === 1 ? ' is' : 's are'} promoted in this browser only.
+      To have the pollers store ${items.length === 1 ? 'it' : 'them'}, run:
+    </p>
+    <pre class="rule-snippet">node scripts/quarantine.js promote ${items.map(item => escapeHTML(item.key)).join(' ')}</pre>
+  `;
+}
+
+function renderRuleSuggestions() {
+  const container = document.getElementById('rule-suggestions');
+  const suggestions = Api.getRuleSuggestions();
+  container.classList.toggle('hidden', suggestions.length === 0);
+  if (suggestions.length === 0) return;
+
+  container.innerHTML = `
+    <h3 class="font-semibold mb-1">Rule suggestions</h3>
+    <p class="text-xs text-gray-500 dark:text-gray-400 mb-3">
+      Edit the query, then add the rule to the source's <code>relevance.rules</code> in data/config.json.
+    </p>
+    ${suggestions.map((suggestion, index) => `
+      <div class="rule-suggestion">
+        <div class="flex items-center gap-2 mb-2">
+          ${sourceBadge(suggestion.source)}
+          <span class="text-xs font-medium ${suggestion.action === 'include' ? 'text-green-600' : 'text-red-500'}">${suggestion.action}</span>
+          <span class="text-xs text-gray-400 flex-1 truncate">from &ldquo;${escapeHTML(suggestion.fromTitle)}&rdquo;</span>
+          <button onclick="removeRuleSuggestion(${index})" class="btn-secondary text-xs py-0.5 px-2">Remove</button>
+        </div>
+        <input type="text" class="input-field w-full mb-2" value="${escapeHTML(suggestion.match)}"
+               onchange="editRuleSuggestion(${index}, this.value)">
+        <pre class="rule-snippet">${escapeHTML(JSON.stringify({ id: suggestion.id, action: suggestion.action, match: suggestion.match }))}</pre>
+      </div>
+    `).join('')}
+  `;
+}
+
 // ── Modal ─────────────────────────────────────────────────────────────────────
 
 async function openGuidance(id) {
@@ -356,19 +1217,163 @@ async function openGuidance(id) {
       .map(p => `<p>${escapeHTML(p.trim())}</p>`)
       .join('');
 
-    document.getElementById('modal-content').innerHTML = `<div class="prose-content">${formatted}</div>`;
+    document.getElementById('modal-content').innerHTML =
+      `${renderRelevance(item.relevance)}${renderNiceDetails(item)}${renderMentions(item.mentions)}<div id="modal-history"></div><div class="prose-content">${formatted}</div>`;
     document.getElementById('modal-link').href = item.url;
 
+    renderHistory(item.id);
+
   } catch (err) {
     document.getElementById('modal-content').innerHTML =
       `<div class="text-red-500 p-4">Failed to load: ${escapeHTML(err.message)}</div>`;
   }
 }
 
+// ── Modal: NICE metadata ──────────────────────────────────────────────────────
+
+// Which of the source's relevance rules let the item in, and the text it matched
+function renderRelevance(relevance) {
+  if (relevance && (!relevance.included || relevance.reason === 'promoted')) {
+    const why = relevance.included
+      ? (relevance.excludedBy ? `Excluded by rule <span class="font-medium">${escapeHTML(relevance.excludedBy)}</span>` : 'No include rule matched')
+      : describeRelevance(relevance);
+    return `<div class="text-xs text-gray-500 dark:text-gray-400 mb-3">Promoted from Filtered out &middot; ${why}</div>`;
+  }
+  if (!relevance?.rule) return '';
+  const match = relevance.matches.find(m => m.rule === relevance.rule);
+  const hits = (match?.hits || []).map(h => `${escapeHTML(h.field)}: &ldquo;${escapeHTML(h.text)}&rdquo;`).join(', ');
+  return `
+    <div class="text-xs text-gray-500 dark:text-gray-400 mb-3">
+      Included by rule <span class="font-medium">${escapeHTML(relevance.rule)}</span>${hits ? ` &middot; ${hits}` : ''} &middot; score ${relevance.score}
+    </div>
+  `;
+}
+
+// Drug classes and medicines the item mentions, with where they appear
+function renderMentions(mentions) {
+  if (!mentions || (mentions.drugs.length === 0 && mentions.classes.length === 0)) return '';
+
+  const classRows = mentions.classes.map(c => `
+    <li class="mention-entry">
+      <button class="mention-name" onclick="filterByMedicine('class:${escapeAttr(c.id)}')">${escapeHTML(c.label)}</button>
+      ${c.drugs.length ? `<span class="text-xs text-gray-500 dark:text-gray-400">via ${c.drugs.map(escapeHTML).join(', ')}</span>` : ''}
+      ${c.snippet ? `<div class="mention-snippet">${escapeHTML(c.snippet)}</div>` : ''}
+    </li>`).join('');
+  const drugRows = mentions.drugs.map(d => `
+    <li class="mention-entry">
+      <button class="mention-name" onclick="filterByMedicine('drug:${escapeAttr(d.drug)}')">${escapeHTML(d.drug)}</button>
+      ${d.snippet ? `<div class="mention-snippet">${escapeHTML(d.snippet)}</div>` : ''}
+    </li>`).join('');
+
+  return `
+    <details class="mentions-panel mb-4">
+      <summary class="cursor-pointer text-sm font-medium">
+        Mentions: ${mentions.drugs.length} medicine${mentions.drugs.length === 1 ? '' : 's'},
+        ${mentions.classes.length} drug class${mentions.classes.length === 1 ? '' : 'es'}
+      </summary>
+      ${drugRows ? `<div class="text-xs font-medium text-gray-500 dark:text-gray-400 mt-2">Medicines</div><ul class="space-y-1.5 text-sm">${drugRows}</ul>` : ''}
+      ${classRows ? `<div class="text-xs font-medium text-gray-500 dark:text-gray-400 mt-2">Drug classes</div><ul class="space-y-1.5 text-sm">${classRows}</ul>` : ''}
+    </details>
+  `;
+}
+
+// Shows the dashboard feed filtered to one class or medicine (from the modal)
+function filterByMedicine(medicine) {
+  closeModal();
+  switchTab('dashboard');
+  state.currentMedicine = medicine;
+  document.getElementById('filter-medicine').value = medicine;
+  state.currentOffset = 0;
+  state.guidance = [];
+
+  if (state.isSearching) {
+    doSearch();
+  } else {
+    loadDashboard();
+  }
+}
+
+function renderNiceDetails(item) {
+  const nice = item.metadata?.nice;
+  if (!nice) return '';
+
+  const facts = [
+    nice.code && `<span class="nice-code">${escapeHTML(nice.code)}</span>`,
+    nice.guidanceType && escapeHTML(nice.guidanceType),
+    nice.published && `Published ${formatDate(nice.published)}`,
+    nice.lastUpdated && `Last updated ${formatDate(nice.lastUpdated)}`
+  ].filter(Boolean).join(' &middot; ');
+
+  const updates = item.updateInformation || [];
+  const list = updates.map(entry => `
+    <li class="update-entry">
+      <div class="text-xs font-medium text-gray-500 dark:text-gray-400">
+        ${escapeHTML(entry.label)}${entry.minor ? ' &middot; minor change' : ''}
+      </div>
+      <div>${escapeHTML(entry.text)}</div>
+    </li>
+  `).join('');
+
+  return `
+    <div class="nice-panel mb-4">
+      <div class="text-sm">${facts}</div>
+      ${updates.length > 0 ? `
+        <details class="mt-2" open>
+          <summary class="cursor-pointer text-sm font-medium">Update information (${updates.length})</summary>
+          <ul class="mt-2 space-y-2 text-sm">${list}</ul>
+        </details>` : ''}
+    </div>
+  `;
+}
+
+// ── Modal: version history ────────────────────────────────────────────────────
+
+async function renderHistory(id) {
+  const container = document.getElementById('modal-history');
+  let history;
+  try {
+    history = await Api.getHistory(id);
+  } catch (err) {
+    console.error('History load error:', err);
+    return;
+  }
+  if (history.revisions.length < 2) return;
+
+  state.modalRevisions = history.revisions;
+  const options = history.revisions.map((rev, i) =>
+    `<option value="${i}">${formatDate(rev.fetchedDate)} &middot; ${escapeHTML(rev.hash.substring(0, 7))}</option>`
+  ).join('');
+
+  container.innerHTML = `
+    <details class="history-panel mb-4">
+      <summary class="cursor-pointer text-sm font-medium">Version history (${history.revisions.length} revisions)</summary>
+      <div class="flex flex-wrap items-center gap-2 my-3 text-sm">
+        <span>Compare</span>
+        <select id="history-from" class="input-field" onchange="compareRevisions()">${options}</select>
+        <span>with</span>
+        <select id="history-to" class="input-field" onchange="compareRevisions()">${options}</select>
+      </div>
+      <div id="history-diff"></div>
+    </details>
+  `;
+
+  // Default to the most recent change
+  document.getElementById('history-from').value = history.revisions.length - 2;
+  document.getElementById('history-to').value = history.revisions.length - 1;
+  compareRevisions();
+}
+
+function compareRevisions() {
+  const from = state.modalRevisions[document.getElementById('history-from').value];
+  const to = state.modalRevisions[document.getElementById('history-to').value];
+  document.getElementById('history-diff').innerHTML = renderDiff(Diff.paragraphs(from.content, to.content));
+}
+
 function closeModal() {
   const overlay = document.getElementById('modal-overlay');
   overlay.classList.add('hidden');
   overlay.classList.remove('flex');
+  if (location.hash.startsWith('#item=')) history.replaceState(null, '', location.pathname + location.search);
 }
 
 // ── Actions ───────────────────────────────────────────────────────────────────
@@ -382,6 +1387,24 @@ async function acknowledgeChange(id) {
   }
 }
 
+async function saveReview(id, form) {
+  const fields = Object.fromEntries(['status', 'assignee', 'dueDate', 'note'].map(name => [name, form.elements[name].value]));
+  try {
+    const result = await Api.updateReview(id, fields);
+    if (result.error) {
+      form.querySelector('.review-error').textContent = result.error;
+      return;
+    }
+    await loadChanges();
+    if (!document.getElementById('review-report').classList.contains('hidden')) {
+      state.reviewReport = await Api.getReviewReport();
+      renderReviewReport(state.reviewReport);
+    }
+  } catch (err) {
+    console.error('Review save error:', err);
+  }
+}
+
 async function acknowledgeAll() {
   try {
     await Api.acknowledgeAll();
@@ -395,14 +1418,15 @@ async function acknowledgeAll() {
 
 function toggleSaved(id) {
   Api.toggleSaved(id);
-  renderGuidanceFeed(state.guidance);
+  renderGuidanceFeed(state.guidance, state.isSearching ? state.searchHighlight : []);
   updateSavedBadge(Api.savedCount());
   if (state.activeTab === 'saved') loadSaved();
+  if (state.activeTab === 'myfeed') renderMyFeed();
 }
 
 async function clearAllSaved() {
   Api.clearAllSaved();
-  renderGuidanceFeed(state.guidance);
+  renderGuidanceFeed(state.guidance, state.isSearching ? state.searchHighlight : []);
   await loadSaved();
 }
 
@@ -416,6 +1440,294 @@ function updateSavedBadge(count) {
   }
 }
 
+// ── Filtered out actions ──────────────────────────────────────────────────────
+
+function filterFilteredOut() {
+  state.filteredSource = document.getElementById('filtered-source').value;
+  loadFilteredOut();
+}
+
+function togglePromoted(key) {
+  Api.togglePromoted(key);
+  loadFilteredOut();
+  state.currentOffset = 0;
+  state.guidance = [];
+  loadDashboard();
+}
+
+async function suggestRule(key, action) {
+  await Api.suggestRule(key, action);
+  renderRuleSuggestions();
+}
+
+function editRuleSuggestion(index, match) {
+  Api.updateRuleSuggestion(index, { match: match.trim() });
+  renderRuleSuggestions();
+}
+
+function removeRuleSuggestion(index) {
+  Api.removeRuleSuggestion(index);
+  renderRuleSuggestions();
+}
+
+// ── Team sync ─────────────────────────────────────────────────────────────────
+// The optional sync server shares read marks, reviews and saved items (see
+// Api.connectSync); without one everything stays in this browser
+
+const SYNC_ROLES = ['GP partner', 'Salaried GP', 'Practice nurse', 'Pharmacist', 'Practice manager', 'Other'];
+
+const SYNC_LABELS = {
+  off: 'Team sync: off (saved in this browser)',
+  online: 'Team sync: connected',
+  offline: 'Team sync: server unreachable (saved in this browser for now)'
+};
+
+function renderSyncStatus() {
+  const status = Api.syncStatus();
+  document.getElementById('sync-dot').className = `sync-dot sync-${status.status}`;
+  document.getElementById('btn-sync').title = status.user ? `${SYNC_LABELS[status.status]} as ${status.user.name}` : SYNC_LABELS[status.status];
+  if (!document.getElementById('sync-panel').classList.contains('hidden')) renderSyncPanel();
+}
+
+function toggleSyncPanel() {
+  const panel = document.getElementById('sync-panel');
+  panel.classList.toggle('hidden');
+  if (!panel.classList.contains('hidden')) renderSyncPanel();
+}
+
+function renderSyncPanel() {
+  const status = Api.syncStatus();
+  const panel = document.getElementById('sync-panel');
+
+  if (status.user && status.url) {
+    const connection = status.status === 'online'
+      ? `Connected${status.lastSynced ? `, last synced ${relativeTime(status.lastSynced)}` : ''}.`
+      : `Not connected: ${escapeHTML(status.error || 'the server could not be reached')}. Changes are kept in this browser and sent when it's back.`;
+    panel.innerHTML = `
+      <h3 class="font-semibold mb-1">Team sync</h3>
+      <p class="text-sm">Signed in as <strong>${escapeHTML(status.user.name)}</strong>${status.user.role ? ` (${escapeHTML(status.user.role)})` : ''}</p>
+      <p class="text-xs text-gray-500 dark:text-gray-400 mt-1">${escapeHTML(status.url)}</p>
+      <p class="text-sm mt-2">${connection}${status.pending ? ` ${status.pending} change${status.pending === 1 ? '' : 's'} waiting to be sent.` : ''}</p>
+      <div class="flex gap-2 mt-3">
+        <button onclick="refreshSync()" class="btn-primary text-xs py-1 px-3">Sync now</button>
+        <button onclick="disconnectSync()" class="btn-secondary text-xs py-1 px-3">Disconnect</button>
+      </div>`;
+    return;
+  }
+
+  panel.innerHTML = `
+    <h3 class="font-semibold mb-1">Team sync</h3>
+    <p class="text-xs text-gray-500 dark:text-gray-400 mb-2">Share read marks and reviews with your team, and keep your saved items across browsers. Without a sync server they're kept in this browser only.</p>
+    <form onsubmit="event.preventDefault(); submitSync(this)" class="sync-form">
+      <label>Sync server <input name="url" class="input-field" placeholder="https://cgm-sync.example.org" value="${escapeAttr(status.url)}"></label>
+      <label>Access token <input name="token" type="password" class="input-field" placeholder="If the server needs one"></label>
+      <label>Your name <input name="name" class="input-field" required></label>
+      <label>Role <select name="role" class="input-field">${SYNC_ROLES.map(role => `<option>${escapeHTML(role)}</option>`).join('')}</select></label>
+      <span class="sync-error text-xs text-red-500"></span>
+      <button type="submit" class="btn-primary text-sm">Connect</button>
+    </form>`;
+}
+
+async function submitSync(form) {
+  const fields = Object.fromEntries(['url', 'token', 'name', 'role'].map(name => [name, form.elements[name].value]));
+  form.querySelector('.sync-error').textContent = 'Connecting...';
+  const result = await Api.connectSync(fields);
+  if (result.error) {
+    form.querySelector('.sync-error').textContent = result.error;
+    return;
+  }
+  await reloadSynced();
+}
+
+async function refreshSync() {
+  await Api.refreshSync();
+  await reloadSynced();
+}
+
+function disconnectSync() {
+  Api.disconnectSync();
+  renderSyncStatus();
+}
+
+// Read marks, reviews and saved items may have changed under the open tab
+async function reloadSynced() {
+  renderSyncStatus();
+  updateSavedBadge(Api.savedCount());
+  if (state.activeTab === 'changes') await loadChanges();
+  else if (state.activeTab === 'saved') await loadSaved();
+  else if (state.activeTab === 'myfeed') await loadMyFeed();
+  else await loadDashboard();
+}
+
+// ── My feed and profiles ──────────────────────────────────────────────────────
+// A profile keeps the sources, topics and keywords someone follows, in this
+// browser (see Api.saveProfile). The active one picks what My feed lists, what
+// the unread badges count and, unless unticked, what the Changes tab shows.
+
+// The active profile, which the Api takes as `subscriptions`
+function mySubscriptions() {
+  return Api.activeProfile();
+}
+
+async function loadMyFeed(append = false) {
+  renderProfileBar();
+  if (!Api.activeProfile()) {
+    state.myFeed = [];
+    state.myFeedTotal = 0;
+    renderMyFeed();
+    return;
+  }
+
+  try {
+    const result = await Api.getGuidance({
+      sort: 'changed',
+      subscriptions: mySubscriptions(),
+      limit: 20,
+      offset: append ? state.myFeed.length : 0
+    });
+    state.myFeed = append ? state.myFeed.concat(result.items) : result.items;
+    state.myFeedTotal = result.total;
+    renderMyFeed();
+  } catch (err) {
+    console.error('My feed load error:', err);
+    document.getElementById('my-feed').innerHTML =
+      '<div class="p-8 text-center text-gray-400">Failed to load your feed.</div>';
+  }
+}
+
+// Items the profile follows, most recently changed first
+function renderMyFeed() {
+  const container = document.getElementById('my-feed');
+  document.getElementById('my-feed-more').classList.toggle('hidden', state.myFeed.length >= state.myFeedTotal);
+
+  if (!Api.activeProfile()) {
+    container.innerHTML = `
+      <div class="p-8 text-center text-gray-400">
+        <p class="text-lg font-medium">No profile chosen</p>
+        <p class="text-sm mt-1">Create a profile with the sources, topics and keywords you follow, and My feed lists what matches.</p>
+      </div>`;
+    return;
+  }
+  if (state.myFeed.length === 0) {
+    container.innerHTML = '<div class="p-8 text-center text-gray-400">Nothing matches your profile yet.</div>';
+    return;
+  }
+  container.innerHTML = state.myFeed.map(item => guidanceCard(item, [], 'changed')).join('');
+}
+
+function describeSubscriptions(profile) {
+  const followed = [
+    ...profile.sources.map(id => state.sources[id]?.name || id),
+    ...profile.topics.map(topicLabel),
+    ...profile.keywords.map(keyword => `"${keyword}"`)
+  ];
+  return followed.length
+    ? `Following ${escapeHTML(followed.join(', '))}`
+    : 'Following everything. Edit the profile to choose sources, topics and keywords.';
+}
+
+function renderProfileBar() {
+  const { active, profiles } = Api.getProfiles();
+  const profile = profiles.find(p => p.id === active);
+  document.getElementById('profile-select').innerHTML = '<option value="">No profile (everything)</option>' + profiles
+    .map(p => `<option value="${escapeAttr(p.id)}" ${p.id === active ? 'selected' : ''}>${escapeHTML(p.name)}</option>`)
+    .join('');
+  document.getElementById('btn-edit-profile').classList.toggle('hidden', !profile);
+  document.getElementById('profile-summary').innerHTML = profile ? describeSubscriptions(profile) : '';
+}
+
+// Edits the active profile, or a new one when `create` is set
+function toggleProfileEditor(create = false) {
+  const panel = document.getElementById('profile-editor');
+  const profile = create ? null : Api.activeProfile();
+  if (!panel.classList.contains('hidden') && panel.dataset.profile === (profile?.id || '')) {
+    panel.classList.add('hidden');
+    return;
+  }
+
+  const options = (field, entries) => entries.map(([id, label]) => `
+    <label class="profile-option">
+      <input type="checkbox" name="${field}" value="${escapeAttr(id)}" ${profile?.[field].includes(id) ? 'checked' : ''}>
+      ${escapeHTML(label)}
+    </label>`).join('');
+
+  panel.dataset.profile = profile?.id || '';
+  panel.innerHTML = `
+    <form onsubmit="event.preventDefault(); submitProfile(this)" class="profile-form">
+      <input type="hidden" name="id" value="${escapeAttr(profile?.id || '')}">
+      <label class="profile-name">Name <input name="name" class="input-field" required value="${escapeAttr(profile?.name || '')}" placeholder="e.g. Dr Patel"></label>
+      <fieldset>
+        <legend>Sources</legend>
+        ${options('sources', Object.entries(state.sources).map(([id, source]) => [id, source.name || id]))}
+      </fieldset>
+      <fieldset class="${Object.keys(state.topics).length ? '' : 'hidden'}">
+        <legend>Topics</legend>
+        ${options('topics', Object.keys(state.topics).map(id => [id, topicLabel(id)]))}
+      </fieldset>
+      <label class="profile-keywords">Keywords, separated by commas
+        <input name="keywords" class="input-field" value="${escapeAttr(profile?.keywords.join(', ') || '')}" placeholder="e.g. safeguarding, valproate">
+      </label>
+      <p class="text-xs text-gray-500 dark:text-gray-400">An item is in the feed if it matches any source, topic or keyword.</p>
+      <span class="profile-error text-xs text-red-500"></span>
+      <div class="flex gap-2">
+        <button type="submit" class="btn-primary text-sm">Save profile</button>
+        ${profile ? `<button type="button" onclick="deleteProfile('${escapeAttr(profile.id)}')" class="btn-secondary text-sm">Delete profile</button>` : ''}
+      </div>
+    </form>`;
+  panel.classList.remove('hidden');
+}
+
+async function submitProfile(form) {
+  const checked = field => [...form.querySelectorAll(`input[name="${field}"]:checked`)].map(box => box.value);
+  const result = Api.saveProfile({
+    id: form.elements.id.value,
+    name: form.elements.name.value,
+    sources: checked('sources'),
+    topics: checked('topics'),
+    keywords: form.elements.keywords.value.split(',')
+  });
+  if (result.error) {
+    form.querySelector('.profile-error').textContent = result.error;
+    return;
+  }
+  document.getElementById('profile-editor').classList.add('hidden');
+  await reloadForProfile();
+}
+
+async function switchProfile(id) {
+  Api.setActiveProfile(id);
+  document.getElementById('profile-editor').classList.add('hidden');
+  await reloadForProfile();
+}
+
+async function deleteProfile(id) {
+  Api.removeProfile(id);
+  document.getElementById('profile-editor').classList.add('hidden');
+  await reloadForProfile();
+}
+
+// The unread count and My feed follow the active profile
+async function reloadForProfile() {
+  try {
+    state.stats = await Api.getStats({ subscriptions: mySubscriptions() });
+    renderStats(state.stats);
+  } catch (err) {
+    console.error('Stats load error:', err);
+  }
+  await loadMyFeed();
+}
+
+// Changes tab: the "only my profile" tick box, shown when the profile follows something
+function renderSubscribedFilter(subscribed) {
+  document.getElementById('subscribed-filter').classList.toggle('hidden', !subscribed);
+  document.getElementById('filter-subscribed').checked = state.subscribedOnly;
+}
+
+function setSubscribedOnly(checked) {
+  state.subscribedOnly = checked;
+  loadChanges();
+}
+
 // ── Tabs ──────────────────────────────────────────────────────────────────────
 
 function initTabs() {
@@ -438,8 +1750,12 @@ function switchTab(tabName) {
   // Load data for the tab
   if (tabName === 'changes') {
     loadChanges();
+  } else if (tabName === 'myfeed') {
+    loadMyFeed();
   } else if (tabName === 'saved') {
     loadSaved();
+  } else if (tabName === 'filtered') {
+    loadFilteredOut();
   }
 }
 
@@ -475,6 +1791,8 @@ function updateThemeIcons() {
 
 function initEventListeners() {
   document.getElementById('btn-changes').addEventListener('click', () => switchTab('changes'));
+  window.addEventListener('hashchange', routeFromLocation);
+  document.getElementById('saved-queries').addEventListener('click', onSavedQueryClick);
 
   // Close modal on Escape
   document.addEventListener('keydown', (e) => {
@@ -488,8 +1806,9 @@ function startPolling() {
   // Re-fetch data files every 5 minutes to pick up any new guidance
   setInterval(async () => {
     try {
-      const stats = await Api.getStats();
+      const stats = await Api.getStats({ subscriptions: mySubscriptions() });
       updateUnreadBadge(stats.unreadChanges);
+      renderSyncStatus();
     } catch (err) {
       // Silently fail on poll
     }
@@ -498,13 +1817,16 @@ function startPolling() {
 
 // ── Badge updates ─────────────────────────────────────────────────────────────
 
+// With an active profile, `count` is only the changes it follows
 function updateUnreadBadge(count) {
   state.unreadChanges = count;
 
   const headerBadge = document.getElementById('unread-badge');
   const tabBadge = document.getElementById('changes-tab-badge');
+  const profile = Api.activeProfile();
 
   [headerBadge, tabBadge].forEach(badge => {
+    badge.title = profile ? `Unread changes in ${profile.name}'s profile` : 'Unread changes';
     if (count > 0) {
       badge.textContent = count > 99 ? '99+' : count;
       badge.classList.remove('hidden');
@@ -517,8 +1839,9 @@ function updateUnreadBadge(count) {
 // ── Utility functions ─────────────────────────────────────────────────────────
 
 function sourceBadge(source) {
-  const labels = { nice: 'NICE', ncl: 'NCL', nhs: 'NHS', artp: 'ARTP' };
-  return `<span class="source-badge badge-${source}">${labels[source] || source.toUpperCase()}</span>`;
+  const entry = state.sources[source] || {};
+  const style = entry.color ? ` style="background-color: ${escapeAttr(entry.color)}"` : '';
+  return `<span class="source-badge badge-${source}"${style}>${escapeHTML(entry.label || source.toUpperCase())}</span>`;
 }
 
 function formatDate(dateStr) {
@@ -559,10 +1882,12 @@ function escapeAttr(str) {
   return str.replace(/'/g, "\\'").replace(/"/g, '&quot;');
 }
 
-function highlightText(text, query) {
-  if (!query) return text;
-  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  return text.replace(new RegExp(`(${escaped})`, 'gi'), '<mark>$1</mark>');
+// Marks words in escaped HTML matching the search's stems, leaving entities alone
+function highlightText(html, stems) {
+  const pattern = Search.highlightPattern(stems);
+  if (!pattern) return html;
+  return html.replace(/(&[a-z]+;)|([^&]+)/g, (all, entity, text) =>
+    entity || text.replace(pattern, '<mark>$&</mark>'));
 }
 
 function showFeedError(message) {
@@ -0,0 +1,118 @@
+// Clinical Guidance Monitor — Paragraph Diff
+// ═══════════════════════════════════════════
+// Compares two revisions of a guidance item's content paragraph by paragraph.
+// Paragraphs are the non-empty lines produced by the pollers' cleanHTML().
+// Loaded as a plain script in the browser (global `Diff`) and required by the
+// pollers, which score the size of each content update with it.
+
+(function (root) {
+
+  // Above this many paragraph pairs the LCS table gets too big for the browser,
+  // so we fall back to a cheaper set comparison (loses ordering of moves).
+  const DIFF_MAX_CELLS = 4_000_000;
+
+  const Diff = {
+
+    splitParagraphs(text) {
+      return (text || '')
+        .split(/\r?\n/)
+        .map(p => p.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+    },
+
+    // Returns [{ type: 'same' | 'added' | 'removed', text }] in document order
+    paragraphs(oldText, newText) {
+      const a = Diff.splitParagraphs(oldText);
+      const b = Diff.splitParagraphs(newText);
+
+      if (a.length * b.length > DIFF_MAX_CELLS) return Diff.setDiff(a, b);
+
+      // Longest common subsequence table, filled from the end
+      const rows = a.length + 1;
+      const cols = b.length + 1;
+      const lcs = new Uint32Array(rows * cols);
+      for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+          lcs[i * cols + j] = a[i] === b[j]
+            ? lcs[(i + 1) * cols + j + 1] + 1
+            : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+        }
+      }
+
+      const ops = [];
+      let i = 0;
+      let j = 0;
+      while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+          ops.push({ type: 'same', text: a[i] });
+          i++; j++;
+        } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+          ops.push({ type: 'removed', text: a[i++] });
+        } else {
+          ops.push({ type: 'added', text: b[j++] });
+        }
+      }
+      while (i < a.length) ops.push({ type: 'removed', text: a[i++] });
+      while (j < b.length) ops.push({ type: 'added', text: b[j++] });
+
+      return ops;
+    },
+
+    setDiff(a, b) {
+      const inA = new Set(a);
+      const inB = new Set(b);
+      return [
+        ...a.map(text => ({ type: inB.has(text) ? 'same' : 'removed', text })),
+        ...b.filter(text => !inA.has(text)).map(text => ({ type: 'added', text }))
+      ];
+    },
+
+    summary(ops) {
+      return {
+        added: ops.filter(op => op.type === 'added').length,
+        removed: ops.filter(op => op.type === 'removed').length
+      };
+    },
+
+    // Size of an edit: paragraphs touched and characters changed. Within each
+    // run of edits, removed and added paragraphs are paired in order and only
+    // the middle that differs counts, so a one-word fix in a long paragraph
+    // scores a few characters rather than the whole paragraph twice.
+    magnitude(ops) {
+      let paragraphs = 0;
+      let characters = 0;
+      let removed = [];
+      let added = [];
+
+      const flush = () => {
+        const pairs = Math.min(removed.length, added.length);
+        for (let k = 0; k < pairs; k++) characters += Diff.changedCharacters(removed[k], added[k]);
+        for (const text of removed.slice(pairs).concat(added.slice(pairs))) characters += text.length;
+        paragraphs += Math.max(removed.length, added.length);
+        removed = [];
+        added = [];
+      };
+
+      for (const op of ops) {
+        if (op.type === 'same') flush();
+        else if (op.type === 'removed') removed.push(op.text);
+        else added.push(op.text);
+      }
+      flush();
+
+      return { paragraphs, characters };
+    },
+
+    // Characters that differ once the common prefix and suffix are removed
+    changedCharacters(a, b) {
+      let start = 0;
+      while (start < a.length && start < b.length && a[start] === b[start]) start++;
+      let end = 0;
+      while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+      return Math.max(a.length, b.length) - start - end;
+    }
+  };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = Diff;
+  else root.Diff = Diff;
+})(this);
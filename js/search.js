@@ -0,0 +1,404 @@
+// Clinical Guidance Monitor — Full-text search
+// ═════════════════════════════════════════════
+// Text analysis and ranking shared by the pollers, which build an inverted
+// index of every item into data/search-index.json, and the dashboard, which
+// ranks queries against it. Words are lower-cased, stop words dropped and the
+// rest reduced to Porter stems, so "guidelines" finds "guideline". Results are
+// ranked with BM25, scoring the title and the body (description and content)
+// separately and weighting title matches by TITLE_BOOST. Queries can narrow
+// results with operators (QUERY_HELP lists them).
+// Loaded as a plain script in the browser (global `Search`) and required by the
+// pollers.
+
+(function (root) {
+
+  const INDEX_VERSION = 1;
+  const TITLE_BOOST = 3;
+  const BM25_K1 = 1.2;
+  const BM25_B = 0.75;
+
+  const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been',
+    'before', 'being', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'during',
+    'each', 'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him',
+    'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'may', 'me', 'more', 'most',
+    'must', 'my', 'no', 'nor', 'not', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out',
+    'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs',
+    'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up',
+    'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+    'would', 'you', 'your', 'yours'
+  ]);
+
+  // ── Porter stemmer ──────────────────────────────────────────────────────────
+  // M. F. Porter, "An algorithm for suffix stripping" (1980). Patterns below
+  // measure m, the number of vowel–consonant sequences in a stem.
+
+  const STEP2 = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+    entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+    iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+  };
+  const STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+  const CONSONANT = '[^aeiou]';
+  const VOWEL = '[aeiouy]';
+  const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+  const VOWELS = `${VOWEL}[aeiou]*`;
+  const M_GT_0 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`);
+  const M_EQ_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}(${VOWELS})?$`);
+  const M_GT_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}${VOWELS}${CONSONANTS}`);
+  const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+  const CVC = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+
+  function stem(word) {
+    if (word.length < 3 || /[^a-z]/.test(word)) return word;
+
+    let w = word[0] === 'y' ? `Y${word.slice(1)}` : word;
+    let m;
+
+    // Step 1a: plurals
+    if ((m = /^(.+?)(ss|i)es$/.exec(w))) w = m[1] + m[2];
+    else if ((m = /^(.+?)([^s])s$/.exec(w))) w = m[1] + m[2];
+
+    // Step 1b: -eed, -ed, -ing
+    if ((m = /^(.+?)eed$/.exec(w))) {
+      if (M_GT_0.test(m[1])) w = w.slice(0, -1);
+    } else if ((m = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(m[1])) {
+      w = m[1];
+      if (/(at|bl|iz)$/.test(w)) w += 'e';
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (CVC.test(w)) w += 'e';
+    }
+
+    // Step 1c: -y
+    if ((m = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(m[1])) w = `${m[1]}i`;
+
+    // Steps 2 and 3: double and single suffixes
+    if ((m = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))
+      && M_GT_0.test(m[1])) w = m[1] + STEP2[m[2]];
+    if ((m = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && M_GT_0.test(m[1])) w = m[1] + STEP3[m[2]];
+
+    // Step 4: -ant, -ence and the like
+    if ((m = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+      if (M_GT_1.test(m[1])) w = m[1];
+    } else if ((m = /^(.+?)([st])ion$/.exec(w)) && M_GT_1.test(m[1] + m[2])) {
+      w = m[1] + m[2];
+    }
+
+    // Step 5: final -e and -ll
+    if ((m = /^(.+?)e$/.exec(w)) && (M_GT_1.test(m[1]) || (M_EQ_1.test(m[1]) && !CVC.test(m[1])))) w = m[1];
+    if (/ll$/.test(w) && M_GT_1.test(w)) w = w.slice(0, -1);
+
+    return w[0] === 'Y' ? `y${w.slice(1)}` : w;
+  }
+
+  // ── Text analysis ───────────────────────────────────────────────────────────
+
+  // Lower-cased words in order; accents and possessive 's removed
+  function words(text) {
+    const normalised = (text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/\u2019/g, "'");
+    return (normalised.match(/[a-z0-9]+(?:'[a-z]+)*/g) || [])
+      .map(word => word.replace(/'s$/, '').replace(/'/g, ''));
+  }
+
+  // Index terms for a text. Phrase matching keeps stop words so positions line
+  // up with the text ("management of asthma").
+  function analyze(text, { keepStopWords = false } = {}) {
+    return words(text)
+      .filter(word => keepStopWords || !STOP_WORDS.has(word))
+      .map(stem);
+  }
+
+  // ── Queries ─────────────────────────────────────────────────────────────────
+
+  const QUERY_HELP = [
+    { syntax: 'source:nice', description: 'Only items from a source; several as source:nice,nhs' },
+    { syntax: 'type:chapter', description: 'Only items of a type: guidance, chapter or article' },
+    { syntax: 'published:>2026-01-01', description: 'Published after a date; also <, >=, <=, a year or month (2026-03), or last-30d' },
+    { syntax: 'changed:last-7d', description: 'New or updated in the last days (d), weeks (w), months (m) or years (y), or since a date' },
+    { syntax: 'title:asthma', description: 'Words or a "phrase" in the title' },
+    { syntax: '"heart failure"', description: 'Words in this order' },
+    { syntax: '-webinar', description: 'Leave out items containing a word or "phrase"; also -source:nhs' }
+  ];
+
+  const FILTER_OPERATORS = ['source', 'type', 'published', 'changed'];
+  const QUERY_TOKEN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|([^\s"]*))/gi;
+
+  function isoDate(time) {
+    return new Date(time).toISOString().slice(0, 10);
+  }
+
+  // { from, to } ISO dates (to exclusive, either may be null) for
+  // "2026-01-01", ">2026-03", "<=2025" or "last-7d"; null if not a date
+  function parseDateRange(value, now = new Date()) {
+    const relative = /^last-(\d+)([dwmy])$/i.exec(value);
+    if (relative) {
+      const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+      const n = Number(relative[1]);
+      const unit = relative[2].toLowerCase();
+      if (unit === 'd') from.setUTCDate(from.getUTCDate() - n);
+      if (unit === 'w') from.setUTCDate(from.getUTCDate() - n * 7);
+      if (unit === 'm') from.setUTCMonth(from.getUTCMonth() - n);
+      if (unit === 'y') from.setUTCFullYear(from.getUTCFullYear() - n);
+      return { from: isoDate(from), to: null };
+    }
+
+    const absolute = /^(>=|<=|>|<|=)?(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/.exec(value);
+    if (!absolute) return null;
+    const [, op = '=', year, month, day] = absolute;
+    const start = new Date(Date.UTC(Number(year), month ? Number(month) - 1 : 0, day ? Number(day) : 1));
+    if (isNaN(start) || (month && start.getUTCMonth() !== Number(month) - 1) || (day && start.getUTCDate() !== Number(day))) return null;
+    const end = new Date(start);
+    if (day) end.setUTCDate(end.getUTCDate() + 1);
+    else if (month) end.setUTCMonth(end.getUTCMonth() + 1);
+    else end.setUTCFullYear(end.getUTCFullYear() + 1);
+
+    const [from, to] = [isoDate(start), isoDate(end)];
+    return { '=': { from, to }, '>': { from: to, to: null }, '>=': { from, to: null }, '<': { from: null, to: from }, '<=': { from: null, to } }[op];
+  }
+
+  // Parses words, "quoted phrases", title: scopes, -exclusions and filter
+  // operators. Returns the stems every result needs anywhere (`terms`) and in
+  // its title (`titleTerms`), the phrases to check in order, `exclusions`
+  // ({ stems, field }), `filters` for the operators, the stems to highlight,
+  // the plain words as typed (`text`) and any `errors` in operator values.
+  function parseQuery(query, now = new Date()) {
+    const parsed = {
+      terms: [],
+      titleTerms: [],
+      phrases: [],
+      exclusions: [],
+      filters: { source: { include: [], exclude: [] }, type: { include: [], exclude: [] }, published: [], changed: [] },
+      errors: []
+    };
+    const add = (list, stems) => { for (const stem of stems) if (!list.includes(stem)) list.push(stem); };
+    const plain = [];
+
+    QUERY_TOKEN.lastIndex = 0;
+    let m;
+    while ((m = QUERY_TOKEN.exec(query || ''))) {
+      if (m[0] === '') { QUERY_TOKEN.lastIndex++; continue; }
+      const negated = m[1] === '-';
+      const field = m[2]?.toLowerCase();
+      const quoted = m[3] !== undefined;
+      const value = quoted ? m[3] : m[4];
+
+      if (FILTER_OPERATORS.includes(field)) {
+        if (!value) {
+          parsed.errors.push(`${field}: needs a value, e.g. ${QUERY_HELP.find(h => h.syntax.startsWith(field)).syntax}`);
+        } else if (field === 'source' || field === 'type') {
+          parsed.filters[field][negated ? 'exclude' : 'include'].push(...value.toLowerCase().split(',').filter(Boolean));
+        } else {
+          const range = parseDateRange(value, now);
+          if (range) parsed.filters[field].push({ ...range, negated });
+          else parsed.errors.push(`${field}:${value} isn't a date; use 2026-01-01, >2026-01-01, 2026-03 or last-7d`);
+        }
+        continue;
+      }
+
+      const scope = field === 'title' ? 'title' : null;
+      const text = field && !scope ? `${m[2]}:${value}` : value;
+      const stems = analyze(text);
+      const ordered = analyze(text, { keepStopWords: true });
+      if (negated) {
+        if (ordered.length) parsed.exclusions.push({ stems: quoted ? ordered : stems, field: scope });
+        continue;
+      }
+      if (quoted && ordered.length > 1) parsed.phrases.push({ stems: ordered, field: scope });
+      add(scope ? parsed.titleTerms : parsed.terms, stems);
+      if (!scope) plain.push(text);
+    }
+
+    parsed.highlight = [...new Set([...parsed.terms, ...parsed.titleTerms])];
+    parsed.text = plain.join(' ').trim();
+    return parsed;
+  }
+
+  // Whether a parsed query asks for anything at all
+  function hasCriteria(parsed) {
+    const { filters } = parsed;
+    return parsed.terms.length > 0 || parsed.titleTerms.length > 0 || parsed.phrases.length > 0
+      || parsed.exclusions.length > 0 || filters.source.include.length > 0 || filters.source.exclude.length > 0
+      || filters.type.include.length > 0 || filters.type.exclude.length > 0
+      || filters.published.length > 0 || filters.changed.length > 0;
+  }
+
+  // Whether an ISO date or timestamp falls in a { from, to, negated } range
+  function inDateRange(date, { from, to, negated }) {
+    const time = date ? new Date(date) : null;
+    if (!time || isNaN(time)) return false;
+    const day = isoDate(time);
+    const inside = (!from || day >= from) && (!to || day < to);
+    return negated ? !inside : inside;
+  }
+
+  // ── Index ───────────────────────────────────────────────────────────────────
+  // { version, built, docs: [id], lengths: [[title, body]], average: [title, body],
+  //   postings: { stem: [doc, titleCount, bodyCount, doc, …] } }
+
+  function itemFields(item) {
+    return {
+      title: item.title || '',
+      body: [item.metadata?.description, item.content].filter(Boolean).join('\n')
+    };
+  }
+
+  function countTerms(stems) {
+    const counts = new Map();
+    for (const s of stems) counts.set(s, (counts.get(s) || 0) + 1);
+    return counts;
+  }
+
+  function buildIndex(items) {
+    const docs = [];
+    const lengths = [];
+    const postings = Object.create(null);
+    const totals = [0, 0];
+
+    for (const item of items) {
+      const fields = itemFields(item);
+      const title = analyze(fields.title);
+      const body = analyze(fields.body);
+      const doc = docs.length;
+      docs.push(item.id);
+      lengths.push([title.length, body.length]);
+      totals[0] += title.length;
+      totals[1] += body.length;
+
+      const titleCounts = countTerms(title);
+      const bodyCounts = countTerms(body);
+      for (const term of new Set([...titleCounts.keys(), ...bodyCounts.keys()])) {
+        (postings[term] = postings[term] || []).push(doc, titleCounts.get(term) || 0, bodyCounts.get(term) || 0);
+      }
+    }
+
+    const count = Math.max(1, docs.length);
+    return {
+      version: INDEX_VERSION,
+      built: new Date().toISOString(),
+      docs,
+      lengths,
+      average: [totals[0] / count, totals[1] / count],
+      postings
+    };
+  }
+
+  // ── Ranking ─────────────────────────────────────────────────────────────────
+
+  function fieldScore(idf, count, length, average) {
+    if (!count) return 0;
+    return idf * (count * (BM25_K1 + 1)) / (count + BM25_K1 * (1 - BM25_B + BM25_B * length / Math.max(1, average)));
+  }
+
+  // Items matching the parsed query's words, best first: [{ id, score, inTitle }].
+  // Every word must match (title: words in the title), and items containing
+  // an excluded word are dropped. A query of several plain words with no such
+  // item falls back to items matching any of them (`mode` says which). With
+  // no words every item not excluded matches, scoring 0. Phrases and
+  // multi-word exclusions are checked by the caller against the text.
+  function rank(index, parsed) {
+    const required = [
+      ...parsed.terms.map(term => ({ term, titleOnly: false })),
+      ...parsed.titleTerms.map(term => ({ term, titleOnly: true }))
+    ];
+    const postingsFor = term => (Object.hasOwn(index.postings, term) ? index.postings[term] : []);
+
+    const excluded = new Set();
+    for (const { stems, field } of parsed.exclusions.filter(e => e.stems.length === 1)) {
+      const list = postingsFor(stems[0]);
+      for (let i = 0; i < list.length; i += 3) {
+        if (list[i + 1] > 0 || (!field && list[i + 2] > 0)) excluded.add(list[i]);
+      }
+    }
+
+    if (required.length === 0) {
+      return {
+        mode: 'all',
+        results: index.docs.filter((id, doc) => !excluded.has(doc)).map(id => ({ id, score: 0, inTitle: false }))
+      };
+    }
+
+    const total = index.docs.length;
+    const matched = new Map();
+
+    for (const { term, titleOnly } of required) {
+      const list = postingsFor(term);
+      const documentFrequency = list.length / 3;
+      const idf = Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+      for (let i = 0; i < list.length; i += 3) {
+        const [doc, titleCount, bodyCount] = [list[i], list[i + 1], list[i + 2]];
+        if (excluded.has(doc) || (titleOnly && titleCount === 0)) continue;
+        const [titleLength, bodyLength] = index.lengths[doc];
+        const entry = matched.get(doc) || { doc, score: 0, terms: 0, inTitle: false };
+        entry.score += TITLE_BOOST * fieldScore(idf, titleCount, titleLength, index.average[0])
+          + (titleOnly ? 0 : fieldScore(idf, bodyCount, bodyLength, index.average[1]));
+        entry.terms++;
+        entry.inTitle = entry.inTitle || titleCount > 0;
+        matched.set(doc, entry);
+      }
+    }
+
+    let entries = [...matched.values()].filter(entry => entry.terms === required.length);
+    let mode = 'all';
+    const plainWords = parsed.titleTerms.length === 0 && parsed.phrases.length === 0;
+    if (entries.length === 0 && required.length > 1 && plainWords) {
+      entries = [...matched.values()];
+      mode = 'any';
+    }
+
+    return {
+      mode,
+      results: entries
+        .map(({ doc, score, inTitle }) => ({ id: index.docs[doc], score, inTitle }))
+        .sort((a, b) => b.score - a.score)
+    };
+  }
+
+  // Whether the stems of a phrase appear in order in the text
+  function containsPhrase(text, phrase) {
+    const stems = analyze(text, { keepStopWords: true });
+    outer: for (let i = 0; i + phrase.length <= stems.length; i++) {
+      for (let j = 0; j < phrase.length; j++) {
+        if (stems[i + j] !== phrase[j]) continue outer;
+      }
+      return true;
+    }
+    return false;
+  }
+
+  // Case-insensitive pattern for a word whose stem is given ("therapi" matches
+  // "therapy" and "therapies")
+  function highlightPattern(stems) {
+    const prefixes = stems
+      .map(s => (s.length > 3 ? s.replace(/[ie]$/, '') : s))
+      .map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return prefixes.length ? new RegExp(`\\b(?:${prefixes.join('|')})[a-z0-9]*`, 'gi') : null;
+  }
+
+  const Search = {
+    INDEX_VERSION,
+    TITLE_BOOST,
+    STOP_WORDS,
+    QUERY_HELP,
+    FILTER_OPERATORS,
+    stem,
+    analyze,
+    parseDateRange,
+    parseQuery,
+    hasCriteria,
+    inDateRange,
+    itemFields,
+    buildIndex,
+    rank,
+    containsPhrase,
+    highlightPattern
+  };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = Search;
+  else root.Search = Search;
+})(this);
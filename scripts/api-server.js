@@ -0,0 +1,400 @@
+'use strict';
+
+// Clinical Guidance Monitor — API server
+// An optional, self-hosted server for the API the dashboard's data client
+// (js/api.js) is written against, so counts, lists and searches are worked out
+// once on the server instead of in every browser, and read marks are kept in
+// one place for everyone:
+//
+//   node scripts/api-server.js [--port 8080] [--host 0.0.0.0] [--file <path>]
+//
+// It also serves the dashboard itself, switched over to the API, at / and the
+// sync server's routes under /sync (see scripts/sync-server.js). A copy of the
+// dashboard hosted elsewhere uses the API once index.html names it in
+// <meta name="cgm-api-url">; set API_ORIGIN to that copy's origin to only
+// answer it (default: any origin).
+//
+// Routes (JSON; list routes take `limit`, up to 500, and `offset`; sources,
+// topics and keywords are a profile's subscriptions, comma-separated):
+//
+//   GET  /api/stats                       ?sources, topics, keywords
+//   GET  /api/guidance                    ?source, topic, medicine, guidanceType,
+//                                          updatedWithin, from, to, sort, sources,
+//                                          topics, keywords
+//   GET  /api/guidance/:id
+//   GET  /api/changes                     ?from, to, sort, sources, topics,
+//                                          keywords, subscribedOnly
+//   POST /api/changes/:id/acknowledge     { by } marks a change read
+//   POST /api/changes/acknowledge-all     { by } marks every change read
+//   GET  /api/search                      ?q, and the /api/guidance filters
+//
+// The answers come from the dashboard's own client code, run here over the
+// data files, so they match the static site's. Read marks are kept in
+// data/acknowledged.json by default; reviews stay with the dashboard and the
+// sync server.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { DATA_DIR } = require('./lib/data');
+const { createSyncHandler } = require('./sync-server');
+
+const ROOT = path.join(__dirname, '..');
+const CLIENT_SCRIPTS = ['js/diff.js', 'js/search.js', 'js/api.js'];
+const MAX_PAGE_SIZE = 500;
+const MAX_BODY_BYTES = 16 * 1024;
+const SORTS = ['published', 'fetched', 'changed', 'title', 'source'];
+const GUIDANCE_FILTERS = ['source', 'topic', 'medicine', 'guidanceType', 'updatedWithin', 'from', 'to', 'sort'];
+const SEARCH_FILTERS = GUIDANCE_FILTERS.filter(key => key !== 'source');
+const CHANGE_FILTERS = ['from', 'to', 'sort'];
+
+// Data files the client reads; a new copy of any of them is picked up on the
+// next request
+const CLIENT_DATA = ['guidance.json', 'changes.json', 'config.json', 'filtered.json', 'search-index.json', 'drugs.json', 'history.json'];
+
+// Served to the dashboard as they are; the rest of data/ is the pollers' and
+// the servers' own bookkeeping
+const PUBLIC_DATA = /^data\/(?:[\w-]+\.json|feeds\/[\w-]+\.(?:rss|atom))$/;
+const PRIVATE_DATA = ['acknowledged.json', 'sync.json', 'http-cache.json', 'page-hashes.json', 'seen.json', 'webhook-log.json', 'digests.json'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.rss': 'application/rss+xml; charset=utf-8',
+  '.atom': 'application/atom+xml; charset=utf-8'
+};
+
+// ── Read marks ─────────────────────────────────────────────────────────────────
+
+function loadMarks(file) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Written to a temporary file first, so a crash never leaves half a file
+function saveMarks(file, marks) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(marks, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// ── Client ─────────────────────────────────────────────────────────────────────
+// js/api.js runs in a sandbox of its own, where fetch reads the data directory
+// and localStorage holds the server's read marks rather than a browser's
+
+function createClient(dataDir, marks) {
+  const memory = new Map();
+  const localStorage = {
+    getItem: key => (key === 'cgm-acknowledged' ? JSON.stringify(marks) : memory.get(key) ?? null),
+    setItem: (key, value) => { memory.set(key, String(value)); },
+    removeItem: key => { memory.delete(key); }
+  };
+
+  const fetchData = async url => {
+    const name = String(url).match(/^data\/([\w-]+\.json)$/)?.[1];
+    const file = name && path.join(dataDir, name);
+    if (!file || !fs.existsSync(file)) return { ok: false, status: 404, json: async () => ({}) };
+    const body = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(body) };
+  };
+
+  const context = vm.createContext({ console, fetch: fetchData, localStorage, AbortSignal, URLSearchParams });
+  for (const script of CLIENT_SCRIPTS) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), context, { filename: script });
+  }
+
+  let version = '';
+  return {
+    Api: vm.runInContext('Api', context),
+    // Drops the client's cached data when a data file has been rewritten
+    refresh() {
+      const current = CLIENT_DATA.map(name => {
+        try {
+          return fs.statSync(path.join(dataDir, name)).mtimeMs;
+        } catch {
+          return 0;
+        }
+      }).join(':');
+      if (current !== version) vm.runInContext('_lastFetch = 0;', context);
+      version = current;
+    }
+  };
+}
+
+// ── Requests ───────────────────────────────────────────────────────────────────
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Route parameters as the client meant them; a broken percent-escape is the
+// client's mistake, not a server error
+function decodeParams(params) {
+  try {
+    return params.map(decodeURIComponent);
+  } catch {
+    throw httpError(400, 'Malformed path');
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) reject(httpError(413, 'Request body too large'));
+    });
+    req.on('end', () => {
+      if (!body) return resolve({});
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        reject(httpError(400, 'Request body is not JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function pageNumber(query, key, min) {
+  if (!query.has(key)) return undefined;
+  const value = Number(query.get(key));
+  if (!Number.isInteger(value) || value < min || (key === 'limit' && value > MAX_PAGE_SIZE)) {
+    throw httpError(400, key === 'limit' ? `limit must be 1–${MAX_PAGE_SIZE}` : 'offset must be 0 or more');
+  }
+  return value;
+}
+
+// The named filters that were given, checked, with limit and offset; anything
+// left out takes the client's default
+function listParams(query, keys) {
+  const params = {};
+  for (const key of keys) {
+    if (query.get(key)) params[key] = query.get(key);
+  }
+  for (const key of ['from', 'to']) {
+    if (params[key] && !/^\d{4}-\d{2}-\d{2}$/.test(params[key])) throw httpError(400, `${key} must be YYYY-MM-DD`);
+  }
+  if (params.sort && !SORTS.includes(params.sort)) throw httpError(400, `Unknown sort "${params.sort}"`);
+  const limit = pageNumber(query, 'limit', 1);
+  const offset = pageNumber(query, 'offset', 0);
+  if (limit !== undefined) params.limit = limit;
+  if (offset !== undefined) params.offset = offset;
+  return params;
+}
+
+// A profile's subscriptions; with none given, everything matches
+function subscriptionsOf(query) {
+  const list = key => (query.get(key) || '').split(',').map(value => value.trim()).filter(Boolean);
+  return { sources: list('sources'), topics: list('topics'), keywords: list('keywords') };
+}
+
+function readerName(body) {
+  if (body.by === undefined || body.by === null) return '';
+  if (typeof body.by !== 'string' || body.by.length > 200) throw httpError(400, 'by must be a name');
+  return body.by.trim();
+}
+
+// ── Routes ─────────────────────────────────────────────────────────────────────
+
+// [method, pattern, handler(server, request, params)], matched against the
+// path below /api. Handlers that change the read marks return changed: true.
+const ROUTES = [
+  ['GET', /^\/stats$/, ({ Api }, { query }) => Api.getStats({ subscriptions: subscriptionsOf(query) })],
+
+  ['GET', /^\/guidance$/, ({ Api }, { query }) => {
+    return Api.getGuidance({ ...listParams(query, GUIDANCE_FILTERS), subscriptions: subscriptionsOf(query) });
+  }],
+
+  ['GET', /^\/guidance\/([^/]+)$/, async ({ Api }, request, [id]) => {
+    const item = await Api.getGuidanceById(id);
+    if (item.error) throw httpError(404, `No guidance "${id}"`);
+    return item;
+  }],
+
+  // Without reviews here, the client's review fields are left out
+  ['GET', /^\/changes$/, async ({ Api }, { query }) => {
+    const { reviewCounts, ...result } = await Api.getChanges({
+      ...listParams(query, CHANGE_FILTERS),
+      subscriptions: subscriptionsOf(query),
+      subscribedOnly: query.get('subscribedOnly') === 'true'
+    });
+    return { ...result, items: result.items.map(({ review, ...change }) => change) };
+  }],
+
+  ['POST', /^\/changes\/acknowledge-all$/, ({ marks, changes }, { body }) => {
+    const by = readerName(body);
+    const at = new Date().toISOString();
+    const ids = Object.keys(changes()).filter(id => !marks[id]);
+    for (const id of ids) marks[id] = { at, by };
+    return { changed: ids.length > 0, success: true, acknowledged: ids.length };
+  }],
+
+  ['POST', /^\/changes\/([^/]+)\/acknowledge$/, ({ marks, changes }, { body }, [id]) => {
+    const by = readerName(body);
+    if (!changes()[id]) throw httpError(404, `No change "${id}"`);
+    if (marks[id]) return { success: true };
+    marks[id] = { at: new Date().toISOString(), by };
+    return { changed: true, success: true };
+  }],
+
+  ['GET', /^\/search$/, ({ Api }, { query }) => {
+    return Api.search(query.get('q') || '', query.get('source') || 'all', listParams(query, SEARCH_FILTERS));
+  }]
+];
+
+// A request handler for the API under /api, for http.createServer or a server
+// that mounts it. Resolves to false for paths it doesn't serve.
+function createApiHandler({ dataDir = DATA_DIR, file = path.join(dataDir, 'acknowledged.json'), origin = '*' } = {}) {
+  const marks = loadMarks(file);
+  const client = createClient(dataDir, marks);
+  const server = {
+    Api: client.Api,
+    marks,
+    changes: () => JSON.parse(fs.readFileSync(path.join(dataDir, 'changes.json'), 'utf8'))
+  };
+
+  const send = (res, status, data) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Cache-Control': 'no-store'
+    });
+    res.end(status === 204 ? undefined : JSON.stringify(data));
+  };
+
+  return async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/api' && !url.pathname.startsWith('/api/')) return false;
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+      return true;
+    }
+
+    try {
+      const route = url.pathname.slice('/api'.length);
+      let params = null;
+      const match = ROUTES.find(([method, pattern]) => {
+        if (method !== req.method) return false;
+        params = route.match(pattern);
+        return !!params;
+      });
+      if (!match) {
+        throw ROUTES.some(([, pattern]) => pattern.test(route))
+          ? httpError(405, `${req.method} not allowed on ${url.pathname}`)
+          : httpError(404, `No route ${url.pathname}`);
+      }
+
+      const args = decodeParams(params.slice(1));
+      client.refresh();
+      const body = req.method === 'POST' ? await readBody(req) : {};
+      const { changed, ...result } = await match[2](server, { query: url.searchParams, body }, args);
+      if (changed) saveMarks(file, marks);
+      send(res, 200, result);
+    } catch (err) {
+      if (!err.status) console.error('API error:', err);
+      send(res, err.status || 500, { error: err.status ? err.message : 'Internal error' });
+    }
+    return true;
+  };
+}
+
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify({ error: message }));
+}
+
+// ── Dashboard ──────────────────────────────────────────────────────────────────
+
+// The dashboard's files, with index.html pointed at this server's API
+function createStaticHandler({ dataDir = DATA_DIR } = {}) {
+  return function handle(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname).replace(/^\/+/, '') || 'index.html';
+    } catch {
+      sendError(res, 400, 'Malformed path');
+      return true;
+    }
+
+    let file = null;
+    if (pathname === 'index.html' || /^(?:js|css)\/[\w.-]+\.(?:js|css)$/.test(pathname)) file = path.join(ROOT, pathname);
+    else if (PUBLIC_DATA.test(pathname) && !PRIVATE_DATA.includes(pathname.slice('data/'.length))) file = path.join(dataDir, pathname.slice('data/'.length));
+    if (!file || !fs.existsSync(file)) return false;
+
+    let body = fs.readFileSync(file);
+    if (pathname === 'index.html') {
+      body = body.toString('utf8').replace(/(<meta name="cgm-api-url" content=")[^"]*"/, '$1api"');
+    }
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+    return true;
+  };
+}
+
+// Resolves to the listening server once it is ready
+function startApiServer({ port = 8080, host = '127.0.0.1', sync = {}, ...options } = {}) {
+  const { dataDir = DATA_DIR } = options;
+  const handlers = [
+    createApiHandler(options),
+    createSyncHandler({ file: path.join(dataDir, 'sync.json'), ...sync }),
+    createStaticHandler(options)
+  ];
+  // A request that fails in a way no handler expected gets a 500, never the
+  // whole server
+  const server = http.createServer(async (req, res) => {
+    try {
+      for (const handle of handlers) {
+        if (await handle(req, res)) return;
+      }
+      sendError(res, 404, 'Not found');
+    } catch (err) {
+      console.error('Request error:', err);
+      if (res.headersSent) res.destroy();
+      else sendError(res, 500, 'Internal error');
+    }
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+async function main(args) {
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : fallback;
+  };
+  const file = path.resolve(option('--file', path.join(DATA_DIR, 'acknowledged.json')));
+
+  const server = await startApiServer({
+    port: Number(option('--port', process.env.PORT || 8080)),
+    host: option('--host', '127.0.0.1'),
+    file,
+    origin: process.env.API_ORIGIN || '*',
+    sync: { token: process.env.SYNC_TOKEN || '', origin: process.env.SYNC_ORIGIN || '*' }
+  });
+  const { address, port } = server.address();
+  console.log(`API server listening on http://${address}:${port}/ (API under /api); read marks are kept in ${file}. Ctrl-C to stop.`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error('Fatal error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createApiHandler, createStaticHandler, startApiServer };
@@ -0,0 +1,103 @@
+'use strict';
+
+// Clinical Guidance Monitor — Email digests
+// Emails each recipient in config.json → digest.recipients (see
+// scripts/lib/digest.js) the changes recorded since their last digest, once
+// their daily or weekly digest is due:
+//
+//   node scripts/digest.js                 send the digests that are due
+//   node scripts/digest.js --dry-run       print them instead; nothing is sent or recorded
+//   node scripts/digest.js --force         send whether or not they're due
+//   node scripts/digest.js --to <email>    only this recipient
+//
+// When each recipient last had a digest is kept in data/digests.json. A due
+// digest with no changes isn't sent, but its period still ends. For SMTP
+// settings see scripts/lib/smtp.js; scripts/smtp-sink.js stands in for a relay.
+
+const { readData, writeData } = require('./lib/data');
+const { CADENCES, isDue, windowStart, selectEntries, composeDigest } = require('./lib/digest');
+const { smtpSettings, sendMail } = require('./lib/smtp');
+
+async function main(args) {
+  const dryRun = args.includes('--dry-run');
+  const force = args.includes('--force');
+  const toIndex = args.indexOf('--to');
+  const only = toIndex >= 0 ? args[toIndex + 1] : null;
+
+  const config = readData('config.json', {});
+  const digest = config.digest || {};
+  const recipients = (digest.recipients || []).filter(r => !only || r.email === only);
+
+  if (recipients.length === 0) {
+    if (only) {
+      console.error(`No digest recipient "${only}" in config.json`);
+      return 1;
+    }
+    console.log('No digest recipients in config.json');
+    return 0;
+  }
+  if (!digest.from && !dryRun) {
+    console.error('Set digest.from in config.json to the address digests are sent from');
+    return 1;
+  }
+
+  const changes = readData('changes.json', {});
+  const guidance = readData('guidance.json', {});
+  const sent = readData('digests.json', {});
+  const settings = smtpSettings(digest.smtp);
+  const now = Date.now();
+  const until = new Date(now).toISOString();
+  let status = 0;
+
+  for (const recipient of recipients) {
+    const { email, cadence } = recipient;
+    if (!CADENCES[cadence]) {
+      console.error(`${email}: unknown cadence "${cadence}" (use ${Object.keys(CADENCES).join(' or ')})`);
+      status = 1;
+      continue;
+    }
+
+    const lastSent = sent[email]?.lastSent || null;
+    if (!force && !isDue(cadence, lastSent, now)) {
+      console.log(`${email}: ${cadence} digest not due (last one ${lastSent})`);
+      continue;
+    }
+
+    const since = windowStart(cadence, lastSent, now);
+    const entries = selectEntries(changes, guidance, recipient, since, until);
+    if (entries.length === 0) {
+      console.log(`${email}: no changes since ${since}`);
+      if (!dryRun) sent[email] = { lastSent: until, changes: 0 };
+      continue;
+    }
+
+    const message = composeDigest(entries, recipient, config, { since, until });
+    if (dryRun) {
+      console.log(`── To ${email}: ${message.subject}\n\n${message.text}`);
+      continue;
+    }
+
+    try {
+      await sendMail(settings, { from: digest.from, to: email, ...message });
+      sent[email] = { lastSent: until, changes: entries.length };
+      console.log(`${email}: sent ${cadence} digest of ${entries.length} change${entries.length === 1 ? '' : 's'}`);
+    } catch (err) {
+      console.error(`${email}: digest not sent — ${err.message}`);
+      status = 1;
+    }
+  }
+
+  if (!dryRun) writeData('digests.json', sent);
+  return status;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error('Fatal error:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
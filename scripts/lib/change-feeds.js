@@ -0,0 +1,181 @@
+'use strict';
+
+// Clinical Guidance Monitor — Change feeds
+// Whatever writes changes.json rebuilds the RSS 2.0 and Atom feeds of recent
+// changes under data/feeds/, so the site can be followed from a feed reader:
+//
+//   all.rss, all.atom                       every source
+//   source-<id>.rss, source-<id>.atom       one per source in the registry
+//   topic-<id>.rss, topic-<id>.atom         one per topic in the taxonomy
+//
+// Entries link to the item in the dashboard, given its address in
+// config.json → feeds.siteUrl (or digest.dashboardUrl). In GitHub Actions the
+// repository's Pages address is used when neither is set; elsewhere, without
+// one, entries link to the original page. Minor updates are left out, as they
+// are from the unread count.
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./data');
+const { TYPE_LABELS, excerptOf, changeSummary } = require('./digest');
+
+const FEEDS_DIR = path.join(DATA_DIR, 'feeds');
+const FEED_LENGTH = 50;
+const TITLE = 'Clinical Guidance Monitor';
+
+function escapeXML(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ── Entries ────────────────────────────────────────────────────────────────────
+
+function siteUrlOf(config, env = process.env) {
+  const [owner, repo] = (env.GITHUB_REPOSITORY || '').split('/');
+  const pages = owner && repo ? `https://${owner.toLowerCase()}.github.io/${repo}/` : '';
+  const url = config.feeds?.siteUrl || config.digest?.dashboardUrl || pages;
+  return url && !url.endsWith('/') ? `${url}/` : url;
+}
+
+// The dashboard opens #item=<id> in the detail view
+function itemLink(siteUrl, id) {
+  return `${siteUrl}#item=${encodeURIComponent(id)}`;
+}
+
+function buildEntry(change, guidance, config, siteUrl) {
+  const id = change.guidanceId || `content:${change.id.split(':').pop()}`;
+  const item = guidance[id];
+  const url = item?.url || change.url;
+  const sourceName = config.sources?.[change.source]?.name || change.source;
+  const topics = (item?.topics || []).map(t => config.topics?.[t]?.label || t);
+  const summary = change.changeType === 'content_update' ? changeSummary(change) : '';
+  const excerpt = excerptOf(item);
+
+  const html = [
+    summary && `<p><strong>${escapeXML(summary)}</strong></p>`,
+    excerpt && `<p>${escapeXML(excerpt)}</p>`,
+    `<p>${escapeXML(sourceName)}${topics.length ? ` · ${escapeXML(topics.join(', '))}` : ''} · <a href="${escapeXML(url)}">Original page</a></p>`,
+    siteUrl && item && `<p><a href="${escapeXML(itemLink(siteUrl, id))}">Open in the dashboard</a></p>`
+  ].filter(Boolean).join('');
+
+  return {
+    id: change.id,
+    title: `[${TYPE_LABELS[change.changeType] || change.changeType}] ${item?.title || change.title}`,
+    link: siteUrl && item ? itemLink(siteUrl, id) : url,
+    detectedAt: change.detectedAt,
+    categories: [sourceName, ...topics],
+    summary: [summary, excerpt].filter(Boolean).join(' — '),
+    html,
+    source: change.source,
+    topics: item?.topics || []
+  };
+}
+
+// ── Rendering ──────────────────────────────────────────────────────────────────
+
+function renderRSS(feed, entries) {
+  const items = entries.map(entry => `
+    <item>
+      <title>${escapeXML(entry.title)}</title>
+      <link>${escapeXML(entry.link)}</link>
+      <guid isPermaLink="false">${escapeXML(entry.id)}</guid>
+      <pubDate>${new Date(entry.detectedAt).toUTCString()}</pubDate>
+${entry.categories.map(c => `      <category>${escapeXML(c)}</category>\n`).join('')}      <description>${escapeXML(entry.html)}</description>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXML(feed.title)}</title>
+    <link>${escapeXML(feed.siteUrl || feed.link)}</link>
+    <description>${escapeXML(feed.description)}</description>
+    <language>en-gb</language>
+${feed.selfUrl ? `    <atom:link href="${escapeXML(`${feed.selfUrl}.rss`)}" rel="self" type="application/rss+xml"/>\n` : ''}    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed, entries) {
+  const items = entries.map(entry => `
+  <entry>
+    <title>${escapeXML(entry.title)}</title>
+    <link href="${escapeXML(entry.link)}"/>
+    <id>urn:cgm:${escapeXML(entry.id)}</id>
+    <updated>${new Date(entry.detectedAt).toISOString()}</updated>
+${entry.categories.map(c => `    <category term="${escapeXML(c)}"/>\n`).join('')}    <summary>${escapeXML(entry.summary)}</summary>
+    <content type="html">${escapeXML(entry.html)}</content>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-GB">
+  <title>${escapeXML(feed.title)}</title>
+  <subtitle>${escapeXML(feed.description)}</subtitle>
+  <id>urn:cgm:feed:${escapeXML(feed.key)}</id>
+${feed.siteUrl ? `  <link href="${escapeXML(feed.siteUrl)}"/>\n` : ''}${feed.selfUrl ? `  <link href="${escapeXML(`${feed.selfUrl}.atom`)}" rel="self" type="application/atom+xml"/>\n` : ''}  <updated>${new Date(feed.updated).toISOString()}</updated>
+  <author><name>${TITLE}</name></author>${items}
+</feed>
+`;
+}
+
+// ── Feeds ──────────────────────────────────────────────────────────────────────
+
+// [{ key, title, description, matches(entry) }]: every source, then every topic
+function feedVariants(config) {
+  return [
+    { key: 'all', title: `${TITLE} — all changes`, description: 'New and updated clinical guidance from every source', matches: () => true },
+    ...Object.entries(config.sources || {}).map(([id, source]) => ({
+      key: `source-${id}`,
+      title: `${TITLE} — ${source.name || id}`,
+      description: `New and updated clinical guidance from ${source.name || id}`,
+      matches: entry => entry.source === id
+    })),
+    ...Object.entries(config.topics || {}).map(([id, topic]) => ({
+      key: `topic-${id}`,
+      title: `${TITLE} — ${topic.label || id}`,
+      description: `New and updated clinical guidance on ${topic.label || id}`,
+      matches: entry => entry.topics.includes(id)
+    }))
+  ];
+}
+
+// Writes every variant and removes feeds for sources or topics that are gone.
+// A feed's date is its newest entry's, so an unchanged feed is rewritten
+// byte for byte.
+function writeChangeFeeds(changes, guidance, config) {
+  const siteUrl = siteUrlOf(config);
+  const entries = Object.values(changes)
+    .filter(change => !change.minor && !Number.isNaN(Date.parse(change.detectedAt)))
+    .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt))
+    .map(change => buildEntry(change, guidance, config, siteUrl));
+  const newest = entries[0]?.detectedAt || new Date(0).toISOString();
+
+  if (!fs.existsSync(FEEDS_DIR)) fs.mkdirSync(FEEDS_DIR, { recursive: true });
+  const written = new Set();
+
+  for (const variant of feedVariants(config)) {
+    const selected = entries.filter(variant.matches).slice(0, FEED_LENGTH);
+    const feed = {
+      ...variant,
+      siteUrl,
+      link: selected[0]?.link || '',
+      selfUrl: siteUrl && `${siteUrl}data/feeds/${variant.key}`,
+      updated: selected[0]?.detectedAt || newest
+    };
+    for (const [extension, render] of [['rss', renderRSS], ['atom', renderAtom]]) {
+      const file = `${variant.key}.${extension}`;
+      fs.writeFileSync(path.join(FEEDS_DIR, file), render(feed, selected));
+      written.add(file);
+    }
+  }
+
+  for (const file of fs.readdirSync(FEEDS_DIR)) {
+    if (/\.(rss|atom)$/.test(file) && !written.has(file)) fs.unlinkSync(path.join(FEEDS_DIR, file));
+  }
+  return written.size;
+}
+
+module.exports = { siteUrlOf, buildEntry, feedVariants, renderRSS, renderAtom, writeChangeFeeds };
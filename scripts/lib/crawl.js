@@ -0,0 +1,214 @@
+'use strict';
+
+// Clinical Guidance Monitor — Crawl and store
+// Shared by both pollers: fetches a page, extracts its content with the
+// source's rules, and records new items / content changes in the data files.
+
+const { hashString, isoDate } = require('./util');
+const { fetchPage } = require('./http');
+const { cleanHTML, extractContent, extractTitle, parsePublishedDate } = require('./html');
+const { parseNICEMetadata } = require('./nice');
+const { splitRecommendations, compareRecommendations } = require('./recommendations');
+const { DEFAULT_CHANGE_DETECTION, normalisedHash, changeMagnitude } = require('./normalise');
+const { DEFAULT_TOPICS, tagTopics } = require('./topics');
+const { extractMedicines } = require('./medicines');
+
+// ── Content history ────────────────────────────────────────────────────────────
+// Prior revisions of each item's content are kept in history.json so the
+// dashboard can diff any two of them. Only the newest HISTORY_LIMIT are kept.
+
+const HISTORY_LIMIT = 20;
+
+function recordRevision(history, storageKey, existing, revision) {
+  const revisions = history[storageKey] || [];
+
+  // Items stored before history was kept: seed with the content we're replacing
+  if (revisions.length === 0 && existing) {
+    revisions.push({
+      hash: existing.contentHash,
+      fetchedDate: existing.fetchedDate,
+      content: existing.content
+    });
+  }
+
+  revisions.push(revision);
+  history[storageKey] = revisions.slice(-HISTORY_LIMIT);
+}
+
+// ── Store an item ──────────────────────────────────────────────────────────────
+// Returns the change type recorded ('new_guidance' / 'content_update'), or
+// null when the stored content is already up to date. Items split into
+// numbered recommendations (NICE chapters) keep a hash per recommendation, and
+// their updates record which recommendations changed.
+//
+// Content is compared after normalisation with the source's changeDetection
+// rules, so edits confined to page furniture are not updates. Each update
+// records its magnitude; those within minorMaxChars that leave every
+// recommendation untouched are marked minor and don't count towards unread.
+//
+// Items are tagged with the clinical topics in config.topics (see topics.js)
+// and the medicines they mention (medicines.js).
+
+function storeItem(item, guidance, changes, history, config) {
+  const { url, title, source, content } = item;
+  const rules = { ...DEFAULT_CHANGE_DETECTION, ...item.changeDetection };
+
+  const contentHash = hashString(content);
+  const urlHash = hashString(url);
+  const storageKey = `content:${urlHash}`;
+
+  const existing = guidance[storageKey];
+  const isNew = !existing;
+  const hasChanged = existing && existing.contentHash !== contentHash
+    && normalisedHash(existing.content, rules) !== normalisedHash(content, rules);
+
+  if (!isNew && !hasChanged) return null;
+
+  const now = new Date().toISOString();
+  const wordCount = content.split(/\s+/).length;
+  const recommendations = item.recommendations?.length ? item.recommendations : null;
+  const description = item.description || content.substring(0, 200);
+  // Why the item was stored (relevance.js); revisits don't re-evaluate it
+  const relevance = item.relevance || existing?.relevance;
+
+  recordRevision(history, storageKey, existing, { hash: contentHash, fetchedDate: now, content });
+
+  guidance[storageKey] = {
+    id: storageKey,
+    url,
+    title,
+    source,
+    type: item.type || 'article',
+    // Feeds and listings write dates their own way; store the day as ISO
+    publishedDate: isoDate(item.publishedDate) || now.split('T')[0],
+    fetchedDate: now,
+    lastChecked: now,
+    contentHash,
+    content,
+    parentUrl: item.parentUrl || null,
+    ...(relevance ? { relevance } : {}),
+    topics: tagTopics({ title, description, categories: item.categories, content }, config.topics || DEFAULT_TOPICS),
+    medicines: extractMedicines([title, description, content].join('\n')),
+    ...(recommendations ? { recommendations: recommendations.map(({ number, hash }) => ({ number, hash })) } : {}),
+    metadata: {
+      wordCount,
+      estimatedReadTime: Math.max(1, Math.ceil(wordCount / 250)),
+      description,
+      ...(item.guid ? { guid: item.guid } : {}),
+      ...(item.categories?.length ? { categories: item.categories } : {}),
+      ...(item.nice ? { nice: item.nice } : {})
+    }
+  };
+
+  const changeType = isNew ? 'new_guidance' : 'content_update';
+  const magnitude = existing ? changeMagnitude(existing.content, content, rules) : null;
+  const recommendationChanges = existing && recommendations
+    ? compareRecommendations(splitRecommendations(existing.content), recommendations)
+    : null;
+  // A few characters can negate a recommendation or change a dose, so an
+  // update touching any recommendation is never minor
+  const touchesRecommendations = !!recommendationChanges
+    && Object.values(recommendationChanges).some(list => list.length > 0);
+  const minor = !!magnitude && magnitude.characters <= rules.minorMaxChars && !touchesRecommendations;
+  const changeKey = `change:${Date.now()}:${urlHash}`;
+
+  changes[changeKey] = {
+    id: changeKey,
+    guidanceId: storageKey,
+    url,
+    title,
+    source,
+    changeType,
+    detectedAt: now,
+    previousHash: existing?.contentHash || null,
+    newHash: contentHash,
+    ...(recommendationChanges ? { recommendationChanges } : {}),
+    ...(magnitude ? { magnitude, minor } : {}),
+    acknowledged: false
+  };
+
+  if (!minor) config.unreadChanges = (config.unreadChanges || 0) + 1;
+  return changeType;
+}
+
+// ── Crawl a page and store its content ────────────────────────────────────────
+// `source` is a resolved registry entry (see sources.js). Sources with a
+// chapterPattern have their chapter pages crawled too, up to source.maxDepth.
+// Returns the change type recorded for the page itself, null when the page was
+// fetched (or not modified) but nothing was stored, or false when it couldn't
+// be fetched at all.
+
+async function crawlAndStore(url, source, type, metadata, guidance, changes, history, config, crawlDepth = 0, parentUrl = null) {
+  console.log(`  Crawling [${source.id}] ${url}`);
+
+  let html;
+  try {
+    html = await fetchPage(url, source.http);
+  } catch (err) {
+    console.warn(`  Failed to fetch: ${err.message}`);
+    return false;
+  }
+
+  if (html === null) {
+    console.log(`  Not modified since last fetch`);
+    return null;
+  }
+
+  const { content, chapterLinks } = extractContent(html, source);
+  const title = metadata?.title || extractTitle(html, source.extract.titleSuffix);
+
+  if (!content || content.length < 50) {
+    console.log(`  Skipping — content too short`);
+    return null;
+  }
+
+  // NICE code, dates and update information; chapters inherit their
+  // guideline's and add what their own page says
+  const nice = source.type === 'nice-index'
+    ? { ...metadata?.nice, ...parseNICEMetadata(url, cleanHTML(html), content) }
+    : null;
+
+  const changeType = storeItem({
+    url,
+    title,
+    source: source.id,
+    type,
+    publishedDate: metadata?.publishedDate || nice?.published || parsePublishedDate(html),
+    content,
+    parentUrl,
+    description: metadata?.description,
+    guid: metadata?.guid,
+    categories: metadata?.categories,
+    relevance: metadata?.relevance,
+    changeDetection: source.changeDetection,
+    nice,
+    recommendations: nice ? splitRecommendations(content) : null
+  }, guidance, changes, history, config);
+
+  if (!changeType) {
+    // The text is unchanged, but keep NICE's dates and update list current
+    if (nice) guidance[`content:${hashString(url)}`].metadata.nice = nice;
+    console.log(`  No changes: ${title}`);
+    return null;
+  }
+
+  const wordCount = guidance[`content:${hashString(url)}`].metadata.wordCount;
+  console.log(`  Stored ${changeType}: "${title}" (${wordCount} words)`);
+
+  if (crawlDepth < (source.maxDepth || 0) && chapterLinks.length > 0) {
+    console.log(`  Crawling ${chapterLinks.length} chapters for "${title}"...`);
+    const { updateInformation, ...guidelineMeta } = nice || {};
+    for (const chapter of chapterLinks) {
+      await crawlAndStore(
+        chapter.url, source, 'chapter',
+        { title: `${title} — ${chapter.title}`, nice: guidelineMeta },
+        guidance, changes, history, config,
+        crawlDepth + 1, url
+      );
+    }
+  }
+
+  return changeType;
+}
+
+module.exports = { HISTORY_LIMIT, recordRevision, storeItem, crawlAndStore };
@@ -0,0 +1,27 @@
+'use strict';
+
+// Clinical Guidance Monitor — Data file helpers
+// All state lives in JSON files under data/, committed back by the workflows.
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+
+function readData(filename, defaultValue = {}) {
+  const filePath = path.join(DATA_DIR, filename);
+  if (!fs.existsSync(filePath)) return defaultValue;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return defaultValue;
+  }
+}
+
+// Generated files that nobody reads by hand are written without indentation
+function writeData(filename, data, { compact = false } = {}) {
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(path.join(DATA_DIR, filename), compact ? JSON.stringify(data) : JSON.stringify(data, null, 2));
+}
+
+module.exports = { DATA_DIR, readData, writeData };
@@ -0,0 +1,212 @@
+'use strict';
+
+// Clinical Guidance Monitor — Email digests
+// Summarises the changes recorded since a recipient's last digest, grouped by
+// source and then clinical topic. Recipients are listed in config.json:
+//
+//   "digest": {
+//     "from": "Clinical Guidance Monitor <monitor@example.org>",
+//     "dashboardUrl": "https://example.org/clinical-guidance-monitor/",
+//     "smtp": { "host": "smtp.example.org", "port": 587, "requireTLS": true, "user": "monitor@example.org" },
+//     "recipients": [
+//       { "email": "leads@example.org", "cadence": "weekly", "sources": ["nice"], "topics": ["respiratory"] }
+//     ]
+//   }
+//
+// `cadence` is daily or weekly. A recipient without `sources` or `topics`
+// hears about every source or topic. Minor updates are left out, as they are
+// from the dashboard's unread count.
+
+const CADENCES = { daily: 1, weekly: 7 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A scheduled run that starts a little early still finds the digest due
+const DUE_SLACK_MS = 60 * 60 * 1000;
+const EXCERPT_LENGTH = 200;
+
+// ── Scheduling ─────────────────────────────────────────────────────────────────
+
+function isDue(cadence, lastSent, now = Date.now()) {
+  if (!lastSent) return true;
+  return now - Date.parse(lastSent) >= CADENCES[cadence] * DAY_MS - DUE_SLACK_MS;
+}
+
+// A digest covers changes since the last one, or one cadence back for the first
+function windowStart(cadence, lastSent, now = Date.now()) {
+  return lastSent || new Date(now - CADENCES[cadence] * DAY_MS).toISOString();
+}
+
+// ── Selecting and grouping ─────────────────────────────────────────────────────
+
+function excerptOf(item) {
+  const text = (item?.metadata?.description || item?.content || '').replace(/\s+/g, ' ').trim();
+  return text.length > EXCERPT_LENGTH ? `${text.substring(0, EXCERPT_LENGTH).trimEnd()}…` : text;
+}
+
+// "2 recommendations added, 1 reworded" or "3 paragraphs changed", for updates
+function changeSummary(change) {
+  const recs = change.recommendationChanges;
+  if (recs) {
+    const parts = ['added', 'removed', 'reworded', 'renumbered']
+      .filter(kind => recs[kind]?.length)
+      .map(kind => `${recs[kind].length} ${kind}`);
+    if (parts.length) return `Recommendations: ${parts.join(', ')}`;
+  }
+  if (change.magnitude) {
+    const n = change.magnitude.paragraphs;
+    return `${n} paragraph${n === 1 ? '' : 's'} changed`;
+  }
+  return '';
+}
+
+// The recipient's changes detected after `since` and up to `until`, newest
+// first. Each is filed under the first of its item's topics they follow.
+function selectEntries(changes, guidance, recipient, since, until) {
+  const sources = recipient.sources?.length ? recipient.sources : null;
+  const topics = recipient.topics?.length ? recipient.topics : null;
+  const entries = [];
+
+  for (const change of Object.values(changes)) {
+    if (change.minor || change.detectedAt <= since || change.detectedAt > until) continue;
+    if (sources && !sources.includes(change.source)) continue;
+
+    const item = guidance[change.guidanceId || `content:${change.id.split(':').pop()}`];
+    const itemTopics = item?.topics || [];
+    const topic = topics ? itemTopics.find(t => topics.includes(t)) : itemTopics[0];
+    if (topics && !topic) continue;
+
+    entries.push({
+      title: item?.title || change.title,
+      url: item?.url || change.url,
+      source: change.source,
+      topic: topic || null,
+      changeType: change.changeType,
+      detectedAt: change.detectedAt,
+      excerpt: excerptOf(item),
+      summary: change.changeType === 'content_update' ? changeSummary(change) : ''
+    });
+  }
+  return entries.sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+}
+
+// [{ id, label, topics: [{ id, label, entries }] }], sources in registry order
+// and topics in taxonomy order, untagged items last
+function groupEntries(entries, config) {
+  const sourceIds = Object.keys(config.sources || {});
+  const topicIds = Object.keys(config.topics || {});
+  const rank = (ids, id) => (id === null ? Infinity : ids.indexOf(id) >= 0 ? ids.indexOf(id) : ids.length);
+  const groups = new Map();
+
+  for (const entry of entries) {
+    if (!groups.has(entry.source)) groups.set(entry.source, new Map());
+    const byTopic = groups.get(entry.source);
+    if (!byTopic.has(entry.topic)) byTopic.set(entry.topic, []);
+    byTopic.get(entry.topic).push(entry);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => rank(sourceIds, a) - rank(sourceIds, b))
+    .map(([source, byTopic]) => ({
+      id: source,
+      label: config.sources?.[source]?.name || source,
+      topics: [...byTopic.entries()]
+        .sort(([a], [b]) => rank(topicIds, a) - rank(topicIds, b))
+        .map(([topic, list]) => ({
+          id: topic,
+          label: topic === null ? 'Other' : config.topics?.[topic]?.label || topic,
+          entries: list
+        }))
+    }));
+}
+
+// ── Rendering ──────────────────────────────────────────────────────────────────
+
+function escapeHTML(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatDay(iso) {
+  return new Date(iso).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+const TYPE_LABELS = { new_guidance: 'New', content_update: 'Updated' };
+
+function subscriptionText(recipient, config) {
+  const names = (ids, table, field) => ids.map(id => table?.[id]?.[field] || id).join(', ');
+  const sources = recipient.sources?.length ? names(recipient.sources, config.sources, 'name') : 'all sources';
+  const topics = recipient.topics?.length ? names(recipient.topics, config.topics, 'label') : 'all topics';
+  return `You get this digest ${recipient.cadence} for ${sources}; ${topics}.`;
+}
+
+function renderText(groups, { heading, period, dashboardUrl, footer }) {
+  const lines = [heading, period, ''];
+  for (const source of groups) {
+    lines.push(`== ${source.label} ==`, '');
+    for (const topic of source.topics) {
+      lines.push(`-- ${topic.label} --`, '');
+      for (const entry of topic.entries) {
+        lines.push(`* [${TYPE_LABELS[entry.changeType] || entry.changeType}] ${entry.title}`);
+        if (entry.summary) lines.push(`  ${entry.summary}`);
+        if (entry.excerpt) lines.push(`  ${entry.excerpt}`);
+        lines.push(`  ${entry.url}`, '');
+      }
+    }
+  }
+  if (dashboardUrl) lines.push(`Open the dashboard: ${dashboardUrl}`);
+  lines.push(footer, '');
+  return lines.join('\n');
+}
+
+function renderHTML(groups, { heading, period, dashboardUrl, footer }) {
+  const muted = 'color:#6b7280;font-size:13px;';
+  const body = groups.map(source => `
+    <h2 style="font-size:18px;margin:24px 0 8px;border-bottom:1px solid #e5e7eb;padding-bottom:4px;">${escapeHTML(source.label)}</h2>
+    ${source.topics.map(topic => `
+    <h3 style="font-size:15px;margin:16px 0 8px;color:#005EB8;">${escapeHTML(topic.label)}</h3>
+    ${topic.entries.map(entry => `
+    <div style="margin:0 0 14px;">
+      <div><span style="${muted}">${escapeHTML(TYPE_LABELS[entry.changeType] || entry.changeType)}</span>
+        <a href="${escapeHTML(entry.url)}" style="color:#111827;font-weight:600;">${escapeHTML(entry.title)}</a></div>
+      ${entry.summary ? `<div style="${muted}">${escapeHTML(entry.summary)}</div>` : ''}
+      ${entry.excerpt ? `<div style="font-size:14px;color:#374151;">${escapeHTML(entry.excerpt)}</div>` : ''}
+    </div>`).join('')}`).join('')}`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<body style="font-family:-apple-system,'Segoe UI',Roboto,Arial,sans-serif;max-width:640px;margin:0 auto;padding:16px;color:#111827;">
+  <h1 style="font-size:20px;margin:0;">${escapeHTML(heading)}</h1>
+  <p style="${muted}margin:4px 0 0;">${escapeHTML(period)}</p>
+  ${body}
+  ${dashboardUrl ? `<p><a href="${escapeHTML(dashboardUrl)}" style="color:#005EB8;">Open the dashboard</a></p>` : ''}
+  <p style="${muted}">${escapeHTML(footer)}</p>
+</body>
+</html>
+`;
+}
+
+// { subject, text, html, count } for a recipient's entries over [since, until]
+function composeDigest(entries, recipient, config, { since, until }) {
+  const groups = groupEntries(entries, config);
+  const added = entries.filter(e => e.changeType === 'new_guidance').length;
+  const updated = entries.length - added;
+  const counts = [added && `${added} new`, updated && `${updated} updated`].filter(Boolean).join(', ');
+  const range = `${formatDay(since)} – ${formatDay(until)}`;
+  const options = {
+    heading: `Clinical Guidance Monitor — ${recipient.cadence} digest`,
+    period: `Changes detected ${range}`,
+    dashboardUrl: config.digest?.dashboardUrl || '',
+    footer: subscriptionText(recipient, config)
+  };
+
+  return {
+    subject: `Guidance digest: ${counts} (${range})`,
+    text: renderText(groups, options),
+    html: renderHTML(groups, options),
+    count: entries.length
+  };
+}
+
+module.exports = { CADENCES, TYPE_LABELS, isDue, windowStart, excerptOf, changeSummary, selectEntries, groupEntries, composeDigest };
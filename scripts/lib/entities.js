@@ -0,0 +1,44 @@
+'use strict';
+
+// Clinical Guidance Monitor — HTML entity decoding
+// Decodes named (the full HTML5 table in entities.json), decimal and hex
+// character references the way browsers do, so stored titles and content
+// read as text rather than markup.
+
+const NAMED_ENTITIES = require('./entities.json');
+
+// HTML5 maps these numeric references to their Windows-1252 characters,
+// which is what sites that emit &#150; or &#146; actually meant
+const WINDOWS_1252 = {
+  0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E, 0x85: 0x2026,
+  0x86: 0x2020, 0x87: 0x2021, 0x88: 0x02C6, 0x89: 0x2030, 0x8A: 0x0160,
+  0x8B: 0x2039, 0x8C: 0x0152, 0x8E: 0x017D, 0x91: 0x2018, 0x92: 0x2019,
+  0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014,
+  0x98: 0x02DC, 0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A, 0x9C: 0x0153,
+  0x9E: 0x017E, 0x9F: 0x0178
+};
+
+const ENTITY_PATTERN = /&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([A-Za-z][A-Za-z0-9]*));?/g;
+
+function decodeCodePoint(codePoint) {
+  if (WINDOWS_1252[codePoint]) return String.fromCodePoint(WINDOWS_1252[codePoint]);
+  if (codePoint === 0 || codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) return '\uFFFD';
+  return String.fromCodePoint(codePoint);
+}
+
+function decodeEntities(str) {
+  if (!str || !str.includes('&')) return str;
+
+  return str.replace(ENTITY_PATTERN, (match, decimal, hex, name) => {
+    if (decimal) return decodeCodePoint(parseInt(decimal, 10));
+    if (hex) return decodeCodePoint(parseInt(hex, 16));
+
+    // Named references need their semicolon, except the legacy few
+    // (&amp, &nbsp, &copy…) the HTML5 table also lists without one
+    const hasSemicolon = match.endsWith(';');
+    const key = hasSemicolon ? `${name};` : name;
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, key) ? NAMED_ENTITIES[key] : match;
+  });
+}
+
+module.exports = { decodeEntities };
@@ -0,0 +1,123 @@
+'use strict';
+
+// Clinical Guidance Monitor — Feed parser
+// Normalises RSS 2.0, RSS 1.0 (RDF) and Atom documents into one item shape:
+//   { title, link, pubDate, description, content, guid, categories }
+// Fields a feed doesn't provide are '' / null / [] rather than missing.
+
+const { decodeEntities } = require('./entities');
+
+const CDATA_PATTERN = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/;
+
+function escapeTag(tag) {
+  return tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Raw inner XML of the first <tag>. Returns null if absent.
+function innerXML(xml, tag) {
+  const match = xml.match(new RegExp(`<${escapeTag(tag)}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${escapeTag(tag)}>`, 'i'));
+  return match ? match[1] : null;
+}
+
+// The string value of character data: CDATA verbatim, otherwise entity-decoded
+function xmlValue(raw) {
+  const cdata = raw.match(CDATA_PATTERN);
+  return cdata ? cdata[1] : decodeEntities(raw);
+}
+
+// Value of the first <tag>. Returns null if absent.
+function tagText(xml, tag) {
+  const raw = innerXML(xml, tag);
+  return raw === null ? null : xmlValue(raw).trim();
+}
+
+function tagAttributes(tagXml) {
+  const attrs = {};
+  for (const match of tagXml.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attrs;
+}
+
+// Feed text fields usually carry HTML: strip the tags, then decode the HTML's
+// own entities (a title sent as &amp;#8211; is an en dash, not "&#8211;")
+function htmlToText(markup) {
+  return decodeEntities((markup || '').replace(/<[^>]+>/g, ' '))
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+function textContent(xml, tag) {
+  const text = tagText(xml, tag);
+  return text === null ? '' : htmlToText(text);
+}
+
+// Atom text constructs: type="text" is plain, "html" is escaped markup and
+// "xhtml" is inline markup
+function atomText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(\\s[^>]*)?>([\\s\\S]*?)<\\/${tag}>`, 'i'));
+  if (!match) return '';
+  const type = tagAttributes(match[1] || '').type || 'text';
+  if (type === 'xhtml') return htmlToText(match[2]);
+  const value = xmlValue(match[2]);
+  return type === 'html' ? htmlToText(value) : value.replace(/\s+/g, ' ').trim();
+}
+
+function parseRSSItem(itemXml) {
+  const categories = [...itemXml.matchAll(/<(?:category|dc:subject)(?:\s[^>]*)?>([\s\S]*?)<\/(?:category|dc:subject)>/gi)]
+    .map(m => htmlToText(xmlValue(m[1])))
+    .filter(Boolean);
+
+  // RSS 1.0 items carry their URI in rdf:about and their date in dc:date
+  const about = tagAttributes(itemXml.match(/^<item\b([^>]*)>/i)?.[1] || '')['rdf:about'] || null;
+
+  return {
+    title: textContent(itemXml, 'title'),
+    link: (tagText(itemXml, 'link') || about || '').trim(),
+    pubDate: tagText(itemXml, 'pubDate') || tagText(itemXml, 'dc:date') || null,
+    description: textContent(itemXml, 'description'),
+    content: textContent(itemXml, 'content:encoded'),
+    guid: tagText(itemXml, 'guid') || about,
+    categories
+  };
+}
+
+function parseAtomEntry(entryXml) {
+  // Prefer rel="alternate" (the default when rel is absent) over self/edit/enclosure links
+  const links = [...entryXml.matchAll(/<link\b([^>]*?)\/?>/gi)].map(m => tagAttributes(m[1]));
+  const link = links.find(l => !l.rel || l.rel === 'alternate') || links[0];
+
+  const categories = [...entryXml.matchAll(/<category\b([^>]*?)\/?>/gi)]
+    .map(m => { const attrs = tagAttributes(m[1]); return attrs.label || attrs.term; })
+    .filter(Boolean);
+
+  return {
+    title: atomText(entryXml, 'title'),
+    link: (link?.href || '').trim(),
+    pubDate: tagText(entryXml, 'published') || tagText(entryXml, 'updated') || null,
+    description: atomText(entryXml, 'summary'),
+    content: atomText(entryXml, 'content'),
+    guid: tagText(entryXml, 'id'),
+    categories
+  };
+}
+
+// Returns { format: 'rss' | 'rdf' | 'atom' | null, items }
+function parseFeed(xml) {
+  if (/<feed\b[^>]*>/i.test(xml) && /<entry\b/i.test(xml)) {
+    const entries = [...xml.matchAll(/<entry\b[^>]*>[\s\S]*?<\/entry>/gi)];
+    return { format: 'atom', items: entries.map(m => parseAtomEntry(m[0])) };
+  }
+
+  const items = [...xml.matchAll(/<item\b[^>]*>[\s\S]*?<\/item>/gi)].map(m => m[0]);
+  if (items.length === 0) return { format: null, items: [] };
+
+  return {
+    format: /<rdf:RDF\b/i.test(xml) ? 'rdf' : 'rss',
+    items: items.map(parseRSSItem)
+  };
+}
+
+module.exports = { parseFeed, htmlToText };
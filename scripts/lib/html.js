@@ -0,0 +1,94 @@
+'use strict';
+
+// Clinical Guidance Monitor — HTML cleaning and extraction
+
+const { compilePattern } = require('./util');
+const { decodeEntities } = require('./entities');
+
+const DEFAULT_TITLE_SUFFIX = '\\s*[\\|–—-]\\s*(NICE|NHS|England|ARTP|NCL).*$';
+
+function cleanHTML(html) {
+  const text = html
+    .replace(/<script\b[\s\S]*?<\/script>/gi, '')
+    .replace(/<style\b[\s\S]*?<\/style>/gi, '')
+    .replace(/<nav\b[\s\S]*?<\/nav>/gi, '')
+    .replace(/<header\b[\s\S]*?<\/header>/gi, '')
+    .replace(/<footer\b[\s\S]*?<\/footer>/gi, '')
+    .replace(/<aside\b[\s\S]*?<\/aside>/gi, '')
+    .replace(/<noscript\b[\s\S]*?<\/noscript>/gi, '')
+    .replace(/<\/(?:p|div|h[1-6]|li|tr|br|hr)[^>]*>/gi, '\n')
+    .replace(/<(?:br|hr)\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ');
+
+  return decodeEntities(text)
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n[ \t]+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Plain text of a short inline fragment such as a link label or heading
+function textFromHTML(fragment) {
+  return decodeEntities((fragment || '').replace(/<[^>]+>/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function extractTitle(html, titleSuffix = DEFAULT_TITLE_SUFFIX) {
+  const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  if (titleTag) {
+    return textFromHTML(titleTag[1])
+      .replace(compilePattern(titleSuffix), '')
+      .trim();
+  }
+  const h1 = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+  if (h1) return textFromHTML(h1[1]);
+  return 'Untitled';
+}
+
+function parsePublishedDate(html) {
+  const metaDate = html.match(/<meta[^>]*(?:name|property)="(?:article:published_time|datePublished|date)"[^>]*content="([^"]+)"/i);
+  if (metaDate) return metaDate[1].split('T')[0];
+  const timeEl = html.match(/<time[^>]*datetime="([^"]+)"/i);
+  if (timeEl) return timeEl[1].split('T')[0];
+  return null;
+}
+
+// Uses the source's extraction rules: the first contentPattern whose capture
+// is substantial wins, and chapterPattern (if set) yields links to crawl next.
+function extractContent(html, source) {
+  let content = '';
+  const chapterLinks = [];
+
+  for (const pattern of source.extract.contentPatterns || []) {
+    const match = html.match(compilePattern(pattern));
+    if (match && match[1].length > 100) {
+      content = cleanHTML(match[1]);
+      break;
+    }
+  }
+
+  if (!content) {
+    const bodyMatch = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
+    content = bodyMatch ? cleanHTML(bodyMatch[1]) : cleanHTML(html);
+  }
+
+  if (source.extract.chapterPattern) {
+    const chapterMatches = [...html.matchAll(compilePattern(source.extract.chapterPattern, 'gi'))];
+    const seenUrls = new Set();
+
+    for (const match of chapterMatches) {
+      const chapterUrl = new URL(match.groups.href, source.baseUrl || source.url).href;
+      if (seenUrls.has(chapterUrl)) continue;
+      seenUrls.add(chapterUrl);
+
+      const title = textFromHTML(match.groups.title);
+      if (title) chapterLinks.push({ url: chapterUrl, title });
+    }
+  }
+
+  return { content, chapterLinks };
+}
+
+module.exports = { cleanHTML, textFromHTML, extractTitle, parsePublishedDate, extractContent };
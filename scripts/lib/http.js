@@ -0,0 +1,335 @@
+'use strict';
+
+// Clinical Guidance Monitor — HTTP fetch helper
+// Every poller request goes through fetchPage(). CGM_HTTP_MODE switches it
+// between the network and captured fixtures so poll cycles can run offline:
+//
+//   live    (default) fetch from the network
+//   record  fetch from the network and save each response as a fixture
+//   replay  serve responses from fixtures only; a missing fixture is an error
+//
+// CGM_FIXTURES_DIR lists the fixture directories (path.delimiter-separated).
+// On replay the first directory holding a fixture for the URL wins, so a
+// small directory of changed pages can be layered over a base capture.
+//
+// Before each request the host's robots.txt is consulted (Disallow and
+// Crawl-delay) and requests to the same host are spaced out. Requests are
+// conditional (If-None-Match / If-Modified-Since) when an earlier response left
+// validators, and are retried with exponential backoff on network errors,
+// timeouts, 429 and 5xx, honouring Retry-After. A source can tune this with an
+// `http` block in its registry entry; see DEFAULT_HTTP_OPTIONS.
+
+const fs = require('fs');
+const path = require('path');
+const { hashString, sleep } = require('./util');
+const { parseRobots, isAllowed, ALLOW_ALL, DISALLOW_ALL } = require('./robots');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'test', 'fixtures', 'http');
+
+const DEFAULT_HTTP_OPTIONS = {
+  timeoutMs: 30000,         // per attempt, including reading the body
+  retries: 2,               // attempts after the first
+  backoffMs: 2000,          // doubled after each failed attempt
+  maxBackoffMs: 60000,      // longest wait between attempts; a longer Retry-After gives up
+  conditional: true,        // send stored validators and treat 304 as unchanged
+  requestIntervalMs: 1000   // minimum gap between requests to one host (robots.txt Crawl-delay can raise it)
+};
+
+const RETRYABLE_STATUS = status => status === 429 || status >= 500;
+
+// robots.txt is re-fetched after this long (RFC 9309 asks for at most 24 hours)
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+
+const PRODUCT_TOKEN = 'ClinicalGuidanceMonitor';
+const PRODUCT_VERSION = '1.0';
+
+function httpMode() {
+  return process.env.CGM_HTTP_MODE || 'live';
+}
+
+function fixtureDirs() {
+  return (process.env.CGM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR).split(path.delimiter).filter(Boolean);
+}
+
+// Readable name for a URL's fixture, e.g. www.nice.org.uk_guidance_ng136-1a2b3c4d
+function fixtureName(url) {
+  const { host, pathname, search } = new URL(url);
+  const slug = (host + pathname + search).replace(/[^a-z0-9.]+/gi, '_').replace(/_+$/, '').substring(0, 80);
+  return `${slug}-${hashString(url).substring(0, 8)}`;
+}
+
+// A fixture is <name>.json (url, status, headers) plus <name>.body (raw body)
+function readFixture(url) {
+  const name = fixtureName(url);
+  for (const dir of fixtureDirs()) {
+    const metaPath = path.join(dir, `${name}.json`);
+    if (!fs.existsSync(metaPath)) continue;
+    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    const body = fs.readFileSync(path.join(dir, `${name}.body`), 'utf8');
+    return { ...meta, body };
+  }
+  return null;
+}
+
+function writeFixture(url, { status, headers, body }) {
+  const dir = fixtureDirs()[0];
+  const name = fixtureName(url);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify({
+    url,
+    status,
+    headers,
+    recordedAt: new Date().toISOString()
+  }, null, 2));
+  fs.writeFileSync(path.join(dir, `${name}.body`), body);
+}
+
+// ── Configuration ──────────────────────────────────────────────────────────────
+// The pollers call configureHttp() once per run with the `crawler` block from
+// config.json and the contents of data/http-cache.json, which holds
+//
+//   validators  ETag / Last-Modified from earlier responses, keyed by URL
+//   robots      robots.txt bodies keyed by origin, with when they were fetched
+//
+// and write the same cache object back at the end of the run.
+
+let cache = { validators: {}, robots: {} };
+let userAgent = `${PRODUCT_TOKEN}/${PRODUCT_VERSION}`;
+let productToken = PRODUCT_TOKEN;
+const robotsByOrigin = new Map();
+const nextRequestAt = new Map();
+
+// Identifies the monitor honestly, with a way to reach whoever runs it. The
+// contact defaults to the GitHub repository when running in Actions.
+function buildUserAgent({ userAgent: product, contact } = {}) {
+  const repo = process.env.GITHUB_REPOSITORY
+    ? `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${process.env.GITHUB_REPOSITORY}`
+    : null;
+  const details = [repo && `+${repo}`, contact].filter(Boolean);
+  const name = product || `${PRODUCT_TOKEN}/${PRODUCT_VERSION}`;
+  return details.length > 0 ? `${name} (${details.join('; ')})` : name;
+}
+
+function configureHttp({ crawler = {}, cache: store = {} } = {}) {
+  store.validators = store.validators || {};
+  store.robots = store.robots || {};
+  cache = store;
+  userAgent = buildUserAgent(crawler);
+  // robots.txt groups are matched on the product name, e.g. "ClinicalGuidanceMonitor"
+  productToken = (crawler.userAgent || PRODUCT_TOKEN).split('/')[0].trim();
+  robotsByOrigin.clear();
+  nextRequestAt.clear();
+
+  if (!crawler.contact && !process.env.GITHUB_REPOSITORY) {
+    console.warn('No crawler.contact in config.json — sites we poll have no way to reach us');
+  }
+}
+
+function requestHeaders(extra = {}) {
+  return {
+    'User-Agent': userAgent,
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-GB,en;q=0.9',
+    ...extra
+  };
+}
+
+// ── Per-host pacing ────────────────────────────────────────────────────────────
+// Reserves the host's next request slot and waits for it. Replayed requests
+// never touch the network, so they aren't paced.
+
+async function waitForHost(host, intervalMs) {
+  if (httpMode() === 'replay') return;
+  const now = Date.now();
+  const slot = Math.max(now, nextRequestAt.get(host) || 0);
+  nextRequestAt.set(host, slot + intervalMs);
+  if (slot > now) await sleep(slot - now);
+}
+
+// ── Validators ─────────────────────────────────────────────────────────────────
+
+function conditionalHeaders(url) {
+  const stored = cache.validators[url];
+  if (!stored) return {};
+  return {
+    ...(stored.etag ? { 'If-None-Match': stored.etag } : {}),
+    ...(stored.lastModified ? { 'If-Modified-Since': stored.lastModified } : {})
+  };
+}
+
+function rememberValidators(url, headers) {
+  const etag = headers.etag || null;
+  const lastModified = headers['last-modified'] || null;
+
+  if (!etag && !lastModified) {
+    delete cache.validators[url];
+    return;
+  }
+  cache.validators[url] = {
+    ...(etag ? { etag } : {}),
+    ...(lastModified ? { lastModified } : {}),
+    checkedAt: new Date().toISOString()
+  };
+}
+
+// Replay stands in for the server: a fixture whose validators match the stored
+// ones is served as a 304
+function fixtureNotModified(url, headers) {
+  const stored = cache.validators[url];
+  if (!stored) return false;
+  if (stored.etag && headers.etag) return stored.etag === headers.etag;
+  return Boolean(stored.lastModified && stored.lastModified === headers['last-modified']);
+}
+
+// ── Requests with retries ──────────────────────────────────────────────────────
+
+function backoffDelay(attempt, options) {
+  return Math.min(options.backoffMs * 2 ** attempt, options.maxBackoffMs);
+}
+
+// Retry-After is either delay-seconds or an HTTP date. Returns ms, or null.
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function request(url, headers, timeoutMs) {
+  const response = await fetch(url, {
+    headers,
+    redirect: 'follow',
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  return {
+    status: response.status,
+    headers: Object.fromEntries(response.headers),
+    body: await response.text()
+  };
+}
+
+// Resolves to the final { status, headers, body } — whatever the status — once
+// retries are used up. Throws only when no response arrived at all.
+async function download(url, headers, opts) {
+  if (httpMode() === 'replay') {
+    const fixture = readFixture(url);
+    if (!fixture) throw new Error(`No fixture for ${url}`);
+    return { status: fixture.status, headers: fixture.headers || {}, body: fixture.body };
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await request(url, headers, opts.timeoutMs);
+    } catch (err) {
+      const reason = err.name === 'TimeoutError' ? `Timed out after ${opts.timeoutMs}ms` : (err.cause?.message || err.message);
+      if (attempt >= opts.retries) throw new Error(`${reason} for ${url}`);
+
+      const delay = backoffDelay(attempt, opts);
+      console.warn(`  ${reason} for ${url} — retrying in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (RETRYABLE_STATUS(response.status) && attempt < opts.retries) {
+      const retryAfter = parseRetryAfter(response.headers['retry-after']);
+      const delay = retryAfter ?? backoffDelay(attempt, opts);
+      if (delay <= opts.maxBackoffMs) {
+        console.warn(`  HTTP ${response.status} for ${url} — retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      console.warn(`  HTTP ${response.status} for ${url} — Retry-After ${Math.ceil(delay / 1000)}s is longer than we wait`);
+    }
+
+    if (httpMode() === 'record') writeFixture(url, response);
+    return response;
+  }
+}
+
+// ── robots.txt ─────────────────────────────────────────────────────────────────
+// Fetched once per origin per run and cached in http-cache.json for a day.
+// A missing robots.txt (any 4xx) allows everything; an unreachable one (5xx,
+// network failure) falls back to the cached copy, or else disallows the whole
+// origin for this run, as RFC 9309 asks.
+
+async function robotsFor(url, opts) {
+  const { origin, host } = new URL(url);
+  if (robotsByOrigin.has(origin)) return robotsByOrigin.get(origin);
+
+  const cached = cache.robots[origin];
+  const fresh = cached && Date.now() - Date.parse(cached.fetchedAt) < ROBOTS_TTL_MS;
+  let robots;
+
+  if (fresh) {
+    robots = parseRobots(cached.body, productToken);
+  } else {
+    const robotsUrl = `${origin}/robots.txt`;
+    let response = null;
+    try {
+      await waitForHost(host, opts.requestIntervalMs);
+      response = await download(robotsUrl, requestHeaders(), opts);
+    } catch (err) {
+      console.warn(`  robots.txt unavailable for ${origin}: ${err.message}`);
+    }
+
+    if (response && response.status >= 200 && response.status < 300) {
+      cache.robots[origin] = { fetchedAt: new Date().toISOString(), body: response.body };
+      robots = parseRobots(response.body, productToken);
+    } else if (response && response.status >= 400 && response.status < 500) {
+      cache.robots[origin] = { fetchedAt: new Date().toISOString(), body: '' };
+      robots = ALLOW_ALL;
+    } else if (cached) {
+      console.warn(`  Using robots.txt cached at ${cached.fetchedAt} for ${origin}`);
+      robots = parseRobots(cached.body, productToken);
+    } else {
+      console.warn(`  Not crawling ${origin} this run: its robots.txt could not be read`);
+      robots = DISALLOW_ALL;
+    }
+  }
+
+  robotsByOrigin.set(origin, robots);
+  return robots;
+}
+
+// ── Fetch a page ───────────────────────────────────────────────────────────────
+// Resolves to the body, or null when the server (or replayed fixture) says
+// the page hasn't changed since the stored validators. `options` is a
+// source's `http` block.
+
+async function fetchPage(url, options = {}) {
+  const opts = { ...DEFAULT_HTTP_OPTIONS, ...options };
+
+  const robots = await robotsFor(url, opts);
+  if (!isAllowed(robots, url)) throw new Error(`Disallowed by robots.txt: ${url}`);
+
+  const interval = Math.max(opts.requestIntervalMs, (robots.crawlDelay || 0) * 1000);
+  await waitForHost(new URL(url).host, interval);
+
+  // Recording always fetches full bodies so every fixture is complete
+  const conditional = opts.conditional && httpMode() === 'live' ? conditionalHeaders(url) : {};
+  const response = await download(url, requestHeaders(conditional), opts);
+
+  const notModified = httpMode() === 'replay'
+    ? opts.conditional && response.status < 300 && fixtureNotModified(url, response.headers)
+    : Object.keys(conditional).length > 0 && response.status === 304;
+  if (notModified) {
+    if (cache.validators[url]) cache.validators[url].checkedAt = new Date().toISOString();
+    return null;
+  }
+
+  if (response.status < 200 || response.status >= 300) throw new Error(`HTTP ${response.status} for ${url}`);
+  rememberValidators(url, response.headers);
+  return response.body;
+}
+
+module.exports = {
+  DEFAULT_HTTP_OPTIONS,
+  configureHttp,
+  buildUserAgent,
+  fetchPage,
+  parseRetryAfter,
+  fixtureName,
+  readFixture,
+  writeFixture
+};
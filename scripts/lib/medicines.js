@@ -0,0 +1,54 @@
+'use strict';
+
+// Clinical Guidance Monitor — Medicine mentions
+// Finds the medicines and drug classes an item mentions, using the editable
+// list in data/drugs.json:
+//
+//   classes    id → { label, synonyms, drugs }  e.g. "SGLT2 inhibitors" and its members
+//   aliases    drug → brand and other names it is mentioned by ("Eliquis")
+//   medicines  drugs worth tracking that belong to no class
+//
+// A class is recorded when it is named or when any of its drugs is, so items
+// about dapagliflozin are found under SGLT2 inhibitors. Items are scanned when
+// stored; the `extract-medicines` migration rescans everything after the list
+// is edited.
+
+const { readData } = require('./data');
+const { synonymPattern } = require('./topics');
+const { compilePattern } = require('./util');
+
+let drugList = null;
+
+function loadDrugList() {
+  if (!drugList) drugList = readData('drugs.json', { classes: {}, aliases: {}, medicines: [] });
+  return drugList;
+}
+
+// Every drug in the list with the names it can appear under
+function drugNames(list) {
+  const names = new Map();
+  const add = drug => { if (!names.has(drug)) names.set(drug, [drug, ...(list.aliases?.[drug] || [])]); };
+  for (const drugClass of Object.values(list.classes || {})) (drugClass.drugs || []).forEach(add);
+  (list.medicines || []).forEach(add);
+  return names;
+}
+
+// Returns { drugs, classes }, each sorted
+function extractMedicines(text, list = loadDrugList()) {
+  const drugs = new Set();
+  const classes = new Set();
+  if (!text) return { drugs: [], classes: [] };
+
+  for (const [drug, names] of drugNames(list)) {
+    if (compilePattern(synonymPattern(names)).test(text)) drugs.add(drug);
+  }
+
+  for (const [id, drugClass] of Object.entries(list.classes || {})) {
+    const named = compilePattern(synonymPattern([drugClass.label, ...(drugClass.synonyms || [])])).test(text);
+    if (named || (drugClass.drugs || []).some(drug => drugs.has(drug))) classes.add(id);
+  }
+
+  return { drugs: [...drugs].sort(), classes: [...classes].sort() };
+}
+
+module.exports = { loadDrugList, extractMedicines };
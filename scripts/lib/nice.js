@@ -0,0 +1,105 @@
+'use strict';
+
+// Clinical Guidance Monitor — NICE guidance metadata
+// NICE pages carry structured facts that the generic extraction throws away:
+// the guidance code in the URL (/guidance/ng136 → NG136), a header line such as
+// "NICE guideline [NG136] Published: 28 August 2019 Last updated: 21 November
+// 2023", and an "Update information" chapter listing each dated revision.
+// Everything is parsed from page text so stored content can be re-parsed too.
+
+const GUIDANCE_TYPES = {
+  ng: 'NICE guideline',
+  cg: 'Clinical guideline',
+  ph: 'Public health guideline',
+  qs: 'Quality standard',
+  ta: 'Technology appraisal guidance',
+  dg: 'Diagnostics guidance',
+  ipg: 'Interventional procedures guidance',
+  hst: 'Highly specialised technologies guidance',
+  es: 'Evidence summary',
+  mtg: 'Medical technologies guidance'
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+const MONTH_PATTERN = '(?:January|February|March|April|May|June|July|August|September|October|November|December)';
+const DATE_PATTERN = new RegExp(`\\d{1,2} ${MONTH_PATTERN} \\d{4}`, 'i');
+const ENTRY_PATTERN = new RegExp(`^(${MONTH_PATTERN} \\d{4})\\s*[:\\-–—]?\\s*(.*)$`, 'i');
+
+// "NG136" and its type from a /guidance/<code> URL (chapters included)
+function guidanceCode(url) {
+  const match = new URL(url).pathname.match(/^\/guidance\/([a-z]+)(\d+)(?:\/|$)/i);
+  if (!match) return null;
+  const prefix = match[1].toLowerCase();
+  return {
+    code: `${prefix.toUpperCase()}${match[2]}`,
+    guidanceType: GUIDANCE_TYPES[prefix] || null
+  };
+}
+
+// "28 August 2019" → "2019-08-28"; "November 2023" → "2023-11"
+function parseNICEDate(text) {
+  const parts = (text || '').trim().toLowerCase().split(/\s+/);
+  const [day, month, year] = parts.length === 3 ? parts : [null, ...parts];
+  const monthIndex = MONTHS.indexOf(month);
+  if (monthIndex === -1 || !/^\d{4}$/.test(year || '')) return null;
+
+  const ym = `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+  return day ? `${ym}-${day.padStart(2, '0')}` : ym;
+}
+
+// Dated entries from an Update information chapter. Each entry starts with a
+// "Month YYYY" line (optionally followed by its text on the same line) and
+// runs to the next one; entries under "Minor changes since publication" are
+// flagged as minor.
+function parseUpdateInformation(text) {
+  const entries = [];
+  let minor = false;
+  let current = null;
+
+  for (const line of (text || '').split('\n').map(l => l.trim()).filter(Boolean)) {
+    if (/^minor changes since publication$/i.test(line)) {
+      minor = true;
+      current = null;
+      continue;
+    }
+
+    const match = line.match(ENTRY_PATTERN);
+    const date = match && parseNICEDate(match[1]);
+    if (date) {
+      current = { date, label: match[1], text: match[2], minor };
+      entries.push(current);
+    } else if (current) {
+      current.text = current.text ? `${current.text}\n${line}` : line;
+    }
+  }
+
+  return entries;
+}
+
+// Metadata found on the page at `url`. `text` is the whole page's text (the
+// header line sits outside the chapter body) and `content` the extracted
+// chapter body. Fields that aren't there are left out.
+function parseNICEMetadata(url, text, content = text) {
+  const meta = { ...guidanceCode(url) };
+
+  const header = text.match(/\[([A-Z]+\d+)\]\s*Published:\s*([^\n]*)/i);
+  if (header) {
+    const published = header[2].match(DATE_PATTERN);
+    const updated = header[2].match(new RegExp(`Last updated:\\s*(${DATE_PATTERN.source})`, 'i'));
+    if (published) meta.published = parseNICEDate(published[0]);
+    if (updated) meta.lastUpdated = parseNICEDate(updated[1]);
+  }
+
+  if (/\/chapter\/update-information\/?$/i.test(new URL(url).pathname)) {
+    meta.updateInformation = parseUpdateInformation(content);
+  }
+
+  for (const key of Object.keys(meta)) {
+    if (meta[key] === null || meta[key] === undefined) delete meta[key];
+  }
+  return meta;
+}
+
+module.exports = { GUIDANCE_TYPES, guidanceCode, parseNICEDate, parseUpdateInformation, parseNICEMetadata };
@@ -0,0 +1,76 @@
+'use strict';
+
+// Clinical Guidance Monitor — Change-detection normalisation
+// Pages carry text that changes without the guidance changing: "Page last
+// reviewed" dates, cookie banners, related-links boxes, share buttons and
+// shifting whitespace. Content is normalised before it is compared, so only
+// edits to the text itself count as updates. The stored content is left as
+// fetched; normalisation only decides whether it changed and by how much.
+//
+// Sources tune this with a `changeDetection` block (see sources.js):
+//   ignorePatterns   regex source strings; matching lines are dropped
+//   boilerplate      exact lines (case-insensitive) to drop
+//   minorMaxChars    updates changing this many characters or fewer are minor,
+//                    unless they touch a recommendation (0 for nice-index)
+
+const { hashString, compilePattern } = require('./util');
+const Diff = require('../../js/diff.js');
+
+// Lines that are page furniture on every site we monitor
+const NOISE_PATTERNS = [
+  /^page (?:last )?(?:reviewed|updated)\b/.source,
+  /^(?:last|next) (?:reviewed|review due|updated)\b/.source,
+  /^this page was (?:last )?(?:reviewed|updated)\b/.source,
+  /^(?:we|this (?:site|website)) uses? cookies\b/.source,
+  /^cookie (?:settings|preferences|policy)$/.source,
+  /^(?:accept|reject) (?:all |additional |analytics )?cookies$/.source,
+  /^(?:related (?:links|news|content|pages)|share (?:this|on)\b.*|back to top|print (?:this )?page)$/.source
+];
+
+const DEFAULT_CHANGE_DETECTION = {
+  ignorePatterns: [],
+  boilerplate: [],
+  minorMaxChars: 20
+};
+
+function normaliseLine(line) {
+  return line
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/[\u00a0\u202f\u200b]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Text with noise lines removed and typography/whitespace made uniform
+function normaliseContent(content, rules = DEFAULT_CHANGE_DETECTION) {
+  const boilerplate = new Set((rules.boilerplate || []).map(line => normaliseLine(line).toLowerCase()));
+  const patterns = [...NOISE_PATTERNS, ...(rules.ignorePatterns || [])];
+
+  return (content || '')
+    .split('\n')
+    .map(normaliseLine)
+    .filter(line => line
+      && !boilerplate.has(line.toLowerCase())
+      && !patterns.some(pattern => compilePattern(pattern).test(line)))
+    .join('\n');
+}
+
+function normalisedHash(content, rules) {
+  return hashString(normaliseContent(content, rules));
+}
+
+// Paragraphs and characters changed between two versions, plus the share of
+// the earlier text that changed (0–1)
+function changeMagnitude(before, after, rules) {
+  const previous = normaliseContent(before, rules);
+  const { paragraphs, characters } = Diff.magnitude(Diff.paragraphs(previous, normaliseContent(after, rules)));
+  return {
+    paragraphs,
+    characters,
+    ratio: Math.round(Math.min(1, characters / Math.max(1, previous.length)) * 1000) / 1000
+  };
+}
+
+module.exports = { NOISE_PATTERNS, DEFAULT_CHANGE_DETECTION, normaliseContent, normalisedHash, changeMagnitude };
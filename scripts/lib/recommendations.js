@@ -0,0 +1,82 @@
+'use strict';
+
+// Clinical Guidance Monitor — NICE recommendation-level changes
+// NICE chapters are lists of numbered recommendations (1.2.3, 1.2.4…). Each is
+// hashed on its own so a changed chapter can say which recommendations were
+// added, removed or reworded rather than just "something changed".
+
+const { hashString } = require('./util');
+
+// Recommendations are numbered to three or more levels; two-level numbers
+// ("1.3 Treating hypertension") are section headings and end the one before
+const RECOMMENDATION_LINE = /^(\d+\.\d+\.\d+[a-z]?)\s+(.*)$/;
+const SECTION_LINE = /^\d+\.\d+\s/;
+
+// [{ number, text, hash }] in document order. Unnumbered lines after a
+// recommendation (bullet lists, tables) belong to it.
+function splitRecommendations(content) {
+  const recommendations = [];
+  let current = null;
+
+  for (const line of (content || '').split('\n').map(l => l.trim()).filter(Boolean)) {
+    const match = line.match(RECOMMENDATION_LINE);
+    if (match) {
+      current = { number: match[1], lines: [match[2]] };
+      recommendations.push(current);
+    } else if (SECTION_LINE.test(line)) {
+      current = null;
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return recommendations.map(({ number, lines }) => {
+    const text = lines.join('\n').replace(/[ \t]+/g, ' ');
+    return { number, text, hash: hashString(text) };
+  });
+}
+
+// Compares two splits. Identical text under a new number counts as
+// renumbered, not reworded; the rest are matched by number.
+function compareRecommendations(before, after) {
+  const result = { added: [], removed: [], reworded: [], renumbered: [] };
+
+  const unmatchedBefore = new Map(before.map(r => [r.number, r]));
+  const unmatchedAfter = new Map(after.map(r => [r.number, r]));
+
+  // Same text, same number: unchanged
+  for (const rec of after) {
+    if (unmatchedBefore.get(rec.number)?.hash === rec.hash) {
+      unmatchedBefore.delete(rec.number);
+      unmatchedAfter.delete(rec.number);
+    }
+  }
+
+  // Same text, different number: renumbered
+  const beforeByHash = new Map([...unmatchedBefore.values()].map(r => [r.hash, r]));
+  for (const rec of [...unmatchedAfter.values()]) {
+    const old = beforeByHash.get(rec.hash);
+    if (!old) continue;
+    result.renumbered.push({ from: old.number, to: rec.number });
+    beforeByHash.delete(rec.hash);
+    unmatchedBefore.delete(old.number);
+    unmatchedAfter.delete(rec.number);
+  }
+
+  for (const rec of unmatchedAfter.values()) {
+    const old = unmatchedBefore.get(rec.number);
+    if (old) {
+      result.reworded.push({ number: rec.number, before: old.text, after: rec.text });
+      unmatchedBefore.delete(rec.number);
+    } else {
+      result.added.push({ number: rec.number, text: rec.text });
+    }
+  }
+  for (const old of unmatchedBefore.values()) {
+    result.removed.push({ number: old.number, text: old.text });
+  }
+
+  return result;
+}
+
+module.exports = { splitRecommendations, compareRecommendations };
@@ -0,0 +1,272 @@
+'use strict';
+
+// Clinical Guidance Monitor — Relevance rules
+// Decides whether a discovered item is relevant enough to store. A source's
+// `relevance` block lists rules, each a small query over the item's fields:
+//
+//   { "id": "respiratory", "action": "include", "match": "asthma OR copd OR spiromet*", "weight": 2 }
+//   { "id": "vacancies", "action": "exclude", "match": "\"job vacancy\" OR title:/^vacanc(y|ies)\\b/" }
+//
+// Query syntax:
+//   word        whole word, any case ("ckd" doesn't match inside "bckdx")
+//   word*       word prefix ("guideline*" matches "guidelines")
+//   "a phrase"  words in order, any whitespace between; may end in *
+//   /regex/i    regular expression
+//   title:x     scope a term or (group) to title, description or content
+//   a b         both (same as a AND b); a OR b; NOT a; (parentheses)
+//
+// A rule without `fields` applies to every field the poller has for the item.
+// Included items score the weights (default 1) of the include rules they
+// match, less the weights of matched exclude rules; they need `minScore`
+// (default 1 when there are include rules, else 0). An exclude rule without a
+// weight is a veto. Every decision records the rules and text that matched.
+
+const FIELDS = ['title', 'description', 'content'];
+
+// ── Parsing ────────────────────────────────────────────────────────────────────
+
+const TOKEN_PATTERN = /\s*(?:(\()|(\))|"([^"]*)"(\*)?|\/((?:\\.|[^\\/])+)\/([a-z]*)|(\w+):(?=\S)|([^\s()"]+))/y;
+
+function tokenize(query) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < query.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const m = TOKEN_PATTERN.exec(query);
+    if (!m) {
+      if (/^\s*$/.test(query.slice(start))) break;
+      throw new Error(`Unexpected text at ${start}: ${query.slice(start, start + 20)}`);
+    }
+    if (m[1]) tokens.push({ type: '(' });
+    else if (m[2]) tokens.push({ type: ')' });
+    else if (m[3] !== undefined) tokens.push({ type: 'term', text: m[3], prefix: !!m[4] || m[3].endsWith('*') });
+    else if (m[5]) tokens.push({ type: 'regex', source: m[5], flags: m[6] });
+    else if (m[7] && FIELDS.includes(m[7].toLowerCase())) tokens.push({ type: 'field', field: m[7].toLowerCase() });
+    else if (m[7]) tokens.push({ type: 'term', text: `${m[7]}:`, prefix: false });
+    else if (['AND', 'OR', 'NOT'].includes(m[8])) tokens.push({ type: m[8] });
+    else tokens.push({ type: 'term', text: m[8], prefix: m[8].endsWith('*') });
+  }
+  return tokens;
+}
+
+// Recursive descent: or := and (OR and)*; and := unary (AND? unary)*;
+// unary := NOT unary | [field:] primary; primary := ( or ) | term | regex
+function parseQuery(query) {
+  const tokens = tokenize(query);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  function parseOr(field) {
+    const children = [parseAnd(field)];
+    while (peek()?.type === 'OR') { next(); children.push(parseAnd(field)); }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd(field) {
+    const children = [parseUnary(field)];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') next();
+      children.push(parseUnary(field));
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary(field) {
+    const token = next();
+    if (!token) throw new Error('Query ends unexpectedly');
+    if (token.type === 'NOT') return { type: 'not', child: parseUnary(field) };
+    if (token.type === 'field') return parseUnary(token.field);
+    if (token.type === '(') {
+      const node = parseOr(field);
+      if (next()?.type !== ')') throw new Error('Missing )');
+      return node;
+    }
+    if (token.type === 'term') return { type: 'match', field, pattern: termPattern(token.text, token.prefix) };
+    if (token.type === 'regex') return { type: 'match', field, pattern: new RegExp(token.source, token.flags.replace('g', '')) };
+    throw new Error(`Unexpected ${token.type}`);
+  }
+
+  const ast = parseOr(null);
+  if (pos < tokens.length) throw new Error(`Unexpected ${tokens[pos].type}`);
+  return ast;
+}
+
+function termPattern(text, prefix) {
+  const words = text.replace(/\*$/, '').trim().split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\w])${words.join('\\s+')}${prefix ? '[\\w-]*' : ''}(?![\\w])`, 'i');
+}
+
+const compiled = new Map();
+
+// The parsed rule, or an Error for a query that doesn't parse (cached either
+// way, so a bad rule is reported once per run)
+function compileRule(rule) {
+  if (!compiled.has(rule.match)) {
+    try {
+      compiled.set(rule.match, parseQuery(rule.match || ''));
+    } catch (err) {
+      const error = new Error(`Invalid relevance rule "${rule.id}": ${err.message}`);
+      console.warn(`  ${error.message} — skipping it`);
+      compiled.set(rule.match, error);
+    }
+  }
+  return compiled.get(rule.match);
+}
+
+// ── Evaluation ─────────────────────────────────────────────────────────────────
+// A node yields null when it doesn't match, else the hits ({ field, text })
+// that made it match (NOT matches with no hits of its own).
+
+function evaluate(node, fields, scope) {
+  switch (node.type) {
+    case 'match': {
+      const names = node.field ? [node.field] : scope;
+      for (const name of names) {
+        const found = fields[name] ? fields[name].match(node.pattern) : null;
+        if (found) return [{ field: name, text: found[0] }];
+      }
+      return null;
+    }
+    case 'not':
+      return evaluate(node.child, fields, scope) ? null : [];
+    case 'and': {
+      const hits = [];
+      for (const child of node.children) {
+        const result = evaluate(child, fields, scope);
+        if (!result) return null;
+        hits.push(...result);
+      }
+      return hits;
+    }
+    case 'or': {
+      const results = node.children.map(child => evaluate(child, fields, scope)).filter(Boolean);
+      return results.length ? results.flat() : null;
+    }
+  }
+  return null;
+}
+
+// Returns { included, score, rule, reason, matches } where `rule` is the id of
+// the rule that decided it (null when none matched) and `matches` lists every
+// rule that matched with its hits
+function evaluateRelevance(relevance, fields) {
+  const rules = relevance?.rules || [];
+  const available = FIELDS.filter(name => fields[name]);
+  const matches = [];
+
+  for (const rule of rules) {
+    const ast = compileRule(rule);
+    if (ast instanceof Error) continue;
+    const scope = rule.fields?.length ? rule.fields : available;
+    const hits = evaluate(ast, fields, scope);
+    if (hits) matches.push({ rule: rule.id, action: rule.action, weight: rule.weight ?? null, hits });
+  }
+
+  const veto = matches.find(m => m.action === 'exclude' && m.weight === null);
+  const includes = matches.filter(m => m.action === 'include');
+  const score = matches.reduce((sum, m) => {
+    if (m.action === 'include') return sum + (m.weight ?? 1);
+    return m.weight === null ? sum : sum - m.weight;
+  }, 0);
+  const minScore = relevance?.minScore ?? (rules.some(r => r.action === 'include') ? 1 : 0);
+
+  const strongest = list => list.reduce((best, m) => (!best || (m.weight ?? 1) > (best.weight ?? 1) ? m : best), null);
+
+  if (veto) return { included: false, score, rule: veto.rule, reason: 'excluded', matches };
+  if (score >= minScore) {
+    return { included: true, score, rule: strongest(includes)?.rule || null, reason: includes.length ? 'matched' : 'not-excluded', matches };
+  }
+  const excludes = matches.filter(m => m.action === 'exclude');
+  return {
+    included: false,
+    score,
+    rule: strongest(excludes)?.rule || null,
+    reason: includes.length || excludes.length ? 'below-threshold' : 'no-match',
+    matches
+  };
+}
+
+// One line for the poll log: `rule "x" (title: "asthma")`
+function describeDecision(decision) {
+  if (decision.reason === 'promoted') {
+    return `promoted from the filtered list${decision.excludedBy ? ` (excluded by rule "${decision.excludedBy}")` : ''}`;
+  }
+  if (!decision.rule) return decision.reason === 'no-match' ? 'no include rule matched' : decision.reason;
+  const match = decision.matches.find(m => m.rule === decision.rule);
+  const hits = (match?.hits || []).map(h => `${h.field}: "${h.text}"`).join(', ');
+  return `rule "${decision.rule}"${hits ? ` (${hits})` : ''}, score ${decision.score}`;
+}
+
+// ── Excluded items ─────────────────────────────────────────────────────────────
+// The pollers keep items the rules exclude in filtered.json, keyed like
+// seen.json, with the latest decision; an item leaves when a run includes it.
+// `scripts/quarantine.js promote` flags an entry `promoted`, and the next run
+// stores it whatever the rules say. Entries no run has seen for
+// FILTERED_RETENTION_DAYS are dropped.
+
+const FILTERED_RETENTION_DAYS = 90;
+
+function recordExclusion(filtered, key, entry, decision) {
+  const now = new Date().toISOString();
+  filtered[key] = {
+    ...entry,
+    firstExcluded: filtered[key]?.firstExcluded || now,
+    lastEvaluated: now,
+    relevance: decision
+  };
+}
+
+// The decision for an item, overridden when it was promoted from filtered.json
+function applyPromotion(decision, entry) {
+  if (decision.included || !entry?.promoted) return decision;
+  return { ...decision, included: true, rule: null, reason: 'promoted', excludedBy: decision.rule };
+}
+
+// Removes entries last evaluated before the retention window; returns how many
+function pruneFiltered(filtered, now = Date.now(), days = FILTERED_RETENTION_DAYS) {
+  let removed = 0;
+  for (const [key, entry] of Object.entries(filtered)) {
+    if (entry.promoted) continue;
+    if (now - new Date(entry.lastEvaluated || entry.firstExcluded).getTime() > days * 86_400_000) {
+      delete filtered[key];
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// ── Keyword lists ──────────────────────────────────────────────────────────────
+// Older configs set `keywords` / `excludeKeywords` substring lists. Each
+// keyword becomes a word-prefix term, which keeps plurals ("infection" still
+// matches "infections") without matching inside other words; a trailing
+// space ('gp ') meant a whole word.
+
+function keywordQuery(keywords) {
+  return keywords
+    .map(kw => {
+      const term = `${kw.trim()}${kw.endsWith(' ') ? '' : '*'}`;
+      return /[\s()"]/.test(kw.trim()) ? `"${term}"` : term;
+    })
+    .join(' OR ');
+}
+
+function rulesFromKeywords({ keywords = [], excludeKeywords = [] }, fields) {
+  const rules = [];
+  if (keywords.length) rules.push({ id: 'keywords', action: 'include', match: keywordQuery(keywords), fields });
+  if (excludeKeywords.length) rules.push({ id: 'exclude-keywords', action: 'exclude', match: keywordQuery(excludeKeywords), fields });
+  return rules;
+}
+
+module.exports = {
+  FIELDS,
+  FILTERED_RETENTION_DAYS,
+  parseQuery,
+  evaluateRelevance,
+  describeDecision,
+  recordExclusion,
+  applyPromotion,
+  pruneFiltered,
+  rulesFromKeywords
+};
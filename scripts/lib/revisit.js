@@ -0,0 +1,75 @@
+'use strict';
+
+// Clinical Guidance Monitor — Revisit scheduler
+// Seen URLs are never rediscovered, so stored items are re-crawled on a
+// cadence to pick up amendments as content_update changes. Each source's
+// `revisit` settings (see sources.js) decide how often: items published in the
+// last `recentDays` every `recentIntervalDays`, everything else every
+// `intervalDays`. At most `maxPerRun` items per source are crawled per run,
+// most overdue first, so a backlog is worked through over several runs.
+
+const { hashString, parseItemDate } = require('./util');
+const { crawlAndStore } = require('./crawl');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When the item is next due, in ms. A stable per-item offset of up to 10% of
+// the interval keeps items stored in the same run from falling due together.
+function dueAt(item, settings, now) {
+  const published = parseItemDate(item.publishedDate) ?? parseItemDate(item.fetchedDate);
+  const isRecent = published !== null && now - published < settings.recentDays * DAY_MS;
+  const interval = (isRecent ? settings.recentIntervalDays : settings.intervalDays) * DAY_MS;
+  const spread = parseInt(hashString(item.id).substring(0, 8), 16) / 0xffffffff;
+  const lastChecked = parseItemDate(item.lastChecked) ?? parseItemDate(item.fetchedDate) ?? 0;
+
+  return lastChecked + interval - Math.round(spread * 0.1 * interval);
+}
+
+// Items of `source` due for a revisit at `now`, most overdue first
+function selectDue(guidance, source, now = Date.now()) {
+  const settings = source.revisit;
+  if (!settings || !(settings.maxPerRun > 0) || source.rssOnly) return [];
+
+  return Object.values(guidance)
+    .filter(item => item.source === source.id)
+    .map(item => ({ item, due: dueAt(item, settings, now) }))
+    .filter(({ due }) => due <= now)
+    .sort((a, b) => a.due - b.due)
+    .slice(0, settings.maxPerRun)
+    .map(({ item }) => item);
+}
+
+// Re-crawls the source's due items. Returns { checked, updated }.
+async function revisitSource(source, guidance, changes, history, config) {
+  const due = selectDue(guidance, source);
+  if (due.length === 0) return { checked: 0, updated: 0 };
+
+  console.log(`${source.label}: Revisiting ${due.length} stored items...`);
+  let updated = 0;
+
+  for (const item of due) {
+    // Chapters are revisited on their own, so don't follow links from them
+    const depth = item.type === 'chapter' ? (source.maxDepth || 0) : 0;
+    const changeType = await crawlAndStore(
+      item.url, source, item.type,
+      {
+        title: item.title,
+        description: item.metadata?.description,
+        publishedDate: item.publishedDate,
+        guid: item.metadata?.guid,
+        categories: item.metadata?.categories,
+        nice: item.metadata?.nice
+      },
+      guidance, changes, history, config,
+      depth, item.parentUrl
+    );
+
+    if (changeType) updated++;
+    // A failed fetch leaves the item due, so the next run tries it again
+    if (changeType !== false && guidance[item.id]) guidance[item.id].lastChecked = new Date().toISOString();
+  }
+
+  return { checked: due.length, updated };
+}
+
+module.exports = { parseItemDate, selectDue, revisitSource };
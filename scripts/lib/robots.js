@@ -0,0 +1,83 @@
+'use strict';
+
+// Clinical Guidance Monitor — robots.txt rules
+// Parses robots.txt per RFC 9309: the groups naming our product token apply,
+// otherwise the `*` groups. The longest matching Allow/Disallow pattern wins
+// (Allow on a tie); `*` matches any run of characters and a trailing `$`
+// anchors the end. Crawl-delay isn't in the RFC but is honoured when present.
+
+function escapeRegex(str) {
+  return str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileRule(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path).split('*').map(escapeRegex).join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Returns { rules: [{ allow, path, regex }], crawlDelay } for `productToken`
+function parseRobots(text, productToken) {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!group) continue;
+
+    if ((key === 'allow' || key === 'disallow') && value) {
+      group.rules.push({ allow: key === 'allow', path: value, regex: compileRule(value) });
+    } else if (key === 'crawl-delay' && !Number.isNaN(parseFloat(value))) {
+      group.crawlDelay = parseFloat(value);
+    }
+  }
+
+  const token = productToken.toLowerCase();
+  let matched = groups.filter(g => g.agents.includes(token));
+  if (matched.length === 0) matched = groups.filter(g => g.agents.includes('*'));
+
+  const delays = matched.map(g => g.crawlDelay).filter(d => d !== null);
+  return {
+    rules: matched.flatMap(g => g.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+// `url` may be absolute; only its path and query are matched
+function isAllowed(robots, url) {
+  const { pathname, search } = new URL(url, 'http://robots.invalid');
+  if (pathname === '/robots.txt') return true;
+  const target = pathname + search;
+
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!rule.regex.test(target)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+const ALLOW_ALL = { rules: [], crawlDelay: null };
+const DISALLOW_ALL = { rules: [{ allow: false, path: '/', regex: /^\// }], crawlDelay: null };
+
+module.exports = { parseRobots, isAllowed, ALLOW_ALL, DISALLOW_ALL };
@@ -0,0 +1,17 @@
+'use strict';
+
+// Clinical Guidance Monitor — Search index
+// Whatever writes guidance.json rebuilds data/search-index.json from it, so
+// the dashboard can rank searches without scanning every item's content. The
+// index format and ranking live in js/search.js, shared with the browser.
+
+const Search = require('../../js/search.js');
+const { writeData } = require('./data');
+
+function writeSearchIndex(guidance) {
+  const index = Search.buildIndex(Object.values(guidance));
+  writeData('search-index.json', index, { compact: true });
+  return index;
+}
+
+module.exports = { writeSearchIndex };
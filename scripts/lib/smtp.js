@@ -0,0 +1,221 @@
+'use strict';
+
+// Clinical Guidance Monitor — SMTP client
+// Just enough SMTP (RFC 5321) to hand a message to a relay: EHLO, STARTTLS,
+// AUTH PLAIN or LOGIN, one message per connection. Settings come from
+// config.json → digest.smtp (see DEFAULT_SMTP); the environment overrides them,
+// and is the only place for the password, so no secret is committed:
+//
+//   SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD, SMTP_SECURE (true/false)
+//
+// `secure` connects over TLS from the start (usually port 465). Otherwise
+// STARTTLS is used whenever the server offers it; `requireTLS` refuses to send
+// when it doesn't.
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_SMTP = {
+  host: 'localhost',
+  port: 25,
+  secure: false,
+  requireTLS: false,
+  user: '',
+  timeoutMs: 30000
+};
+
+function smtpSettings(smtp = {}, env = process.env) {
+  const settings = { ...DEFAULT_SMTP, ...smtp };
+  if (env.SMTP_HOST) settings.host = env.SMTP_HOST;
+  if (env.SMTP_PORT) settings.port = Number(env.SMTP_PORT);
+  if (env.SMTP_USER) settings.user = env.SMTP_USER;
+  if (env.SMTP_SECURE) settings.secure = env.SMTP_SECURE === 'true';
+  settings.password = env.SMTP_PASSWORD || '';
+  return settings;
+}
+
+// ── Messages ───────────────────────────────────────────────────────────────────
+
+// "Name <a@b.org>" → "a@b.org"
+function addressOf(mailbox) {
+  const angled = mailbox.match(/<([^>]+)>/);
+  return (angled ? angled[1] : mailbox).trim();
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+// Text parts are sent with CRLF line ends, as MIME expects
+function base64Body(text) {
+  return Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// A multipart/alternative message with plain-text and HTML parts, CRLF line ends
+function buildMessage({ from, to, subject, text, html, date = new Date() }) {
+  const boundary = `cgm-${crypto.randomBytes(12).toString('hex')}`;
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const part = (type, body) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(body)
+  ].join('\r\n');
+
+  return [
+    `From: ${from}`,
+    `To: ${[].concat(to).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    part('text/plain', text),
+    part('text/html', html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+// ── Connection ─────────────────────────────────────────────────────────────────
+// Replies are read line by line; a reply ends at the line whose code is
+// followed by a space ("250 OK") rather than a hyphen ("250-PIPELINING").
+
+function replyReader() {
+  let socket = null;
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiters = [];
+
+  const settle = () => {
+    while (waiters.length && (replies.length || failure)) {
+      const waiter = waiters.shift();
+      if (replies.length) waiter.resolve(replies.shift());
+      else waiter.reject(failure);
+    }
+  };
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), lines });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = err => { failure = failure || err; settle(); };
+  const onClose = () => onError(new Error('SMTP server closed the connection'));
+
+  return {
+    attach(next) {
+      socket = next;
+      socket.on('data', onData).on('error', onError).on('close', onClose);
+    },
+    // STARTTLS hands the socket over to TLS, which must get its data
+    detach() {
+      socket.off('data', onData).off('error', onError).off('close', onClose);
+    },
+    next() {
+      return new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        settle();
+      });
+    }
+  };
+}
+
+function connect(settings, socket = null) {
+  return new Promise((resolve, reject) => {
+    const options = { host: settings.host, port: settings.port, servername: settings.host };
+    const connection = socket
+      ? tls.connect({ ...options, socket }, () => resolve(connection))
+      : settings.secure
+        ? tls.connect(options, () => resolve(connection))
+        : net.connect(options, () => resolve(connection));
+    connection.once('error', reject);
+    connection.setTimeout(settings.timeoutMs, () => connection.destroy(new Error(`SMTP server timed out after ${settings.timeoutMs}ms`)));
+  });
+}
+
+// Sends `line` (null just reads, e.g. the greeting) and checks the reply code.
+// `label` names the step in errors, so credentials never appear in them.
+async function command(session, line, expected, label = line === null ? 'connect' : line.split(/[\s:]/)[0]) {
+  if (line !== null) session.socket.write(`${line}\r\n`);
+  const reply = await session.reader.next();
+  if (!expected.includes(reply.code)) throw new Error(`SMTP ${reply.code} after ${label}: ${reply.lines.join(' ')}`);
+  return reply;
+}
+
+// EHLO keywords, e.g. { STARTTLS: [], AUTH: ['PLAIN', 'LOGIN'] }
+function extensions(reply) {
+  return Object.fromEntries(reply.lines.slice(1).map(line => {
+    const [keyword, ...params] = line.trim().split(/\s+/);
+    return [keyword.toUpperCase(), params.map(p => p.toUpperCase())];
+  }));
+}
+
+async function authenticate(session, offered, { user, password }) {
+  const b64 = value => Buffer.from(value, 'utf8').toString('base64');
+  const methods = offered.AUTH || [];
+  if (methods.includes('PLAIN')) {
+    await command(session, `AUTH PLAIN ${b64(`\0${user}\0${password}`)}`, [235], 'AUTH PLAIN');
+  } else if (methods.includes('LOGIN')) {
+    await command(session, 'AUTH LOGIN', [334]);
+    await command(session, b64(user), [334], 'AUTH LOGIN');
+    await command(session, b64(password), [235], 'AUTH LOGIN');
+  } else {
+    throw new Error(`SMTP server offers no authentication we support (${methods.join(', ') || 'none'})`);
+  }
+}
+
+// Lines starting with a dot are escaped so they don't end the DATA section
+function dotStuff(message) {
+  return message.replace(/\r\n\./g, '\r\n..').replace(/^\./, '..');
+}
+
+// Sends one message; resolves to the server's reply to the message text
+async function sendMail(settings, { from, to, subject, text, html }) {
+  const recipients = [].concat(to);
+  const message = buildMessage({ from, to: recipients, subject, text, html });
+  const reader = replyReader();
+  const session = { socket: await connect(settings), reader };
+  reader.attach(session.socket);
+
+  try {
+    await command(session, null, [220]);
+    let offered = extensions(await command(session, `EHLO ${os.hostname()}`, [250]));
+
+    if (!settings.secure && offered.STARTTLS) {
+      await command(session, 'STARTTLS', [220]);
+      reader.detach();
+      session.socket = await connect(settings, session.socket);
+      reader.attach(session.socket);
+      offered = extensions(await command(session, `EHLO ${os.hostname()}`, [250]));
+    } else if (!settings.secure && settings.requireTLS) {
+      throw new Error(`SMTP server ${settings.host} doesn't offer STARTTLS and requireTLS is set`);
+    }
+
+    if (settings.user) await authenticate(session, offered, settings);
+    await command(session, `MAIL FROM:<${addressOf(from)}>`, [250]);
+    for (const recipient of recipients) await command(session, `RCPT TO:<${addressOf(recipient)}>`, [250, 251]);
+    await command(session, 'DATA', [354]);
+    const accepted = await command(session, `${dotStuff(message)}.`, [250], 'message');
+    await command(session, 'QUIT', [221]).catch(() => {});
+    return accepted.lines.join(' ');
+  } finally {
+    session.socket.destroy();
+  }
+}
+
+module.exports = { DEFAULT_SMTP, smtpSettings, addressOf, buildMessage, sendMail };
@@ -0,0 +1,229 @@
+'use strict';
+
+// Clinical Guidance Monitor — Source Registry
+// Every monitored site is an entry under `sources` in data/config.json, keyed
+// by a short id that is stored on each item. The entry's `type` decides which
+// poller picks it up and how it is read:
+//
+//   nice-index    NICE-style index of guidance pages, crawled with chapters (poll-rss.js)
+//   rss           RSS 2.0, RSS 1.0/RDF or Atom feed of articles (poll-rss.js)
+//   html-listing  HTML news listing, fingerprinted and crawled per article (poll-html.js)
+//
+// Entries only need to set what differs from the defaults for their type.
+// Extraction patterns are regex source strings; link patterns use the named
+// groups `href` and `title` (and optionally `id`/`slug`).
+// An optional `http` block tunes timeouts, retries, request pacing and
+// conditional requests for the source (see DEFAULT_HTTP_OPTIONS in http.js).
+// `revisit` sets how often stored items are re-crawled for updates (see
+// revisit.js); rssOnly sources are instead re-read from their feed each run.
+// `changeDetection` adds ignore patterns and boilerplate lines to strip before
+// content is compared, and the size below which an update is minor (see
+// normalise.js). `relevance` holds the rules that decide which discovered
+// items are stored (see relevance.js); entries still using the older
+// `keywords` / `excludeKeywords` lists have them converted to rules.
+// `priority` (low, normal or high) is what webhook notifications rate the
+// source's new items (see webhooks.js).
+
+const { DEFAULT_CHANGE_DETECTION } = require('./normalise');
+const { rulesFromKeywords } = require('./relevance');
+
+// Relevance rules (see relevance.js). Conditions we follow, matched as word
+// prefixes so plurals count
+const CONDITIONS = [
+  'diabet*', 'hypertension', 'ckd', '"chronic kidney*"', 'cardiovascular', 'lipid*', 'cholesterol',
+  'respiratory', 'asthma', 'copd', '"mental health"', 'depression', 'anxiety', 'infection*',
+  'antibiotic*', 'contracepti*', 'thyroid', 'anticoagula*', 'warfarin', '"heart failure"',
+  '"atrial fibrillation"', 'stroke*', 'obesity', 'dementia', 'osteoporosis', 'metabolic',
+  'musculoskeletal', 'arthritis', 'gout', 'eczema', 'dermatolog*', 'epilep*'
+].join(' OR ');
+
+const SCREENING = '"cancer screening" OR cervical OR "bowel screening" OR "breast screening"';
+
+const PRIMARY_CARE_RULES = [
+  { id: 'conditions', action: 'include', match: `${CONDITIONS} OR ${SCREENING}`, fields: ['title'] },
+  { id: 'primary-care', action: 'include', match: '"primary care"', fields: ['title'] }
+];
+
+// Feeds and listings: clinical articles in, practice administration out
+const CLINICAL = [
+  'guideline*', 'guidance', 'pathway*', 'protocol*', 'recommendation*', 'clinical', 'diagnos*',
+  'treatment*', 'management', 'referral*', 'screening', 'monitoring', 'alert*', 'safety', 'update*',
+  'bulletin*', 'reminder*', 'cancer*', 'patient*'
+].join(' OR ');
+
+const ADMINISTRATION = [
+  '"student training"', '"sample container*"', '"proficiency testing"', '"external quality"',
+  '"practice manager*"', '"practice vacanc*"', '"job vacanc*"', '"phlebotomy training"', 'gpit',
+  '"it support"', '"protected learning time"', '"webinar registration"', '"training event*"',
+  '"training course*"', '"staff survey*"', '"practice administrator*"', '"workforce planning"',
+  '"greener nhs"', '"carbon footprint"', '"information governance"', '"systems & facilitation"',
+  '"buying group*"', '"digital innovation"', '"research opportunit*"', 'ambulance*', 'handover*',
+  '"waiting list*"', '"medicines supply"', '"supply notification*"', '"medicines shortage*"'
+].join(' OR ');
+
+const ARTICLE_RULES = [
+  { id: 'clinical', action: 'include', match: CLINICAL, fields: ['title', 'description'] },
+  { id: 'conditions', action: 'include', match: CONDITIONS, fields: ['title', 'description'] },
+  { id: 'primary-care', action: 'include', match: '"primary care" OR gp OR gps OR "general practice"', fields: ['title', 'description'] },
+  { id: 'administration', action: 'exclude', match: ADMINISTRATION, fields: ['title', 'description'] }
+];
+
+const LISTING_RULES = [
+  { id: 'administration', action: 'exclude', match: ADMINISTRATION, fields: ['title'] }
+];
+
+// Fallback article-body patterns for sites without their own rules
+const GENERIC_CONTENT_PATTERNS = [
+  /<div[^>]*class="[^"]*entry-content[^"]*"[^>]*>([\s\S]*?)<\/div>\s*<(?:div|footer|nav)/.source,
+  /<article[^>]*>([\s\S]*?)<\/article>/.source,
+  /<main[^>]*>([\s\S]*?)<\/main>/.source
+];
+
+const TYPE_DEFAULTS = {
+  'nice-index': {
+    poller: 'rss',
+    color: '#10b981',
+    description: 'Guidelines',
+    priority: 'high',
+    relevance: { rules: PRIMARY_CARE_RULES },
+    // Guideline text is clinically decisive: every update counts as unread
+    changeDetection: { minorMaxChars: 0 },
+    maxDepth: 1,
+    revisit: { intervalDays: 7, recentIntervalDays: 1, recentDays: 30, maxPerRun: 25 },
+    extract: {
+      linkPattern: /<a[^>]*href="(?<href>\/guidance\/(?:ng|cg|ph|qs|ta|dg|ipg|hst|es|mtg)\d+)"[^>]*>(?<title>[\s\S]*?)<\/a>/.source,
+      chapterPattern: /<a[^>]*href="(?<href>\/guidance\/[^\/]+\/chapter\/[^"]+)"[^>]*>(?<title>[\s\S]*?)<\/a>/.source,
+      contentPatterns: [
+        /<div[^>]*class="[^"]*chapter[^"]*"[^>]*>([\s\S]*?)<\/div>\s*<(?:div|footer|nav)/.source,
+        /<div[^>]*id="content"[^>]*>([\s\S]*?)<\/div>\s*<(?:div|footer|nav)/.source,
+        /<main[^>]*>([\s\S]*?)<\/main>/.source,
+        /<article[^>]*>([\s\S]*?)<\/article>/.source
+      ]
+    }
+  },
+  rss: {
+    poller: 'rss',
+    color: '#6b7280',
+    description: 'Updates',
+    priority: 'normal',
+    relevance: { rules: ARTICLE_RULES },
+    // rssOnly: store the feed's own content instead of fetching the article page
+    rssOnly: false,
+    revisit: { intervalDays: 14, recentIntervalDays: 1, recentDays: 14, maxPerRun: 10 },
+    extract: {
+      contentPatterns: GENERIC_CONTENT_PATTERNS
+    }
+  },
+  'html-listing': {
+    poller: 'html',
+    color: '#6b7280',
+    description: 'News',
+    priority: 'normal',
+    relevance: { rules: LISTING_RULES },
+    revisit: { intervalDays: 14, recentIntervalDays: 1, recentDays: 14, maxPerRun: 10 },
+    extract: {
+      linkPattern: /<a[^>]*href="(?<href>\/news\/(?<id>\d+)\/(?<slug>[^"]+))"[^>]*>(?<title>[\s\S]*?)<\/a>/.source,
+      datePattern: /(\d{2}\/\d{2}\/\d{4})/.source,
+      contentPatterns: GENERIC_CONTENT_PATTERNS
+    }
+  }
+};
+
+// Used when data/config.json is missing entirely
+const DEFAULT_SOURCES = {
+  nice: {
+    enabled: true,
+    type: 'nice-index',
+    label: 'NICE',
+    name: 'NICE',
+    description: 'Guidelines',
+    color: '#10b981',
+    url: 'https://www.nice.org.uk/guidance/published?ngt=Guidelines&ps=50',
+    baseUrl: 'https://www.nice.org.uk'
+  },
+  ncl: {
+    enabled: true,
+    type: 'rss',
+    label: 'NCL',
+    name: 'NCL GP',
+    description: 'GP Updates',
+    color: '#3b82f6',
+    url: 'https://gps.northcentrallondon.icb.nhs.uk/news/rss',
+    rssOnly: true
+  },
+  nhs: {
+    enabled: true,
+    type: 'rss',
+    label: 'NHS',
+    name: 'NHS England',
+    description: 'England',
+    color: '#d41f2c',
+    url: 'https://www.england.nhs.uk/feed/'
+  },
+  artp: {
+    enabled: true,
+    type: 'html-listing',
+    label: 'ARTP',
+    name: 'ARTP',
+    description: 'Respiratory',
+    color: '#8b5cf6',
+    url: 'https://www.artp.org.uk/news',
+    baseUrl: 'https://www.artp.org.uk'
+  }
+};
+
+// An entry's own rules, or failing those its legacy keyword lists (feeds
+// matched title and description), replace the default rules of the same
+// action; default rules of the other action are kept.
+function resolveRelevance(defaults, entry) {
+  const relevance = { ...defaults.relevance, ...entry.relevance };
+  const own = entry.relevance?.rules
+    || (entry.keywords || entry.excludeKeywords
+      ? rulesFromKeywords(entry, entry.type === 'rss' ? ['title', 'description'] : ['title'])
+      : null);
+  if (!own) return relevance;
+
+  const replaced = new Set(own.map(rule => rule.action));
+  if (!entry.relevance?.rules) {
+    if (entry.keywords) replaced.add('include');
+    if (entry.excludeKeywords) replaced.add('exclude');
+  }
+  const kept = (defaults.relevance?.rules || []).filter(rule => !replaced.has(rule.action));
+  return { ...relevance, rules: [...kept, ...own] };
+}
+
+// Merges an entry over its type defaults. Returns null for unknown types.
+function resolveSource(id, entry) {
+  const defaults = TYPE_DEFAULTS[entry.type];
+  if (!defaults) return null;
+
+  return {
+    ...defaults,
+    label: id.toUpperCase(),
+    name: entry.label || id.toUpperCase(),
+    ...entry,
+    id,
+    extract: { ...defaults.extract, ...entry.extract },
+    revisit: { ...defaults.revisit, ...entry.revisit },
+    changeDetection: { ...DEFAULT_CHANGE_DETECTION, ...defaults.changeDetection, ...entry.changeDetection },
+    relevance: resolveRelevance(defaults, entry)
+  };
+}
+
+// Enabled sources handled by the given poller ('rss' or 'html'), in config order
+function getSources(config, poller) {
+  const resolved = [];
+  for (const [id, entry] of Object.entries(config.sources || {})) {
+    if (entry.enabled === false) continue;
+
+    const source = resolveSource(id, entry);
+    if (!source) {
+      console.warn(`Source "${id}" has unknown type "${entry.type}" — skipping`);
+      continue;
+    }
+    if (source.poller === poller) resolved.push(source);
+  }
+  return resolved;
+}
+
+module.exports = { DEFAULT_SOURCES, TYPE_DEFAULTS, resolveSource, getSources };
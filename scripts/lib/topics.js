@@ -0,0 +1,120 @@
+'use strict';
+
+// Clinical Guidance Monitor — Clinical topics
+// Items are tagged with topics from a taxonomy kept under `topics` in
+// data/config.json, keyed by a short id stored on each item:
+//
+//   "respiratory": { "label": "Respiratory", "synonyms": ["asthma", "copd", …] }
+//
+// Synonyms match whole words, case-insensitively. A mention in the title,
+// description or feed categories tags the item; in the body text a topic needs
+// CONTENT_MIN_MENTIONS mentions, so passing references don't count.
+// Items are tagged when stored; the `tag-topics` migration re-tags everything
+// after the taxonomy is edited.
+
+const { compilePattern } = require('./util');
+
+const CONTENT_MIN_MENTIONS = 3;
+
+// Used when data/config.json has no `topics`
+const DEFAULT_TOPICS = {
+  cardiovascular: {
+    label: 'Cardiovascular',
+    color: '#dc2626',
+    synonyms: [
+      'cardiovascular', 'hypertension', 'blood pressure', 'atrial fibrillation', 'heart failure',
+      'coronary', 'angina', 'myocardial infarction', 'stroke', 'cholesterol', 'lipids',
+      'lipid', 'statin', 'statins', 'anticoagulation', 'anticoagulant', 'warfarin'
+    ]
+  },
+  respiratory: {
+    label: 'Respiratory',
+    color: '#0891b2',
+    synonyms: ['respiratory', 'asthma', 'copd', 'spirometry', 'inhaler', 'inhalers', 'bronchiectasis', 'pulmonary']
+  },
+  diabetes: {
+    label: 'Diabetes & endocrine',
+    color: '#d97706',
+    synonyms: ['diabetes', 'diabetic', 'hba1c', 'insulin', 'thyroid', 'hypothyroidism', 'hyperthyroidism', 'obesity', 'metabolic']
+  },
+  'mental-health': {
+    label: 'Mental health',
+    color: '#7c3aed',
+    synonyms: ['mental health', 'depression', 'anxiety', 'psychosis', 'self-harm', 'suicide', 'bipolar', 'eating disorder', 'eating disorders']
+  },
+  infection: {
+    label: 'Infection',
+    color: '#059669',
+    synonyms: [
+      'infection', 'infections', 'antibiotic', 'antibiotics', 'antimicrobial', 'sepsis',
+      'vaccine', 'vaccination', 'immunisation', 'covid-19', 'influenza', 'measles'
+    ]
+  },
+  renal: {
+    label: 'Renal',
+    color: '#2563eb',
+    synonyms: ['ckd', 'chronic kidney disease', 'chronic kidney', 'kidney', 'renal', 'egfr']
+  },
+  cancer: {
+    label: 'Cancer',
+    color: '#db2777',
+    synonyms: ['cancer', 'cancers', 'oncology', 'tumour', 'cancer screening', 'bowel screening', 'breast screening', 'cervical screening']
+  },
+  'womens-health': {
+    label: "Women's health",
+    color: '#c026d3',
+    synonyms: ['contraception', 'contraceptive', 'pregnancy', 'pregnant', 'menopause', 'maternity', 'cervical', 'antenatal']
+  },
+  musculoskeletal: {
+    label: 'Musculoskeletal',
+    color: '#65a30d',
+    synonyms: ['musculoskeletal', 'osteoporosis', 'arthritis', 'osteoarthritis', 'gout', 'back pain', 'fracture', 'fractures']
+  },
+  neurology: {
+    label: 'Neurology & dementia',
+    color: '#4f46e5',
+    synonyms: ['dementia', 'epilepsy', 'migraine', 'parkinson\'s', 'multiple sclerosis', 'neurology']
+  },
+  dermatology: {
+    label: 'Dermatology',
+    color: '#ea580c',
+    synonyms: ['dermatology', 'eczema', 'psoriasis', 'acne', 'skin cancer']
+  },
+  'medicines-safety': {
+    label: 'Medicines safety',
+    color: '#475569',
+    synonyms: ['drug safety', 'medicines safety', 'prescribing', 'adverse reaction', 'adverse reactions', 'mhra', 'safety alert']
+  }
+};
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word pattern for a topic's synonyms. \b doesn't work next to
+// punctuation ("parkinson's", "covid-19"), so look for non-word neighbours.
+function synonymPattern(synonyms) {
+  const alternatives = synonyms.map(s => escapeRegExp(s.trim()).replace(/\s+/g, '\\s+'));
+  return `(?<![\\w-])(?:${alternatives.join('|')})(?![\\w-])`;
+}
+
+function countMentions(text, pattern) {
+  return text ? (text.match(compilePattern(pattern, 'gi')) || []).length : 0;
+}
+
+// Topic ids for an item, in taxonomy order
+function tagTopics({ title, description, categories, content }, topics = DEFAULT_TOPICS) {
+  const heading = [title, description, ...(categories || [])].filter(Boolean).join('\n');
+  const tagged = [];
+
+  for (const [id, topic] of Object.entries(topics)) {
+    if (!topic.synonyms?.length) continue;
+    const pattern = synonymPattern(topic.synonyms);
+    if (countMentions(heading, pattern) > 0 || countMentions(content, pattern) >= CONTENT_MIN_MENTIONS) {
+      tagged.push(id);
+    }
+  }
+  return tagged;
+}
+
+module.exports = { CONTENT_MIN_MENTIONS, DEFAULT_TOPICS, synonymPattern, tagTopics };
@@ -0,0 +1,44 @@
+'use strict';
+
+// Clinical Guidance Monitor — Shared utilities
+
+const crypto = require('crypto');
+
+function hashString(str) {
+  return crypto.createHash('sha256').update(str).digest('hex').substring(0, 16);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Patterns in config.json are plain strings; compiled ones are cached because
+// the same pattern is applied to every page of a source.
+const patternCache = new Map();
+
+function compilePattern(pattern, flags = 'i') {
+  const key = `${flags}:${pattern}`;
+  if (!patternCache.has(key)) patternCache.set(key, new RegExp(pattern, flags));
+  const regex = patternCache.get(key);
+  regex.lastIndex = 0;
+  return regex;
+}
+
+// Stored dates are ISO, RFC 822 (feeds) or dd/mm/yyyy (listings); returns ms
+function parseItemDate(value) {
+  if (!value) return null;
+  const dmy = String(value).match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  const time = dmy ? Date.UTC(+dmy[3], +dmy[2] - 1, +dmy[1]) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// The YYYY-MM-DD day of a date in any of those formats (UTC), or null.
+// ISO dates keep the day written, whatever time and offset follow it.
+function isoDate(value) {
+  const iso = String(value || '').match(/^\d{4}-\d{2}-\d{2}/);
+  if (iso) return iso[0];
+  const time = parseItemDate(value);
+  return time === null ? null : new Date(time).toISOString().split('T')[0];
+}
+
+module.exports = { hashString, sleep, compilePattern, parseItemDate, isoDate };
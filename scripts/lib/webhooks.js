@@ -0,0 +1,268 @@
+'use strict';
+
+// Clinical Guidance Monitor — Webhook notifications
+// After each poll, new changes are posted to the endpoints listed under
+// `webhooks` in config.json:
+//
+//   "webhooks": [
+//     { "id": "gp-slack", "format": "slack", "urlEnv": "SLACK_WEBHOOK_URL", "sources": ["nice"], "minPriority": "high" },
+//     { "id": "governance", "format": "teams", "urlEnv": "TEAMS_WEBHOOK_URL", "changeTypes": ["content_update"] },
+//     { "id": "intranet", "format": "json", "url": "https://intranet.example.org/hooks/guidance" }
+//   ]
+//
+// `format` is slack, teams (an Adaptive Card) or json. A URL that works as a
+// secret, as Slack and Teams ones do, belongs in the environment variable named
+// by `urlEnv` rather than in the committed config. `sources` and `changeTypes`
+// (new_guidance, content_update) narrow what an endpoint gets, and
+// `minPriority` (default normal) leaves out lower priorities; see
+// changePriority. `timeoutMs`, `retries` and `backoffMs` override
+// DEFAULT_DELIVERY.
+//
+// data/webhook-log.json records each endpoint's deliveries, so no change is
+// posted to an endpoint twice. A failed post is retried with backoff during the
+// run and again on later runs, up to MAX_ATTEMPTS in all; one the endpoint
+// rejects outright (4xx other than 429) isn't retried. An endpoint only gets
+// changes detected after it was added.
+
+const { readData, writeData } = require('./data');
+const { sleep } = require('./util');
+const { buildUserAgent, parseRetryAfter } = require('./http');
+const { resolveSource } = require('./sources');
+const { TYPE_LABELS, excerptOf, changeSummary } = require('./digest');
+
+const PRIORITIES = ['low', 'normal', 'high'];
+// Updates that rewrite at least this share of the text are high priority
+const MAJOR_CHANGE_RATIO = 0.25;
+const MAX_ATTEMPTS = 6;
+
+const DEFAULT_DELIVERY = {
+  timeoutMs: 10000,     // per attempt
+  retries: 2,           // attempts after the first, within one run
+  backoffMs: 2000,      // doubled after each failed attempt
+  maxBackoffMs: 30000   // a longer Retry-After leaves the change for the next run
+};
+
+// ── Priority and filters ───────────────────────────────────────────────────────
+// Minor updates are low priority. Updates that add, remove or reword
+// recommendations, or rewrite MAJOR_CHANGE_RATIO of the text, are high. Other
+// updates are normal, and new items take their source's `priority` (high for
+// NICE guidance, otherwise normal; see sources.js).
+
+function changePriority(change, config) {
+  if (change.minor) return 'low';
+  if (change.changeType === 'content_update') {
+    const recs = change.recommendationChanges;
+    if (recs && (recs.added.length || recs.removed.length || recs.reworded.length)) return 'high';
+    return (change.magnitude?.ratio || 0) >= MAJOR_CHANGE_RATIO ? 'high' : 'normal';
+  }
+  const entry = config.sources?.[change.source];
+  return (entry && resolveSource(change.source, entry)?.priority) || 'normal';
+}
+
+function matchesEndpoint(endpoint, notification) {
+  if (endpoint.sources?.length && !endpoint.sources.includes(notification.source)) return false;
+  if (endpoint.changeTypes?.length && !endpoint.changeTypes.includes(notification.changeType)) return false;
+  return PRIORITIES.indexOf(notification.priority) >= PRIORITIES.indexOf(endpoint.minPriority || 'normal');
+}
+
+// ── Payloads ───────────────────────────────────────────────────────────────────
+
+// What every format is built from
+function describeChange(change, guidance, config) {
+  const item = guidance[change.guidanceId || `content:${change.id.split(':').pop()}`];
+  return {
+    id: change.id,
+    changeType: change.changeType,
+    priority: changePriority(change, config),
+    source: change.source,
+    sourceName: config.sources?.[change.source]?.name || change.source,
+    title: item?.title || change.title,
+    url: item?.url || change.url,
+    detectedAt: change.detectedAt,
+    topics: (item?.topics || []).map(id => config.topics?.[id]?.label || id),
+    summary: change.changeType === 'content_update' ? changeSummary(change) : '',
+    excerpt: excerptOf(item)
+  };
+}
+
+function headline(n) {
+  return [TYPE_LABELS[n.changeType] || n.changeType, n.sourceName, `${n.priority} priority`, n.topics.join(', ')]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+// Slack treats &, < and > as markup in mrkdwn text
+function slackEscape(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const FORMATS = {
+  slack: n => ({
+    text: `${headline(n)}: ${n.title} ${n.url}`,
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: [`*<${n.url}|${slackEscape(n.title)}>*`, n.summary, n.excerpt].filter(Boolean).map((line, i) => (i ? slackEscape(line) : line)).join('\n') }
+      },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: slackEscape(headline(n)) }] }
+    ]
+  }),
+  teams: n => ({
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+          { type: 'TextBlock', text: headline(n), size: 'Small', isSubtle: true, wrap: true },
+          { type: 'TextBlock', text: n.title, weight: 'Bolder', size: 'Medium', wrap: true },
+          ...[n.summary, n.excerpt].filter(Boolean).map(text => ({ type: 'TextBlock', text, wrap: true }))
+        ],
+        actions: [{ type: 'Action.OpenUrl', title: 'Open', url: n.url }]
+      }
+    }]
+  }),
+  json: n => ({ event: 'change', change: n })
+};
+
+// ── Delivery ───────────────────────────────────────────────────────────────────
+
+// Resolves to { ok, status, error, retryable, attempts }; never throws
+async function post(url, body, options, userAgent) {
+  for (let attempt = 0; ; attempt++) {
+    let status = null;
+    let error;
+    let retryAfter = null;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': userAgent },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(options.timeoutMs)
+      });
+      status = response.status;
+      await response.text();
+      if (response.ok) return { ok: true, status, attempts: attempt + 1 };
+      error = `HTTP ${status}`;
+      retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${options.timeoutMs}ms` : (err.cause?.message || err.message);
+    }
+
+    const retryable = status === null || status === 429 || status >= 500;
+    const delay = retryAfter ?? options.backoffMs * 2 ** attempt;
+    if (!retryable || attempt >= options.retries || delay > options.maxBackoffMs) {
+      return { ok: false, status, error, retryable, attempts: attempt + 1 };
+    }
+    console.warn(`  ${error} — retrying in ${delay}ms`);
+    await sleep(delay);
+  }
+}
+
+function endpointUrl(endpoint, env) {
+  return endpoint.urlEnv ? env[endpoint.urlEnv] || '' : endpoint.url || '';
+}
+
+// Posts one notification to an endpoint without touching the delivery log, for
+// checking an endpoint's set-up
+async function sendTest(endpoint, notification, config, env = process.env) {
+  const format = FORMATS[endpoint.format || 'json'];
+  const url = endpointUrl(endpoint, env);
+  if (!format) throw new Error(`Unknown webhook format "${endpoint.format}"`);
+  if (!url) throw new Error(`Webhook "${endpoint.id}" has no URL${endpoint.urlEnv ? ` (${endpoint.urlEnv} is not set)` : ''}`);
+  return post(url, format(notification), { ...DEFAULT_DELIVERY, ...endpoint }, buildUserAgent(config.crawler));
+}
+
+// Posts every change each endpoint hasn't had yet. `log` (webhook-log.json) is
+// updated in place and `save` is called after each delivery, so a run that
+// dies part-way doesn't post again what it already posted. `startedAt` is when
+// the run began: endpoints seen for the first time get changes from then on.
+async function notifyWebhooks(changes, guidance, config, log, {
+  startedAt = new Date().toISOString(),
+  save = () => {},
+  env = process.env,
+  dryRun = false
+} = {}) {
+  const stats = {};
+  const userAgent = buildUserAgent(config.crawler);
+
+  for (const endpoint of config.webhooks || []) {
+    const format = FORMATS[endpoint.format || 'json'];
+    const url = endpointUrl(endpoint, env);
+    if (!endpoint.id || !format) {
+      console.warn(`Webhook "${endpoint.id}" needs an id and a format of ${Object.keys(FORMATS).join(', ')} — skipping`);
+      continue;
+    }
+    if (!url) {
+      console.warn(`Webhook "${endpoint.id}" has no URL${endpoint.urlEnv ? ` (${endpoint.urlEnv} is not set)` : ''} — skipping`);
+      continue;
+    }
+
+    const entry = log[endpoint.id] = log[endpoint.id] || { since: startedAt, deliveries: {} };
+    const options = { ...DEFAULT_DELIVERY, ...endpoint };
+    const counts = stats[endpoint.id] = { delivered: 0, failed: 0 };
+
+    const pending = Object.values(changes)
+      .filter(change => change.detectedAt >= entry.since)
+      .filter(change => !['delivered', 'failed'].includes(entry.deliveries[change.id]?.status))
+      .map(change => describeChange(change, guidance, config))
+      .filter(notification => matchesEndpoint(endpoint, notification))
+      .sort((a, b) => a.detectedAt.localeCompare(b.detectedAt));
+
+    for (const notification of pending) {
+      const payload = format(notification);
+      if (dryRun) {
+        console.log(`${endpoint.id}: ${JSON.stringify(payload)}`);
+        continue;
+      }
+
+      const previous = entry.deliveries[notification.id];
+      const result = await post(url, payload, options, userAgent);
+      const attempts = (previous?.attempts || 0) + result.attempts;
+      const now = new Date().toISOString();
+
+      if (result.ok) {
+        entry.deliveries[notification.id] = { status: 'delivered', attempts, at: now, httpStatus: result.status };
+        counts.delivered++;
+      } else {
+        const givenUp = !result.retryable || attempts >= MAX_ATTEMPTS;
+        entry.deliveries[notification.id] = { status: givenUp ? 'failed' : 'pending', attempts, at: now, error: result.error };
+        counts.failed++;
+        console.warn(`Webhook "${endpoint.id}": ${notification.title} — ${result.error}${givenUp ? ', giving up' : ', will retry next run'}`);
+      }
+      save(log);
+    }
+
+    // Changes no longer recorded can't come round again
+    for (const id of Object.keys(entry.deliveries)) {
+      if (!changes[id]) delete entry.deliveries[id];
+    }
+  }
+
+  return stats;
+}
+
+// The notifier stage the pollers end with, keeping the log in data/
+async function notifyNewChanges(changes, guidance, config, options = {}) {
+  if (!config.webhooks?.length) return {};
+  const log = readData('webhook-log.json', {});
+  const save = options.dryRun ? () => {} : current => writeData('webhook-log.json', current);
+  const stats = await notifyWebhooks(changes, guidance, config, log, { ...options, save });
+  save(log);
+  return stats;
+}
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_DELIVERY,
+  MAX_ATTEMPTS,
+  changePriority,
+  matchesEndpoint,
+  describeChange,
+  FORMATS,
+  sendTest,
+  notifyWebhooks,
+  notifyNewChanges
+};
@@ -0,0 +1,291 @@
+'use strict';
+
+// Clinical Guidance Monitor — Data migrations
+// One-off repairs of the committed data files, run by hand:
+//
+//   node scripts/migrate.js                   list migrations and whether they've run
+//   node scripts/migrate.js <name> [--dry-run] [--force]
+//
+// Each migration runs once; its completion is recorded in config.json under
+// `migrations`, and --force runs it again. --dry-run reports without writing.
+
+const { readData, writeData } = require('./lib/data');
+const { hashString, isoDate } = require('./lib/util');
+const { decodeEntities } = require('./lib/entities');
+const { htmlToText } = require('./lib/feed');
+const { DEFAULT_TOPICS, tagTopics } = require('./lib/topics');
+const { extractMedicines } = require('./lib/medicines');
+const { resolveSource } = require('./lib/sources');
+const { writeSearchIndex } = require('./lib/search-index');
+const { writeChangeFeeds } = require('./lib/change-feeds');
+
+// ── decode-entities ────────────────────────────────────────────────────────────
+// Older pollers stored feed text undecoded ("London&#45;wide", "&#039;GP
+// webinar&#039;") and deleted numeric entities from crawled pages. Decode what
+// was stored the way the pollers now read it, then recompute content hashes
+// everywhere they are referenced so the next poll sees the repaired content as
+// unchanged.
+
+function decodeStoredText(str) {
+  if (typeof str !== 'string') return str;
+  return decodeEntities(str)
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n[ \t]+/g, '\n')
+    .trim();
+}
+
+// Feed text goes through two layers in feed.js: the XML character data is
+// decoded, then the HTML it carries is stripped and decoded again. Old pollers
+// stored the character data as it came, so repeat both layers on it.
+function decodeFeedText(str) {
+  return typeof str === 'string' ? htmlToText(decodeEntities(str)) : str;
+}
+
+function decodeEntitiesMigration({ guidance, changes, seen, history, config }) {
+  const stats = { guidance: 0, history: 0, changes: 0, seen: 0 };
+  // `${guidanceId}:${oldHash}` → new hash, for change records and revisions
+  const rehashed = new Map();
+
+  // Feed sources take titles and descriptions from the feed, and RSS-only
+  // ones their content too; everything else came from pages
+  const decoders = new Map();
+  const decodersFor = sourceId => {
+    if (!decoders.has(sourceId)) {
+      const entry = config.sources?.[sourceId];
+      const source = entry && resolveSource(sourceId, entry);
+      const fromFeed = source?.type === 'rss';
+      decoders.set(sourceId, {
+        text: fromFeed ? decodeFeedText : decodeStoredText,
+        content: fromFeed && source.rssOnly ? decodeFeedText : decodeStoredText
+      });
+    }
+    return decoders.get(sourceId);
+  };
+
+  const rehash = (id, oldHash, content) => {
+    const newHash = hashString(content);
+    if (oldHash && newHash !== oldHash) rehashed.set(`${id}:${oldHash}`, newHash);
+    return newHash;
+  };
+
+  for (const item of Object.values(guidance)) {
+    const decode = decodersFor(item.source);
+    const title = decode.text(item.title);
+    const content = decode.content(item.content);
+    const description = decode.text(item.metadata?.description);
+    if (title === item.title && content === item.content && description === item.metadata?.description) continue;
+
+    item.title = title;
+    if (content !== item.content) {
+      item.content = content;
+      item.contentHash = rehash(item.id, item.contentHash, content);
+      if (item.metadata) item.metadata.wordCount = content.split(/\s+/).length;
+    }
+    if (item.metadata) item.metadata.description = description;
+    stats.guidance++;
+  }
+
+  for (const [id, revisions] of Object.entries(history)) {
+    const decode = decodersFor(guidance[id]?.source);
+    for (const revision of revisions) {
+      const content = decode.content(revision.content);
+      if (content === revision.content) continue;
+      revision.content = content;
+      revision.hash = rehash(id, revision.hash, content);
+      stats.history++;
+    }
+  }
+
+  for (const change of Object.values(changes)) {
+    const guidanceId = change.guidanceId || `content:${change.id.split(':').pop()}`;
+    const title = decodersFor(change.source).text(change.title);
+    const previousHash = rehashed.get(`${guidanceId}:${change.previousHash}`) || change.previousHash;
+    const newHash = rehashed.get(`${guidanceId}:${change.newHash}`) || change.newHash;
+    if (title === change.title && previousHash === change.previousHash && newHash === change.newHash) continue;
+
+    Object.assign(change, { title, previousHash, newHash });
+    stats.changes++;
+  }
+
+  for (const entry of Object.values(seen)) {
+    const decode = decodersFor(entry.source);
+    const title = decode.text(entry.title);
+    const description = decode.text(entry.description);
+    if (title === entry.title && description === entry.description) continue;
+
+    entry.title = title;
+    if (entry.description !== undefined) entry.description = description;
+    stats.seen++;
+  }
+
+  return stats;
+}
+
+// ── tag-topics ─────────────────────────────────────────────────────────────────
+// Tags stored items with the clinical topics in config.topics. Items stored
+// since topics were introduced are tagged by the pollers; run this with --force
+// after editing the taxonomy to re-tag everything. Writes the default taxonomy
+// to config.json if it has none, so it can be edited there.
+
+function tagTopicsMigration({ guidance, config }) {
+  const stats = { guidance: 0 };
+  if (!config.topics) config.topics = DEFAULT_TOPICS;
+
+  for (const item of Object.values(guidance)) {
+    const topics = tagTopics({
+      title: item.title,
+      description: item.metadata?.description,
+      categories: item.metadata?.categories,
+      content: item.content
+    }, config.topics);
+    if (JSON.stringify(topics) === JSON.stringify(item.topics)) continue;
+
+    item.topics = topics;
+    stats.guidance++;
+  }
+
+  return stats;
+}
+
+// ── extract-medicines ──────────────────────────────────────────────────────────
+// Records the medicines and drug classes each stored item mentions, from the
+// list in data/drugs.json. Run with --force after editing the list.
+
+function extractMedicinesMigration({ guidance }) {
+  const stats = { guidance: 0 };
+
+  for (const item of Object.values(guidance)) {
+    const medicines = extractMedicines([item.title, item.metadata?.description, item.content].join('\n'));
+    if (JSON.stringify(medicines) === JSON.stringify(item.medicines)) continue;
+
+    item.medicines = medicines;
+    stats.guidance++;
+  }
+
+  return stats;
+}
+
+// ── keywords-to-rules ──────────────────────────────────────────────────────────
+// Replaces each source's `keywords` / `excludeKeywords` lists in config.json
+// with the equivalent relevance rules, so they can be edited as rules.
+
+function keywordsToRulesMigration({ config }) {
+  const stats = { sources: 0 };
+
+  for (const [id, entry] of Object.entries(config.sources || {})) {
+    if (!entry.keywords && !entry.excludeKeywords) continue;
+    const resolved = resolveSource(id, entry);
+    if (!resolved) continue;
+
+    entry.relevance = { ...entry.relevance, rules: resolved.relevance.rules };
+    delete entry.keywords;
+    delete entry.excludeKeywords;
+    stats.sources++;
+  }
+
+  return stats;
+}
+
+// ── normalise-dates ────────────────────────────────────────────────────────────
+// Items were stored with the publication date as their source wrote it: RFC
+// 822 from feeds, dd/mm/yyyy from listings. The pollers now store ISO days;
+// this converts the rest so they sort and filter by date correctly.
+
+function normaliseDatesMigration({ guidance }) {
+  const stats = { guidance: 0 };
+
+  for (const item of Object.values(guidance)) {
+    const publishedDate = isoDate(item.publishedDate);
+    if (!publishedDate || publishedDate === item.publishedDate) continue;
+
+    item.publishedDate = publishedDate;
+    stats.guidance++;
+  }
+
+  return stats;
+}
+
+// ── Runner ─────────────────────────────────────────────────────────────────────
+
+const MIGRATIONS = {
+  'decode-entities': {
+    description: 'Decode HTML entities in stored titles, descriptions and content; recompute hashes',
+    run: decodeEntitiesMigration
+  },
+  'tag-topics': {
+    description: 'Tag stored items with clinical topics from config.topics',
+    run: tagTopicsMigration
+  },
+  'extract-medicines': {
+    description: 'Record the medicines and drug classes stored items mention (data/drugs.json)',
+    run: extractMedicinesMigration
+  },
+  'keywords-to-rules': {
+    description: 'Convert sources\' keyword lists in config.json to relevance rules',
+    run: keywordsToRulesMigration
+  },
+  'normalise-dates': {
+    description: 'Store publication dates as ISO days (YYYY-MM-DD)',
+    run: normaliseDatesMigration
+  }
+};
+
+function main(args) {
+  const [name] = args.filter(arg => !arg.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+  const force = args.includes('--force');
+
+  const config = readData('config.json', {});
+  const completed = config.migrations || {};
+
+  if (!name) {
+    console.log('Migrations:');
+    for (const [id, migration] of Object.entries(MIGRATIONS)) {
+      console.log(`  ${id.padEnd(20)} ${completed[id] ? `ran ${completed[id]}` : 'pending'} — ${migration.description}`);
+    }
+    return 0;
+  }
+
+  const migration = MIGRATIONS[name];
+  if (!migration) {
+    console.error(`Unknown migration "${name}". Run without arguments to list them.`);
+    return 1;
+  }
+  if (completed[name] && !force) {
+    console.log(`Migration "${name}" already ran at ${completed[name]}; use --force to run it again.`);
+    return 0;
+  }
+
+  const data = {
+    guidance: readData('guidance.json', {}),
+    changes: readData('changes.json', {}),
+    seen: readData('seen.json', {}),
+    history: readData('history.json', {}),
+    config
+  };
+
+  const stats = migration.run(data);
+  console.log(`${name}: updated ${Object.entries(stats).map(([file, n]) => `${n} ${file}`).join(', ')}`);
+
+  if (dryRun) {
+    console.log('Dry run — no files written');
+    return 0;
+  }
+
+  config.migrations = { ...completed, [name]: new Date().toISOString() };
+  writeData('guidance.json', data.guidance);
+  writeSearchIndex(data.guidance);
+  writeData('changes.json', data.changes);
+  writeChangeFeeds(data.changes, data.guidance, config);
+  writeData('seen.json', data.seen);
+  writeData('history.json', data.history);
+  writeData('config.json', config);
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { MIGRATIONS, main };
@@ -0,0 +1,65 @@
+'use strict';
+
+// Clinical Guidance Monitor — Webhook notifications
+// The pollers post new changes to the endpoints in config.json → webhooks (see
+// scripts/lib/webhooks.js) at the end of each run. This runs the same stage on
+// its own:
+//
+//   node scripts/notify.js                 post whatever each endpoint hasn't had yet
+//   node scripts/notify.js --dry-run       print the payloads instead; nothing is posted or recorded
+//   node scripts/notify.js --test <id>     post the latest change to one endpoint, unrecorded
+//
+// Deliveries are recorded in data/webhook-log.json.
+
+const { readData } = require('./lib/data');
+const { describeChange, sendTest, notifyNewChanges } = require('./lib/webhooks');
+
+async function main(args) {
+  const testIndex = args.indexOf('--test');
+  const config = readData('config.json', {});
+  const changes = readData('changes.json', {});
+  const guidance = readData('guidance.json', {});
+
+  if (!config.webhooks?.length) {
+    console.log('No webhooks in config.json');
+    return 0;
+  }
+
+  if (testIndex >= 0) {
+    const id = args[testIndex + 1];
+    const endpoint = config.webhooks.find(e => e.id === id);
+    if (!endpoint) {
+      console.error(`No webhook "${id}" in config.json`);
+      return 1;
+    }
+    const latest = Object.values(changes).sort((a, b) => b.detectedAt.localeCompare(a.detectedAt))[0];
+    if (!latest) {
+      console.error('No changes recorded yet to send');
+      return 1;
+    }
+    const result = await sendTest(endpoint, describeChange(latest, guidance, config), config);
+    if (!result.ok) {
+      console.error(`${id}: test failed — ${result.error}`);
+      return 1;
+    }
+    console.log(`${id}: posted "${latest.title}" (HTTP ${result.status})`);
+    return 0;
+  }
+
+  const stats = await notifyNewChanges(changes, guidance, config, { dryRun: args.includes('--dry-run') });
+  for (const [id, { delivered, failed }] of Object.entries(stats)) {
+    console.log(`${id}: ${delivered} delivered, ${failed} failed`);
+  }
+  return Object.values(stats).some(s => s.failed) ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error('Fatal error:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
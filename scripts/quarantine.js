@@ -0,0 +1,83 @@
+'use strict';
+
+// Clinical Guidance Monitor — Filtered items
+// Reviews the items sources' relevance rules kept out (data/filtered.json):
+//
+//   node scripts/quarantine.js [--source <id>]      list them, most recent first
+//   node scripts/quarantine.js promote <key>...     store them on the next poll
+//   node scripts/quarantine.js unpromote <key>...
+//
+// Keys are the seen.json-style keys shown in the list and in the dashboard's
+// Filtered out tab. Promoting only flags the entry; the next poll that finds
+// the item stores it as if a rule had included it.
+
+const { readData, writeData } = require('./lib/data');
+const { describeDecision } = require('./lib/relevance');
+
+function list(filtered, source) {
+  const entries = Object.entries(filtered)
+    .filter(([, entry]) => !source || entry.source === source)
+    .sort(([, a], [, b]) => (b.lastEvaluated || '').localeCompare(a.lastEvaluated || ''));
+
+  if (entries.length === 0) {
+    console.log('No filtered items');
+    return;
+  }
+  for (const [key, entry] of entries) {
+    console.log(`${key}${entry.promoted ? '  [promoted]' : ''}`);
+    console.log(`  ${entry.title}`);
+    console.log(`  ${entry.url}`);
+    console.log(`  ${entry.relevance ? describeDecision(entry.relevance) : 'no decision recorded'}, last seen ${entry.lastEvaluated}`);
+  }
+  console.log(`${entries.length} filtered item${entries.length === 1 ? '' : 's'}`);
+}
+
+function setPromoted(filtered, keys, promoted) {
+  let failed = false;
+  for (const key of keys) {
+    const entry = filtered[key];
+    if (!entry) {
+      console.error(`No filtered item "${key}"`);
+      failed = true;
+      continue;
+    }
+    if (promoted) {
+      entry.promoted = new Date().toISOString();
+      console.log(`Promoted "${entry.title}"; the next poll will store it`);
+    } else {
+      delete entry.promoted;
+      console.log(`"${entry.title}" is no longer promoted`);
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+function main(args) {
+  const sourceIndex = args.indexOf('--source');
+  const source = sourceIndex >= 0 ? args[sourceIndex + 1] : null;
+  const [command, ...keys] = args.filter((arg, i) => !arg.startsWith('--') && (sourceIndex < 0 || i !== sourceIndex + 1));
+  const filtered = readData('filtered.json', {});
+
+  if (!command) {
+    list(filtered, source);
+    return 0;
+  }
+  if (command !== 'promote' && command !== 'unpromote') {
+    console.error(`Unknown command "${command}". Use promote or unpromote, or no command to list.`);
+    return 1;
+  }
+  if (keys.length === 0) {
+    console.error(`Usage: node scripts/quarantine.js ${command} <key>...`);
+    return 1;
+  }
+
+  const status = setPromoted(filtered, keys, command === 'promote');
+  writeData('filtered.json', filtered);
+  return status;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
@@ -0,0 +1,153 @@
+'use strict';
+
+// Clinical Guidance Monitor — Local SMTP sink
+// Accepts mail on a local port and keeps it instead of delivering it, so
+// digests can be tried without a real relay:
+//
+//   node scripts/smtp-sink.js [--port 2525] [--dir <directory>]
+//   SMTP_HOST=localhost SMTP_PORT=2525 node scripts/digest.js --force
+//
+// Each message is written to <directory>/<time>-<n>.eml (by default in the
+// system temp directory) and summarised on the console. There is no TLS, and
+// AUTH succeeds with any credentials.
+
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Resolves to the listening server once it is ready; `server.messages` collects
+// { from, to, data } for every message received, and `onMessage` sees each one
+function startSink({ port = 2525, host = '127.0.0.1', onMessage = () => {} } = {}) {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;        // lines of the message while in DATA
+    let authLines = 0;      // AUTH LOGIN prompts still to answer
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 localhost Clinical Guidance Monitor SMTP sink');
+
+    const handle = line => {
+      if (data) {
+        if (line !== '.') {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+          return;
+        }
+        const message = { ...envelope, data: data.join('\r\n') };
+        messages.push(message);
+        onMessage(message);
+        data = null;
+        envelope = { from: null, to: [] };
+        reply('250 OK: message kept');
+        return;
+      }
+      if (authLines > 0) {
+        authLines--;
+        reply(authLines ? '334 UGFzc3dvcmQ6' : '235 Authenticated');
+        return;
+      }
+
+      const verb = line.split(/[\s:]/)[0].toUpperCase();
+      switch (verb) {
+        case 'EHLO':
+          reply('250-localhost');
+          reply('250-AUTH PLAIN LOGIN');
+          reply('250 8BITMIME');
+          break;
+        case 'HELO':
+        case 'NOOP':
+          reply('250 OK');
+          break;
+        case 'AUTH':
+          if (/^AUTH LOGIN$/i.test(line.trim())) {
+            authLines = 2;
+            reply('334 VXNlcm5hbWU6');
+          } else {
+            reply('235 Authenticated');
+          }
+          break;
+        case 'MAIL':
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1] || '';
+          reply('250 OK');
+          break;
+        case 'RCPT':
+          envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || '');
+          reply('250 OK');
+          break;
+        case 'DATA':
+          if (!envelope.to.length) {
+            reply('503 No recipients');
+            break;
+          }
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+          break;
+        case 'RSET':
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+          break;
+        case 'QUIT':
+          reply('221 Bye');
+          socket.end();
+          break;
+        default:
+          reply('502 Command not implemented');
+      }
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        handle(line);
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  server.messages = messages;
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+function header(data, name) {
+  const match = data.match(new RegExp(`^${name}: (.*)$`, 'mi'));
+  return match ? match[1] : '';
+}
+
+async function main(args) {
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : fallback;
+  };
+  const dir = option('--dir', path.join(os.tmpdir(), 'cgm-mail'));
+  let count = 0;
+
+  const server = await startSink({
+    port: Number(option('--port', 2525)),
+    onMessage(message) {
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${++count}.eml`);
+      fs.writeFileSync(file, `${message.data}\r\n`);
+      console.log(`${message.from} → ${message.to.join(', ')}: ${header(message.data, 'Subject')} (${file})`);
+    }
+  });
+  const { address, port } = server.address();
+  console.log(`SMTP sink listening on ${address}:${port}; messages are saved in ${dir}. Ctrl-C to stop.`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error('Fatal error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { startSink };
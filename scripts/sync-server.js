@@ -0,0 +1,310 @@
+'use strict';
+
+// Clinical Guidance Monitor — Sync server
+// An optional, self-hosted service that shares what the dashboard otherwise
+// keeps in each browser: which changes have been read, change reviews, and
+// each person's saved items. Point the dashboard at it with config.json →
+// sync.url, or from the dashboard's Sync panel:
+//
+//   node scripts/sync-server.js [--port 8787] [--host 0.0.0.0] [--file <path>]
+//
+// State is kept in one JSON file, data/sync.json by default. Set SYNC_TOKEN to
+// require `Authorization: Bearer <token>` on every request, and SYNC_ORIGIN to
+// the dashboard's origin to only answer it (default: any origin).
+//
+// Routes (JSON bodies; the caller identifies itself with an X-User-Id header):
+//
+//   GET    /sync                     health check
+//   GET    /sync/users               everyone who has connected
+//   POST   /sync/users               { name, role } → the user, created or matched by name
+//   PATCH  /sync/users/:id           { name, role }
+//   GET    /sync/state               read marks and reviews, plus the caller's saved items
+//   POST   /sync/acknowledged        { ids } marks changes read for everyone
+//   PUT    /sync/reviews/:changeId   { status, assignee, note, dueDate }
+//   PUT    /sync/saved/:itemId       saves an item for the caller
+//   DELETE /sync/saved/:itemId       and unsaves it
+//   DELETE /sync/saved               unsaves everything
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./lib/data');
+
+const REVIEW_STATUSES = ['to_review', 'actioned', 'not_relevant'];
+const MAX_BODY_BYTES = 256 * 1024;
+const MAX_FIELD_LENGTH = 2000;
+
+// ── State file ─────────────────────────────────────────────────────────────────
+
+// Keyed by ids the client chooses, so maps have no prototype: "__proto__" or
+// "constructor" is just another key
+function dictionary(entries = {}) {
+  return Object.assign(Object.create(null), entries);
+}
+
+function emptyState() {
+  return { users: dictionary(), acknowledged: dictionary(), reviews: dictionary(), saved: dictionary() };
+}
+
+function loadState(file) {
+  if (!fs.existsSync(file)) return emptyState();
+  const { users, acknowledged, reviews, saved } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const savedByUser = dictionary();
+  for (const [userId, items] of Object.entries(saved || {})) savedByUser[userId] = dictionary(items);
+  return { users: dictionary(users), acknowledged: dictionary(acknowledged), reviews: dictionary(reviews), saved: savedByUser };
+}
+
+// Written to a temporary file first, so a crash never leaves half a file
+function saveState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// ── Requests ───────────────────────────────────────────────────────────────────
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Route parameters as the client meant them; a broken percent-escape is the
+// client's mistake, not a server error
+function decodeParams(params) {
+  try {
+    return params.map(decodeURIComponent);
+  } catch {
+    throw httpError(400, 'Malformed path');
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) reject(httpError(413, 'Request body too large'));
+    });
+    req.on('end', () => {
+      if (!body) return resolve({});
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        reject(httpError(400, 'Request body is not JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function text(value, field) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') throw httpError(400, `${field} must be a string`);
+  if (value.length > MAX_FIELD_LENGTH) throw httpError(400, `${field} is too long`);
+  return value.trim();
+}
+
+// ── Routes ─────────────────────────────────────────────────────────────────────
+
+function publicUser(user) {
+  return { id: user.id, name: user.name, role: user.role, created: user.created };
+}
+
+function caller(state, req) {
+  const id = req.headers['x-user-id'];
+  if (!id) throw httpError(401, 'Send your user id in an X-User-Id header (POST /sync/users to get one)');
+  const user = state.users[id];
+  if (!user) throw httpError(401, `Unknown user "${id}"`);
+  return user;
+}
+
+// [method, pattern, handler(state, req, body, params)]; handlers that change
+// state return { changed: true, ... }, and the state is saved before replying
+const ROUTES = [
+  ['GET', /^\/sync$/, state => ({ ok: true, users: Object.keys(state.users).length })],
+
+  ['GET', /^\/sync\/users$/, state => ({ users: Object.values(state.users).map(publicUser) })],
+
+  ['POST', /^\/sync\/users$/, (state, req, body) => {
+    const name = text(body.name, 'name');
+    if (!name) throw httpError(400, 'name is required');
+    const existing = Object.values(state.users).find(u => u.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      if (body.role !== undefined) existing.role = text(body.role, 'role');
+      return { changed: body.role !== undefined, status: 200, user: publicUser(existing) };
+    }
+    const user = { id: crypto.randomUUID(), name, role: text(body.role, 'role'), created: new Date().toISOString() };
+    state.users[user.id] = user;
+    return { changed: true, status: 201, user: publicUser(user) };
+  }],
+
+  ['PATCH', /^\/sync\/users\/([^/]+)$/, (state, req, body, [id]) => {
+    const user = state.users[id];
+    if (!user) throw httpError(404, `Unknown user "${id}"`);
+    if (caller(state, req).id !== id) throw httpError(403, 'You can only change your own details');
+    if (body.name !== undefined) user.name = text(body.name, 'name') || user.name;
+    if (body.role !== undefined) user.role = text(body.role, 'role');
+    return { changed: true, user: publicUser(user) };
+  }],
+
+  ['GET', /^\/sync\/state$/, (state, req) => {
+    const user = caller(state, req);
+    return {
+      user: publicUser(user),
+      acknowledged: state.acknowledged,
+      reviews: state.reviews,
+      saved: state.saved[user.id] || {}
+    };
+  }],
+
+  ['POST', /^\/sync\/acknowledged$/, (state, req, body) => {
+    const user = caller(state, req);
+    if (!Array.isArray(body.ids)) throw httpError(400, 'ids must be a list of change ids');
+    const at = new Date().toISOString();
+    let added = 0;
+    for (const id of body.ids) {
+      if (typeof id !== 'string' || state.acknowledged[id]) continue;
+      state.acknowledged[id] = { at, by: user.name };
+      added++;
+    }
+    return { changed: added > 0, acknowledged: added };
+  }],
+
+  ['PUT', /^\/sync\/reviews\/([^/]+)$/, (state, req, body, [id]) => {
+    const user = caller(state, req);
+    const status = text(body.status, 'status') || 'to_review';
+    if (!REVIEW_STATUSES.includes(status)) throw httpError(400, `Unknown status "${status}"`);
+    const dueDate = text(body.dueDate, 'dueDate');
+    if (dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) throw httpError(400, 'dueDate must be YYYY-MM-DD');
+
+    const review = {
+      status,
+      assignee: text(body.assignee, 'assignee'),
+      note: text(body.note, 'note'),
+      dueDate,
+      updated: new Date().toISOString(),
+      updatedBy: user.name
+    };
+    state.reviews[id] = review;
+    // Reviewing a change also marks it read, as it does in the browser
+    if (status !== 'to_review' && !state.acknowledged[id]) state.acknowledged[id] = { at: review.updated, by: user.name };
+    return { changed: true, review };
+  }],
+
+  ['PUT', /^\/sync\/saved\/([^/]+)$/, (state, req, body, [id]) => {
+    const user = caller(state, req);
+    const saved = state.saved[user.id] = state.saved[user.id] || dictionary();
+    if (!saved[id]) saved[id] = new Date().toISOString();
+    return { changed: true, saved: true };
+  }],
+
+  ['DELETE', /^\/sync\/saved\/([^/]+)$/, (state, req, body, [id]) => {
+    const user = caller(state, req);
+    delete state.saved[user.id]?.[id];
+    return { changed: true, saved: false };
+  }],
+
+  ['DELETE', /^\/sync\/saved$/, (state, req) => {
+    const user = caller(state, req);
+    delete state.saved[user.id];
+    return { changed: true, saved: false };
+  }]
+];
+
+// A request handler over the state file, for http.createServer or a server
+// that mounts it under /sync. Resolves to false for paths it doesn't serve.
+function createSyncHandler({ file = path.join(DATA_DIR, 'sync.json'), token = '', origin = '*' } = {}) {
+  const state = loadState(file);
+
+  const send = (res, status, data) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-User-Id',
+      'Cache-Control': 'no-store'
+    });
+    res.end(status === 204 ? undefined : JSON.stringify(data));
+  };
+
+  return async function handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/sync' && !pathname.startsWith('/sync/')) return false;
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+      return true;
+    }
+
+    try {
+      if (token && req.headers.authorization !== `Bearer ${token}`) throw httpError(401, 'Missing or wrong access token');
+
+      let params = null;
+      const route = ROUTES.find(([method, pattern]) => {
+        if (method !== req.method) return false;
+        params = pathname.match(pattern);
+        return !!params;
+      });
+      if (!route) {
+        throw ROUTES.some(([, pattern]) => pattern.test(pathname))
+          ? httpError(405, `${req.method} not allowed on ${pathname}`)
+          : httpError(404, `No route ${pathname}`);
+      }
+
+      const args = decodeParams(params.slice(1));
+      const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readBody(req) : {};
+      const { changed, status = 200, ...result } = route[2](state, req, body, args);
+      if (changed) saveState(file, state);
+      send(res, status, result);
+    } catch (err) {
+      if (!err.status) console.error('Sync error:', err);
+      send(res, err.status || 500, { error: err.status ? err.message : 'Internal error' });
+    }
+    return true;
+  };
+}
+
+// Resolves to the listening server once it is ready
+function startSyncServer({ port = 8787, host = '127.0.0.1', ...options } = {}) {
+  const handle = createSyncHandler(options);
+  const server = http.createServer(async (req, res) => {
+    if (!(await handle(req, res))) {
+      res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ error: 'Not found' }));
+    }
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+async function main(args) {
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : fallback;
+  };
+  const file = path.resolve(option('--file', path.join(DATA_DIR, 'sync.json')));
+
+  const server = await startSyncServer({
+    port: Number(option('--port', process.env.PORT || 8787)),
+    host: option('--host', '127.0.0.1'),
+    file,
+    token: process.env.SYNC_TOKEN || '',
+    origin: process.env.SYNC_ORIGIN || '*'
+  });
+  const { address, port } = server.address();
+  console.log(`Sync server listening on http://${address}:${port}/sync; state is kept in ${file}. Ctrl-C to stop.`);
+  if (!process.env.SYNC_TOKEN) console.log('SYNC_TOKEN is not set, so anyone who can reach this port can read and change the state.');
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error('Fatal error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { REVIEW_STATUSES, createSyncHandler, startSyncServer };
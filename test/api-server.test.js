@@ -0,0 +1,162 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeWorkspace, removeWorkspace, readJSON, writeJSON } = require('./helpers');
+const { startApiServer } = require('../scripts/api-server');
+
+const GUIDANCE = {
+  'nice:ng28': {
+    id: 'nice:ng28', url: 'https://www.nice.org.uk/guidance/ng28', title: 'Type 2 diabetes in adults: management',
+    source: 'nice', type: 'guideline', publishedDate: '2026-03-01T00:00:00.000Z', fetchedDate: '2026-03-02T00:00:00.000Z',
+    content: 'Offer metformin as first-line treatment for adults with type 2 diabetes.', topics: []
+  },
+  'nice:ng136': {
+    id: 'nice:ng136', url: 'https://www.nice.org.uk/guidance/ng136', title: 'Hypertension in adults: diagnosis and management',
+    source: 'nice', type: 'guideline', publishedDate: '2026-02-01T00:00:00.000Z', fetchedDate: '2026-02-02T00:00:00.000Z',
+    content: 'Measure blood pressure in both arms when assessing hypertension.', topics: []
+  },
+  'mhra:valproate': {
+    id: 'mhra:valproate', url: 'https://www.gov.uk/drug-safety-update/valproate', title: 'Valproate: new safety measures',
+    source: 'mhra', type: 'drug-safety-update', publishedDate: '2026-01-15T00:00:00.000Z', fetchedDate: '2026-01-16T00:00:00.000Z',
+    content: 'Valproate must not be started in new patients under 55 unless two specialists agree.', topics: []
+  }
+};
+
+const CHANGES = {
+  'change:1': { id: 'change:1', guidanceId: 'nice:ng28', source: 'nice', changeType: 'new', title: GUIDANCE['nice:ng28'].title, url: GUIDANCE['nice:ng28'].url, detectedAt: '2026-03-02T00:00:00.000Z' },
+  'change:2': { id: 'change:2', guidanceId: 'nice:ng136', source: 'nice', changeType: 'content_update', title: GUIDANCE['nice:ng136'].title, url: GUIDANCE['nice:ng136'].url, detectedAt: '2026-02-02T00:00:00.000Z' },
+  'change:3': { id: 'change:3', guidanceId: 'mhra:valproate', source: 'mhra', changeType: 'new', title: GUIDANCE['mhra:valproate'].title, url: GUIDANCE['mhra:valproate'].url, detectedAt: '2026-01-16T00:00:00.000Z' }
+};
+
+describe('API server', () => {
+  let workspace;
+  let server;
+  let base;
+
+  const start = async () => {
+    const started = await startApiServer({ port: 0, dataDir: path.join(workspace, 'data') });
+    return { started, url: `http://127.0.0.1:${started.address().port}` };
+  };
+
+  const request = async (method, route, body, url = base) => {
+    const res = await fetch(`${url}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, data: await res.json() };
+  };
+
+  before(async () => {
+    workspace = makeWorkspace({ nice: { name: 'NICE' }, mhra: { name: 'MHRA' } });
+    writeJSON(workspace, 'guidance.json', GUIDANCE);
+    writeJSON(workspace, 'changes.json', CHANGES);
+    ({ started: server, url: base } = await start());
+  });
+
+  after(() => {
+    server.close();
+    removeWorkspace(workspace);
+  });
+
+  it('answers stats and filtered, paged guidance lists', async () => {
+    const stats = (await request('GET', '/api/stats')).data;
+    assert.deepEqual(stats.guidanceCount, { total: 3, nice: 2, mhra: 1 });
+    assert.equal(stats.unreadChanges, 3);
+
+    const page = (await request('GET', '/api/guidance?source=nice&limit=1&offset=1')).data;
+    assert.equal(page.total, 2);
+    assert.deepEqual(page.items.map(i => i.id), ['nice:ng136']);
+    assert.equal(page.items[0].content, undefined);
+
+    const recent = (await request('GET', '/api/guidance?from=2026-02-15&sort=title')).data;
+    assert.deepEqual(recent.items.map(i => i.id), ['nice:ng28']);
+
+    assert.equal((await request('GET', '/api/guidance?limit=501')).status, 400);
+    assert.equal((await request('GET', '/api/guidance?from=March')).status, 400);
+  });
+
+  it('returns one item, or 404', async () => {
+    const item = await request('GET', `/api/guidance/${encodeURIComponent('nice:ng28')}`);
+    assert.equal(item.status, 200);
+    assert.match(item.data.content, /metformin/);
+    assert.equal((await request('GET', '/api/guidance/nice%3Anothing')).status, 404);
+  });
+
+  it('searches with the dashboard filters', async () => {
+    const result = (await request('GET', '/api/search?q=valproate')).data;
+    assert.deepEqual(result.items.map(i => i.id), ['mhra:valproate']);
+    assert.equal((await request('GET', '/api/search?q=valproate&source=nice')).data.total, 0);
+    assert.equal((await request('GET', '/api/search?q=adults&limit=1')).data.items.length, 1);
+  });
+
+  it('narrows lists and unread counts to a profile\'s subscriptions', async () => {
+    assert.equal((await request('GET', '/api/stats?sources=mhra&keywords=metformin')).data.unreadChanges, 2);
+    const feed = (await request('GET', '/api/guidance?keywords=blood%20pressure,valproate&sort=changed')).data;
+    assert.deepEqual(feed.items.map(i => [i.id, i.unreadChanges]), [['nice:ng136', 1], ['mhra:valproate', 1]]);
+
+    const changes = (await request('GET', '/api/changes?sources=mhra&subscribedOnly=true')).data;
+    assert.deepEqual(changes.items.map(c => c.id), ['change:3']);
+    assert.equal(changes.unread, 1);
+    assert.equal(changes.subscribed, true);
+    assert.equal((await request('GET', '/api/changes?sources=mhra')).data.total, 3);
+  });
+
+  it('keeps read marks on the server, across restarts', async () => {
+    assert.equal((await request('POST', '/api/changes/change%3A1/acknowledge', { by: 'Dr Patel' })).data.success, true);
+    assert.equal((await request('POST', '/api/changes/change%3A9/acknowledge', {})).status, 404);
+    assert.equal((await request('GET', '/api/changes/acknowledge-all')).status, 405);
+
+    const changes = (await request('GET', '/api/changes?from=2026-02-01')).data;
+    assert.equal(changes.unread, 2);
+    assert.deepEqual(changes.items.map(c => [c.id, c.acknowledged, c.readBy]), [['change:1', true, 'Dr Patel'], ['change:2', false, '']]);
+    assert.equal(changes.items[0].review, undefined);
+    assert.equal(readJSON(workspace, 'acknowledged.json')['change:1'].by, 'Dr Patel');
+
+    const { started, url } = await start();
+    try {
+      assert.deepEqual((await request('POST', '/api/changes/acknowledge-all', {}, url)).data, { success: true, acknowledged: 2 });
+      assert.equal((await request('GET', '/api/stats', undefined, url)).data.unreadChanges, 0);
+    } finally {
+      started.close();
+    }
+  });
+
+  it('picks up rewritten data files', async () => {
+    writeJSON(workspace, 'changes.json', {
+      ...CHANGES,
+      'change:4': { ...CHANGES['change:3'], id: 'change:4', changeType: 'content_update', detectedAt: '2026-03-10T00:00:00.000Z' }
+    });
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(path.join(workspace, 'data', 'changes.json'), later, later);
+
+    const changes = (await request('GET', '/api/changes?limit=1')).data;
+    assert.equal(changes.total, 4);
+    assert.equal(changes.items[0].id, 'change:4');
+  });
+
+  it('serves the dashboard switched over to the API, but not the servers\' own files', async () => {
+    const page = await fetch(`${base}/`);
+    assert.match(await page.text(), /<meta name="cgm-api-url" content="api">/);
+    assert.equal((await fetch(`${base}/js/api.js?v=1`)).status, 200);
+    assert.equal((await fetch(`${base}/data/guidance.json`)).status, 200);
+    assert.equal((await fetch(`${base}/data/acknowledged.json`)).status, 404);
+    assert.equal((await fetch(`${base}/scripts/api-server.js`)).status, 404);
+    assert.deepEqual((await request('GET', '/sync')).data, { ok: true, users: 0 });
+  });
+
+  it('answers a malformed path with 400 and keeps serving', async () => {
+    const res = await fetch(`${base}/%E0%A4%A`);
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: 'Malformed path' });
+    assert.equal((await request('GET', '/api/stats')).status, 200);
+  });
+
+  it('answers a malformed /api route parameter with 400', async () => {
+    assert.deepEqual(await request('GET', '/api/guidance/%E0%A4%A'), { status: 400, data: { error: 'Malformed path' } });
+    assert.equal((await request('POST', '/api/changes/%E0%A4%A/acknowledge', {})).status, 400);
+  });
+});
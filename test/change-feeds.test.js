@@ -0,0 +1,64 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { siteUrlOf, buildEntry, feedVariants, renderRSS, renderAtom } = require('../scripts/lib/change-feeds');
+
+const config = {
+  sources: { nice: { name: 'NICE' } },
+  topics: { respiratory: { label: 'Respiratory' } },
+  feeds: { siteUrl: 'https://example.org/cgm' }
+};
+
+const guidance = {
+  asthma: {
+    id: 'asthma', source: 'nice', title: 'Asthma & COPD <update>', url: 'https://example.org/asthma',
+    topics: ['respiratory'], metadata: { description: 'New advice on inhaled steroids.' }
+  }
+};
+
+const change = {
+  id: 'change:1780000000000:abc', guidanceId: 'asthma', source: 'nice', title: 'Asthma', changeType: 'content_update',
+  detectedAt: '2026-06-07T10:00:00.000Z',
+  recommendationChanges: { added: [{ number: '1.2.1' }], removed: [], reworded: [], renumbered: [] }
+};
+
+describe('Change feeds', () => {
+  it('finds the dashboard address from config or GitHub Pages', () => {
+    assert.equal(siteUrlOf(config, {}), 'https://example.org/cgm/');
+    assert.equal(siteUrlOf({}, { GITHUB_REPOSITORY: 'Example/clinical-guidance-monitor' }), 'https://example.github.io/clinical-guidance-monitor/');
+    assert.equal(siteUrlOf({}, {}), '');
+  });
+
+  it('links entries to the dashboard item, or the original page without a site', () => {
+    const entry = buildEntry(change, guidance, config, 'https://example.org/cgm/');
+    assert.equal(entry.title, '[Updated] Asthma & COPD <update>');
+    assert.equal(entry.link, 'https://example.org/cgm/#item=asthma');
+    assert.deepEqual(entry.categories, ['NICE', 'Respiratory']);
+    assert.equal(entry.summary, 'Recommendations: 1 added — New advice on inhaled steroids.');
+    assert.equal(buildEntry(change, guidance, config, '').link, 'https://example.org/asthma');
+  });
+
+  it('has a variant per source and topic', () => {
+    const variants = feedVariants(config);
+    assert.deepEqual(variants.map(v => v.key), ['all', 'source-nice', 'topic-respiratory']);
+    const entry = buildEntry(change, guidance, config, '');
+    assert.deepEqual(variants.map(v => v.matches(entry)), [true, true, true]);
+  });
+
+  it('renders escaped RSS 2.0 and Atom', () => {
+    const entry = buildEntry(change, guidance, config, 'https://example.org/cgm/');
+    const feed = { key: 'all', title: 'All', description: 'Everything', siteUrl: 'https://example.org/cgm/', selfUrl: 'https://example.org/cgm/data/feeds/all', updated: entry.detectedAt };
+
+    const rss = renderRSS(feed, [entry]);
+    assert.match(rss, /<title>\[Updated\] Asthma &amp; COPD &lt;update&gt;<\/title>/);
+    assert.match(rss, /<pubDate>Sun, 07 Jun 2026 10:00:00 GMT<\/pubDate>/);
+    assert.match(rss, /<atom:link href="https:\/\/example\.org\/cgm\/data\/feeds\/all\.rss" rel="self"/);
+    assert.match(rss, /<description>&lt;p&gt;&lt;strong&gt;Recommendations: 1 added/);
+
+    const atom = renderAtom(feed, [entry]);
+    assert.match(atom, /<id>urn:cgm:change:1780000000000:abc<\/id>/);
+    assert.match(atom, /<link href="https:\/\/example\.org\/cgm\/#item=asthma"\/>/);
+    assert.match(atom, /<updated>2026-06-07T10:00:00\.000Z<\/updated>/);
+  });
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const { isDue, selectEntries, groupEntries, composeDigest } = require('../scripts/lib/digest');
+const { sendMail } = require('../scripts/lib/smtp');
+const { startSink } = require('../scripts/smtp-sink');
+const { ROOT, makeWorkspace, removeWorkspace, readJSON, writeJSON } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-08T07:00:00Z');
+
+const config = {
+  sources: { nice: { name: 'NICE' }, ncl: { name: 'NCL GP' } },
+  topics: { respiratory: { label: 'Respiratory' }, renal: { label: 'Renal' } },
+  digest: { dashboardUrl: 'https://example.org/cgm/' }
+};
+
+const guidance = {
+  asthma: {
+    id: 'asthma', source: 'nice', title: 'Asthma <update>', url: 'https://example.org/asthma',
+    topics: ['respiratory'], metadata: { description: 'New advice on   inhaled steroids.' }
+  },
+  ckd: { id: 'ckd', source: 'nice', title: 'CKD', url: 'https://example.org/ckd', topics: ['renal', 'respiratory'], metadata: {} },
+  webinar: { id: 'webinar', source: 'ncl', title: 'Webinar', url: 'https://example.org/webinar', topics: [], metadata: {} }
+};
+
+const change = (id, guidanceId, source, detectedAt, fields = {}) => ({
+  id, guidanceId, source, detectedAt, title: guidance[guidanceId].title, changeType: 'new_guidance', ...fields
+});
+
+const changes = {
+  a: change('a', 'asthma', 'nice', '2026-06-07T10:00:00Z'),
+  b: change('b', 'ckd', 'nice', '2026-06-06T10:00:00Z', {
+    changeType: 'content_update',
+    recommendationChanges: { added: [{ number: '1.2.1' }], removed: [], reworded: [{ number: '1.3.1' }], renumbered: [] }
+  }),
+  c: change('c', 'webinar', 'ncl', '2026-06-05T10:00:00Z'),
+  minor: change('minor', 'asthma', 'nice', '2026-06-07T11:00:00Z', { changeType: 'content_update', minor: true }),
+  old: change('old', 'asthma', 'nice', '2026-05-01T10:00:00Z')
+};
+
+describe('Digest scheduling', () => {
+  it('is due a cadence after the last digest, allowing an hour early', () => {
+    assert.equal(isDue('daily', null, NOW), true);
+    assert.equal(isDue('daily', new Date(NOW - 23.5 * HOUR).toISOString(), NOW), true);
+    assert.equal(isDue('daily', new Date(NOW - 12 * HOUR).toISOString(), NOW), false);
+    assert.equal(isDue('weekly', new Date(NOW - 6 * 24 * HOUR).toISOString(), NOW), false);
+    assert.equal(isDue('weekly', new Date(NOW - 7 * 24 * HOUR).toISOString(), NOW), true);
+  });
+});
+
+describe('Digest contents', () => {
+  const since = '2026-06-01T07:00:00.000Z';
+  const until = new Date(NOW).toISOString();
+
+  it('selects the window\'s changes, leaving out minor ones', () => {
+    const entries = selectEntries(changes, guidance, { email: 'a@example.org', cadence: 'weekly' }, since, until);
+    assert.deepEqual(entries.map(e => e.title), ['Asthma <update>', 'CKD', 'Webinar']);
+    assert.equal(entries[1].summary, 'Recommendations: 1 added, 1 reworded');
+    assert.equal(entries[0].excerpt, 'New advice on inhaled steroids.');
+  });
+
+  it('applies source and topic subscriptions', () => {
+    const recipient = { email: 'a@example.org', cadence: 'weekly', sources: ['nice'], topics: ['respiratory'] };
+    const entries = selectEntries(changes, guidance, recipient, since, until);
+    assert.deepEqual(entries.map(e => [e.title, e.topic]), [['Asthma <update>', 'respiratory'], ['CKD', 'respiratory']]);
+  });
+
+  it('groups by source, then topic, with untagged items last', () => {
+    const entries = selectEntries(changes, guidance, { email: 'a@example.org', cadence: 'weekly' }, since, until);
+    const groups = groupEntries(entries, config);
+    assert.deepEqual(groups.map(g => [g.label, g.topics.map(t => t.label)]), [
+      ['NICE', ['Respiratory', 'Renal']],
+      ['NCL GP', ['Other']]
+    ]);
+  });
+
+  it('renders plain-text and escaped HTML versions with links', () => {
+    const recipient = { email: 'a@example.org', cadence: 'weekly', topics: ['respiratory'] };
+    const entries = selectEntries(changes, guidance, recipient, since, until);
+    const digest = composeDigest(entries, recipient, config, { since, until });
+
+    assert.equal(digest.subject, 'Guidance digest: 1 new, 1 updated (1 Jun 2026 – 8 Jun 2026)');
+    assert.match(digest.text, /== NICE ==\n\n-- Respiratory --\n\n\* \[New\] Asthma <update>\n {2}New advice on inhaled steroids\.\n {2}https:\/\/example\.org\/asthma/);
+    assert.match(digest.text, /You get this digest weekly for all sources; Respiratory\./);
+    assert.match(digest.html, /<a href="https:\/\/example\.org\/asthma"[^>]*>Asthma &lt;update&gt;<\/a>/);
+    assert.match(digest.html, /href="https:\/\/example\.org\/cgm\/"/);
+  });
+});
+
+describe('Digest delivery', () => {
+  let sink;
+  let workspace;
+
+  const digest = (...args) => promisify(execFile)(process.execPath, [path.join(ROOT, 'scripts', 'digest.js'), ...args], {
+    cwd: workspace,
+    env: { ...process.env, SMTP_HOST: '127.0.0.1', SMTP_PORT: String(sink.address().port) },
+    encoding: 'utf8'
+  });
+
+  before(async () => {
+    sink = await startSink({ port: 0 });
+    workspace = makeWorkspace();
+    const recent = new Date(Date.now() - HOUR).toISOString();
+    writeJSON(workspace, 'guidance.json', guidance);
+    writeJSON(workspace, 'changes.json', {
+      a: change('a', 'asthma', 'nice', recent),
+      c: change('c', 'webinar', 'ncl', recent)
+    });
+    const current = readJSON(workspace, 'config.json');
+    writeJSON(workspace, 'config.json', {
+      ...current,
+      topics: config.topics,
+      digest: {
+        from: 'Clinical Guidance Monitor <monitor@example.org>',
+        recipients: [
+          { email: 'leads@example.org', cadence: 'daily', sources: ['nice'] },
+          { email: 'nobody@example.org', cadence: 'weekly', topics: ['renal'] }
+        ]
+      }
+    });
+  });
+
+  after(() => {
+    sink.close();
+    removeWorkspace(workspace);
+  });
+
+  it('sends due digests over SMTP and records them', async () => {
+    const { stdout } = await digest();
+    assert.match(stdout, /leads@example\.org: sent daily digest of 1 change/);
+    assert.match(stdout, /nobody@example\.org: no changes since/);
+
+    assert.equal(sink.messages.length, 1);
+    const [message] = sink.messages;
+    assert.equal(message.from, 'monitor@example.org');
+    assert.deepEqual(message.to, ['leads@example.org']);
+    const subject = message.data.match(/^Subject: =\?UTF-8\?B\?(.*)\?=$/m)[1];
+    assert.match(Buffer.from(subject, 'base64').toString('utf8'), /^Guidance digest: 1 new \(/);
+    assert.match(message.data, /Content-Type: multipart\/alternative/);
+
+    const parts = [...message.data.matchAll(/Content-Type: (text\/\w+); charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n([\s\S]*?)\r\n--/g)]
+      .map(([, type, body]) => [type, Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8')]);
+    assert.deepEqual(parts.map(([type]) => type), ['text/plain', 'text/html']);
+    assert.match(parts[0][1], /\[New\] Asthma <update>\r\n/);
+    assert.doesNotMatch(parts[0][1], /Webinar/);
+
+    const sent = readJSON(workspace, 'digests.json');
+    assert.equal(sent['leads@example.org'].changes, 1);
+    assert.equal(sent['nobody@example.org'].changes, 0);
+  });
+
+  it('waits until the next digest is due', async () => {
+    const { stdout } = await digest();
+    assert.match(stdout, /leads@example\.org: daily digest not due/);
+    assert.equal(sink.messages.length, 1);
+  });
+
+  it('authenticates when a user is configured', async () => {
+    const settings = { host: '127.0.0.1', port: sink.address().port, user: 'monitor', password: 'secret', timeoutMs: 5000 };
+    const reply = await sendMail(settings, { from: 'monitor@example.org', to: 'x@example.org', subject: 'Test', text: 'Hi', html: '<p>Hi</p>' });
+    assert.match(reply, /message kept/);
+    assert.equal(sink.messages.length, 2);
+  });
+});
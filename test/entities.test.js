@@ -0,0 +1,27 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeEntities } = require('../scripts/lib/entities');
+
+describe('decodeEntities', () => {
+  it('decodes named entities from the HTML5 table', () => {
+    assert.equal(decodeEntities('A &amp; B &ndash; &hellip; &eacute;&frac12;&NotEqualTilde;'), 'A & B – … é½≂̸');
+  });
+
+  it('decodes decimal and hex references', () => {
+    assert.equal(decodeEntities('London&#45;wide &#039;GP webinar&#039; &#x2014; &#X1F489;'), 'London-wide \'GP webinar\' — 💉');
+  });
+
+  it('maps Windows-1252 numeric references and replaces invalid code points', () => {
+    assert.equal(decodeEntities('&#150; &#146; &#0; &#xD800; &#1114112;'), '– ’ � � �');
+  });
+
+  it('decodes legacy entities without a semicolon but leaves unknown names alone', () => {
+    assert.equal(decodeEntities('&copy 2026 &amp co &madeup; &'), '© 2026 & co &madeup; &');
+  });
+
+  it('decodes a single layer only', () => {
+    assert.equal(decodeEntities('&amp;#039;'), '&#039;');
+  });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFeed } = require('../scripts/lib/feed');
+
+describe('parseFeed', () => {
+  it('reads RSS 2.0 items with guid, categories and content:encoded', () => {
+    const { format, items } = parseFeed(`<?xml version="1.0"?>
+      <rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+        <channel>
+          <title>Feed</title>
+          <atom:link href="https://example.org/feed" rel="self" />
+          <item>
+            <title><![CDATA[Asthma <em>update</em>]]></title>
+            <link>https://example.org/asthma</link>
+            <guid isPermaLink="false">example-123</guid>
+            <pubDate>Wed, 25 Feb 2026 11:27:38 +0000</pubDate>
+            <category>Respiratory</category>
+            <category><![CDATA[Guidance]]></category>
+            <description><![CDATA[<p>Short summary.</p>]]></description>
+            <content:encoded><![CDATA[<p>Full text.</p><p>Second paragraph.</p>]]></content:encoded>
+          </item>
+        </channel>
+      </rss>`);
+
+    assert.equal(format, 'rss');
+    assert.deepEqual(items, [{
+      title: 'Asthma update',
+      link: 'https://example.org/asthma',
+      pubDate: 'Wed, 25 Feb 2026 11:27:38 +0000',
+      description: 'Short summary.',
+      content: 'Full text. Second paragraph.',
+      guid: 'example-123',
+      categories: ['Respiratory', 'Guidance']
+    }]);
+  });
+
+  it('reads RSS 1.0 (RDF) items using rdf:about and dc:date', () => {
+    const { format, items } = parseFeed(`<?xml version="1.0"?>
+      <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <channel rdf:about="https://example.org/"><title>Feed</title></channel>
+        <item rdf:about="https://example.org/copd">
+          <title>COPD pathway</title>
+          <link>https://example.org/copd</link>
+          <description>Revised referral criteria.</description>
+          <dc:date>2026-03-01T09:00:00Z</dc:date>
+          <dc:subject>Respiratory</dc:subject>
+        </item>
+      </rdf:RDF>`);
+
+    assert.equal(format, 'rdf');
+    assert.equal(items[0].link, 'https://example.org/copd');
+    assert.equal(items[0].guid, 'https://example.org/copd');
+    assert.equal(items[0].pubDate, '2026-03-01T09:00:00Z');
+    assert.deepEqual(items[0].categories, ['Respiratory']);
+  });
+
+  it('reads Atom entries with alternate links, summaries and escaped HTML content', () => {
+    const { format, items } = parseFeed(`<?xml version="1.0" encoding="utf-8"?>
+      <feed xmlns="http://www.w3.org/2005/Atom">
+        <title>Regulator news</title>
+        <link href="https://example.org/" />
+        <entry>
+          <title type="html">Heart failure &lt;em&gt;and&lt;/em&gt; diabetes</title>
+          <link rel="edit" href="https://example.org/api/1" />
+          <link rel="alternate" type="text/html" href="https://example.org/news/1" />
+          <id>tag:example.org,2026:1</id>
+          <updated>2026-03-02T10:00:00Z</updated>
+          <published>2026-03-01T10:00:00Z</published>
+          <category term="cardio" label="Cardiovascular" />
+          <summary>Combined pathway.</summary>
+          <content type="html">&lt;p&gt;Full &lt;strong&gt;pathway&lt;/strong&gt; text.&lt;/p&gt;</content>
+        </entry>
+        <entry>
+          <title>Second</title>
+          <link href="https://example.org/news/2" />
+          <updated>2026-03-03T10:00:00Z</updated>
+          <content type="xhtml"><div xmlns="http://www.w3.org/1999/xhtml"><p>Inline</p></div></content>
+        </entry>
+      </feed>`);
+
+    assert.equal(format, 'atom');
+    assert.deepEqual(items[0], {
+      title: 'Heart failure and diabetes',
+      link: 'https://example.org/news/1',
+      pubDate: '2026-03-01T10:00:00Z',
+      description: 'Combined pathway.',
+      content: 'Full pathway text.',
+      guid: 'tag:example.org,2026:1',
+      categories: ['Cardiovascular']
+    });
+    assert.equal(items[1].link, 'https://example.org/news/2');
+    assert.equal(items[1].pubDate, '2026-03-03T10:00:00Z');
+    assert.equal(items[1].content, 'Inline');
+  });
+
+  it('returns no items for documents that are not feeds', () => {
+    assert.deepEqual(parseFeed('<html><body>Not a feed</body></html>'), { format: null, items: [] });
+  });
+});
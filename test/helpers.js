@@ -0,0 +1,57 @@
+'use strict';
+
+// Test helpers: run a poller in a scratch directory against HTTP fixtures
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// A scratch working directory whose data/config.json has the repo's sources
+// (or the given ones) but none of its run state. The repo's drug list is
+// copied across.
+function makeWorkspace(sources = null) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cgm-test-'));
+  sources = sources || JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'config.json'), 'utf8')).sources;
+  fs.mkdirSync(path.join(dir, 'data'));
+  fs.copyFileSync(path.join(ROOT, 'data', 'drugs.json'), path.join(dir, 'data', 'drugs.json'));
+  writeJSON(dir, 'config.json', {
+    sources,
+    crawler: { userAgent: 'ClinicalGuidanceMonitor/1.0', contact: 'mailto:tests@example.org' },
+    lastRunStats: {},
+    unreadChanges: 0
+  });
+  return dir;
+}
+
+function removeWorkspace(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Runs scripts/<script> with replayed fixtures; `fixtureSets` are directory
+// names under test/fixtures, earliest taking precedence
+function runPoller(script, workspace, fixtureSets = ['http']) {
+  return execFileSync(process.execPath, [path.join(ROOT, 'scripts', script)], {
+    cwd: workspace,
+    env: {
+      ...process.env,
+      CGM_HTTP_MODE: 'replay',
+      CGM_FIXTURES_DIR: fixtureSets.map(set => path.join(FIXTURES, set)).join(path.delimiter)
+    },
+    encoding: 'utf8'
+  });
+}
+
+function readJSON(workspace, filename) {
+  const filePath = path.join(workspace, 'data', filename);
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+}
+
+function writeJSON(workspace, filename, data) {
+  fs.writeFileSync(path.join(workspace, 'data', filename), JSON.stringify(data, null, 2));
+}
+
+module.exports = { ROOT, FIXTURES, makeWorkspace, removeWorkspace, runPoller, readJSON, writeJSON };
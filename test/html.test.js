@@ -0,0 +1,59 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanHTML, extractTitle, extractContent } = require('../scripts/lib/html');
+const { resolveSource, DEFAULT_SOURCES } = require('../scripts/lib/sources');
+const { extractArticleLinks } = require('../scripts/poll-html');
+const { readFixture } = require('../scripts/lib/http');
+
+const nice = resolveSource('nice', DEFAULT_SOURCES.nice);
+const artp = resolveSource('artp', DEFAULT_SOURCES.artp);
+
+describe('cleanHTML', () => {
+  it('drops scripts and page furniture and keeps block breaks', () => {
+    const html = '<header>Site</header><script>x()</script><p>One</p><div>Two <b>bold</b></div><footer>Foot</footer>';
+    assert.equal(cleanHTML(html), 'One\nTwo bold');
+  });
+
+  it('decodes common named entities', () => {
+    assert.equal(cleanHTML('<p>A &amp; B &ndash; C&nbsp;D</p>'), 'A & B – C D');
+  });
+});
+
+describe('extractTitle', () => {
+  it('strips the site suffix from <title>', () => {
+    assert.equal(extractTitle('<title>Overview | Asthma | NICE</title>'), 'Overview | Asthma');
+  });
+
+  it('falls back to the first <h1>', () => {
+    assert.equal(extractTitle('<h1>Heading <em>here</em></h1>'), 'Heading here');
+  });
+});
+
+describe('extractContent', () => {
+  it('uses the source content patterns and collects chapter links', () => {
+    const { body } = readFixture('https://www.nice.org.uk/guidance/ng136');
+    const { content, chapterLinks } = extractContent(body, nice);
+
+    assert.match(content, /^Hypertension in adults: diagnosis and management/);
+    assert.doesNotMatch(content, /Related links/);
+    assert.deepEqual(chapterLinks, [
+      { url: 'https://www.nice.org.uk/guidance/ng136/chapter/Recommendations', title: 'Recommendations' },
+      { url: 'https://www.nice.org.uk/guidance/ng136/chapter/Update-information', title: 'Update information' }
+    ]);
+  });
+});
+
+describe('extractArticleLinks', () => {
+  it('finds each article once, resolving URLs against the base URL', () => {
+    const { body } = readFixture('https://www.artp.org.uk/news');
+    const links = extractArticleLinks(body, artp);
+
+    assert.deepEqual(links.map(({ url, id, title }) => ({ url, id, title })), [
+      { url: 'https://www.artp.org.uk/news/170/spirometry_standards_update_2026', id: '170', title: 'Spirometry standards update 2026' },
+      { url: 'https://www.artp.org.uk/news/171/student_training_scheme_2026', id: '171', title: 'Student training scheme 2026' }
+    ]);
+    assert.equal(links[0].date, '04/03/2026');
+  });
+});
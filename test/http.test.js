@@ -0,0 +1,154 @@
+'use strict';
+
+// fetchPage against a local server: robots.txt, pacing, conditional requests,
+// retries and timeouts
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { fetchPage, configureHttp, buildUserAgent, parseRetryAfter } = require('../scripts/lib/http');
+
+const FAST = { backoffMs: 10, maxBackoffMs: 1000, timeoutMs: 2000, requestIntervalMs: 0 };
+const CRAWLER = { userAgent: 'ClinicalGuidanceMonitor/1.0', contact: 'mailto:tests@example.org' };
+
+describe('fetchPage', () => {
+  let server;
+  let baseUrl;
+  let handler;
+  let requests;
+  let robotsTxt;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/robots.txt') return res.writeHead(200).end(robotsTxt);
+      requests.push(req);
+      handler(req, res, requests.length);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    robotsTxt = '';
+    configureHttp({ crawler: CRAWLER, cache: {} });
+    process.env.CGM_HTTP_MODE = 'live';
+  });
+
+  it('identifies itself with the configured user agent and contact', async () => {
+    handler = (req, res) => res.writeHead(200).end('page');
+    await fetchPage(`${baseUrl}/page`, FAST);
+
+    // In GitHub Actions the repository URL is added too
+    assert.match(requests[0].headers['user-agent'], /^ClinicalGuidanceMonitor\/1\.0 \((\+\S+; )?mailto:tests@example\.org\)$/);
+  });
+
+  it('refuses paths robots.txt disallows for our user agent', async () => {
+    robotsTxt = 'User-agent: *\nDisallow: /\n\nUser-agent: ClinicalGuidanceMonitor\nDisallow: /private/\n';
+    handler = (req, res) => res.writeHead(200).end('page');
+
+    assert.equal(await fetchPage(`${baseUrl}/public`, FAST), 'page');
+    await assert.rejects(fetchPage(`${baseUrl}/private/page`, FAST), /Disallowed by robots\.txt/);
+    assert.deepEqual(requests.map(req => req.url), ['/public']);
+  });
+
+  it('spaces requests to a host by the larger of its interval and Crawl-delay', async () => {
+    robotsTxt = 'User-agent: *\nCrawl-delay: 0.2\n';
+    handler = (req, res) => res.writeHead(200).end('page');
+
+    const started = Date.now();
+    await fetchPage(`${baseUrl}/one`, { ...FAST, requestIntervalMs: 50 });
+    await fetchPage(`${baseUrl}/two`, { ...FAST, requestIntervalMs: 50 });
+
+    assert.ok(Date.now() - started >= 200, 'second request waited for the crawl delay');
+  });
+
+  it('stores validators and treats 304 as unchanged', async () => {
+    const cache = {};
+    configureHttp({ crawler: CRAWLER, cache });
+    handler = (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') return res.writeHead(304).end();
+      res.writeHead(200, { ETag: '"v1"', 'Last-Modified': 'Wed, 18 Mar 2026 09:00:00 GMT' }).end('page');
+    };
+
+    assert.equal(await fetchPage(`${baseUrl}/page`, FAST), 'page');
+    assert.equal(cache.validators[`${baseUrl}/page`].etag, '"v1"');
+
+    assert.equal(await fetchPage(`${baseUrl}/page`, FAST), null);
+    assert.equal(requests[1].headers['if-modified-since'], 'Wed, 18 Mar 2026 09:00:00 GMT');
+  });
+
+  it('sends no validators when conditional requests are off for the source', async () => {
+    configureHttp({ crawler: CRAWLER, cache: { validators: { [`${baseUrl}/page`]: { etag: '"v1"' } } } });
+    handler = (req, res) => res.writeHead(200).end('page');
+
+    assert.equal(await fetchPage(`${baseUrl}/page`, { ...FAST, conditional: false }), 'page');
+    assert.equal(requests[0].headers['if-none-match'], undefined);
+  });
+
+  it('retries 5xx responses with backoff', async () => {
+    handler = (req, res, n) => (n < 3 ? res.writeHead(503).end() : res.writeHead(200).end('ok'));
+
+    assert.equal(await fetchPage(`${baseUrl}/flaky`, FAST), 'ok');
+    assert.equal(requests.length, 3);
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    handler = (req, res) => res.writeHead(502).end();
+
+    await assert.rejects(fetchPage(`${baseUrl}/down`, { ...FAST, retries: 1 }), /HTTP 502/);
+    assert.equal(requests.length, 2);
+  });
+
+  it('does not retry client errors', async () => {
+    handler = (req, res) => res.writeHead(404).end();
+
+    await assert.rejects(fetchPage(`${baseUrl}/missing`, FAST), /HTTP 404/);
+    assert.equal(requests.length, 1);
+  });
+
+  it('honours Retry-After on 429, but not beyond maxBackoffMs', async () => {
+    handler = (req, res, n) => (n === 1 ? res.writeHead(429, { 'Retry-After': '0' }).end() : res.writeHead(200).end('ok'));
+    assert.equal(await fetchPage(`${baseUrl}/limited`, FAST), 'ok');
+
+    requests = [];
+    handler = (req, res) => res.writeHead(429, { 'Retry-After': '3600' }).end();
+    await assert.rejects(fetchPage(`${baseUrl}/limited`, FAST), /HTTP 429/);
+    assert.equal(requests.length, 1);
+  });
+
+  it('times out slow responses and retries them', async () => {
+    handler = (req, res, n) => (n === 1 ? setTimeout(() => res.writeHead(200).end('late'), 300) : res.writeHead(200).end('ok'));
+    assert.equal(await fetchPage(`${baseUrl}/slow`, { ...FAST, timeoutMs: 100 }), 'ok');
+
+    handler = (req, res) => setTimeout(() => res.writeHead(200).end('late'), 300);
+    await assert.rejects(fetchPage(`${baseUrl}/slow`, { ...FAST, timeoutMs: 100, retries: 0 }), /Timed out after 100ms/);
+  });
+});
+
+describe('buildUserAgent', () => {
+  it('adds the repository URL when running in GitHub Actions', () => {
+    const saved = { ...process.env };
+    process.env.GITHUB_SERVER_URL = 'https://github.com';
+    process.env.GITHUB_REPOSITORY = 'example/clinical-guidance-monitor';
+    try {
+      assert.equal(
+        buildUserAgent({ contact: 'mailto:team@example.org' }),
+        'ClinicalGuidanceMonitor/1.0 (+https://github.com/example/clinical-guidance-monitor; mailto:team@example.org)'
+      );
+    } finally {
+      process.env = saved;
+    }
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads delay-seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+    assert.equal(parseRetryAfter('soon'), null);
+    assert.equal(parseRetryAfter(null), null);
+  });
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractMedicines } = require('../scripts/lib/medicines');
+
+const LIST = {
+  classes: {
+    doacs: { label: 'DOACs', synonyms: ['direct oral anticoagulants'], drugs: ['apixaban', 'rivaroxaban'] },
+    anticoagulants: { label: 'Anticoagulants', synonyms: ['anticoagulant'], drugs: ['apixaban', 'rivaroxaban', 'warfarin'] },
+    'sglt2-inhibitors': { label: 'SGLT2 inhibitors', synonyms: ['SGLT2 inhibitor'], drugs: ['dapagliflozin'] }
+  },
+  aliases: { apixaban: ['Eliquis'] },
+  medicines: ['paracetamol']
+};
+
+describe('extractMedicines', () => {
+  it('finds drugs by name or alias and records their classes', () => {
+    assert.deepEqual(extractMedicines('Switch from Eliquis to warfarin if...', LIST), {
+      drugs: ['apixaban', 'warfarin'],
+      classes: ['anticoagulants', 'doacs']
+    });
+  });
+
+  it('records classes that are named without any of their drugs', () => {
+    assert.deepEqual(extractMedicines('Offer an SGLT2 inhibitor alongside metformin.', LIST), {
+      drugs: [],
+      classes: ['sglt2-inhibitors']
+    });
+  });
+
+  it('tracks medicines that belong to no class', () => {
+    assert.deepEqual(extractMedicines('Paracetamol is first line.', LIST), { drugs: ['paracetamol'], classes: [] });
+  });
+
+  it('ignores partial words', () => {
+    assert.deepEqual(extractMedicines('Dapagliflozins and preapixaban', LIST), { drugs: [], classes: [] });
+  });
+});
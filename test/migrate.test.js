@@ -0,0 +1,278 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { hashString } = require('../scripts/lib/util');
+const { ROOT, makeWorkspace, removeWorkspace, runPoller, readJSON, writeJSON } = require('./helpers');
+
+function migrate(workspace, ...args) {
+  return execFileSync(process.execPath, [path.join(ROOT, 'scripts', 'migrate.js'), ...args], {
+    cwd: workspace,
+    encoding: 'utf8'
+  });
+}
+
+describe('decode-entities migration', () => {
+  let workspace;
+  const legacyContent = 'Find a summary by putting &#039;GP webinar&#039; into the search bar &amp;amp; more.';
+  const id = `content:${hashString('https://example.org/webinar')}`;
+  // Page text, escaped once: the item really is about the literal "&lt;" entity
+  const escapedOnce = 'Type &amp;lt; for &lt; in the template &amp; check &#039;Preview&#039;.';
+  const onceId = `content:${hashString('https://example.org/templates')}`;
+
+  before(() => {
+    workspace = makeWorkspace();
+    writeJSON(workspace, 'guidance.json', {
+      [id]: {
+        id,
+        url: 'https://example.org/webinar',
+        title: 'News: London&#45;wide webinar',
+        source: 'ncl',
+        contentHash: hashString(legacyContent),
+        content: legacyContent,
+        metadata: { wordCount: 13, description: legacyContent }
+      },
+      [onceId]: {
+        id: onceId,
+        url: 'https://example.org/templates',
+        title: 'Writing templates',
+        source: 'artp',
+        contentHash: hashString(escapedOnce),
+        content: escapedOnce,
+        metadata: { wordCount: 12, description: escapedOnce }
+      }
+    });
+    writeJSON(workspace, 'changes.json', {
+      'change:1:abc': {
+        id: 'change:1:abc',
+        guidanceId: id,
+        title: 'News: London&#45;wide webinar',
+        changeType: 'new_guidance',
+        previousHash: null,
+        newHash: hashString(legacyContent)
+      }
+    });
+    writeJSON(workspace, 'seen.json', {
+      'ncl:abc': { url: 'https://example.org/webinar', title: 'News: London&#45;wide webinar', description: legacyContent }
+    });
+    migrate(workspace, 'decode-entities');
+  });
+
+  after(() => removeWorkspace(workspace));
+
+  it('decodes stored text and recomputes the content hash', () => {
+    const item = readJSON(workspace, 'guidance.json')[id];
+    const expected = 'Find a summary by putting \'GP webinar\' into the search bar & more.';
+
+    assert.equal(item.title, 'News: London-wide webinar');
+    assert.equal(item.content, expected);
+    assert.equal(item.metadata.description, expected);
+    assert.equal(item.contentHash, hashString(expected));
+    assert.equal(readJSON(workspace, 'seen.json')['ncl:abc'].title, 'News: London-wide webinar');
+  });
+
+  it('decodes page text once, so literal entities survive', () => {
+    const item = readJSON(workspace, 'guidance.json')[onceId];
+    assert.equal(item.content, 'Type &lt; for < in the template & check \'Preview\'.');
+    assert.equal(item.contentHash, hashString(item.content));
+  });
+
+  it('points existing change records at the new hash', () => {
+    const change = readJSON(workspace, 'changes.json')['change:1:abc'];
+
+    assert.equal(change.title, 'News: London-wide webinar');
+    assert.equal(change.newHash, readJSON(workspace, 'guidance.json')[id].contentHash);
+  });
+
+  it('records that it ran and refuses to run twice', () => {
+    assert.ok(readJSON(workspace, 'config.json').migrations['decode-entities']);
+    assert.match(migrate(workspace, 'decode-entities'), /already ran/);
+  });
+});
+
+describe('entity decoding in the pollers', () => {
+  let workspace;
+
+  before(() => {
+    workspace = makeWorkspace();
+    runPoller('poll-rss.js', workspace);
+  });
+
+  after(() => removeWorkspace(workspace));
+
+  it('stores feed titles and descriptions decoded', () => {
+    const item = Object.values(readJSON(workspace, 'guidance.json'))
+      .find(i => i.url.endsWith('/support-london-wide-campaign-to-reduce-medicine-waste'));
+
+    assert.equal(item.title, 'News: Support London-wide campaign to reduce medicine waste');
+    assert.equal(item.content, 'Help patients return unused medicines & order only what they need – a reminder for practices.');
+  });
+
+  it('hashes repaired RSS-only items the same way a fresh poll does', () => {
+    const guidance = readJSON(workspace, 'guidance.json');
+    const changesBefore = Object.keys(readJSON(workspace, 'changes.json')).length;
+
+    // Put the item back as an old poller stored it, repair it, then poll again
+    const item = Object.values(guidance).find(i => i.url.endsWith('/support-london-wide-campaign-to-reduce-medicine-waste'));
+    item.title = 'News: Support London&#45;wide campaign to reduce medicine waste';
+    item.content = 'Help patients return unused medicines &amp; order only what they need &#8211; a reminder for practices.';
+    item.contentHash = hashString(item.content);
+    writeJSON(workspace, 'guidance.json', guidance);
+    writeJSON(workspace, 'seen.json', {});
+
+    migrate(workspace, 'decode-entities');
+    runPoller('poll-rss.js', workspace);
+
+    const changes = Object.values(readJSON(workspace, 'changes.json'));
+    assert.equal(changes.length, changesBefore);
+    assert.ok(changes.every(c => c.changeType === 'new_guidance'));
+  });
+});
+
+describe('decode-entities migration then a poll', () => {
+  let workspace;
+  const FIXTURE_SETS = ['feed-entities', 'http'];
+  // As old pollers stored these RSS-only items: the feed's character data as it came
+  const LEGACY = {
+    'https://gps.northcentrallondon.icb.nhs.uk/news/support-london-wide-campaign-to-reduce-medicine-waste': {
+      title: 'News: Support London&#45;wide campaign to reduce medicine waste',
+      description: 'Help patients return unused medicines &amp; order only what they need &#8211; a reminder for practices.'
+    },
+    'https://gps.northcentrallondon.icb.nhs.uk/news/asthma-reviews-and-the-qof-indicators': {
+      title: 'News: Asthma reviews and the &amp;lt;QOF&amp;gt; indicators',
+      description: 'Record asthma reviews under the &amp;lt;AST&amp;gt; codes &amp;mdash; see the &amp;quot;QOF guidance&amp;quot; for the 2026&amp;#8211;27 changes.'
+    }
+  };
+
+  before(() => {
+    workspace = makeWorkspace();
+    runPoller('poll-rss.js', workspace, FIXTURE_SETS);
+  });
+
+  after(() => removeWorkspace(workspace));
+
+  it('repairs RSS-only items to exactly what the feed stores, so the next poll records nothing', () => {
+    const guidance = readJSON(workspace, 'guidance.json');
+    const changes = readJSON(workspace, 'changes.json');
+    const seen = readJSON(workspace, 'seen.json');
+    const polled = JSON.parse(JSON.stringify(guidance));
+
+    for (const [url, { title, description }] of Object.entries(LEGACY)) {
+      const item = Object.values(guidance).find(i => i.url === url);
+      Object.assign(item, { title, content: description, contentHash: hashString(description) });
+      item.metadata.description = description.substring(0, 200);
+      for (const change of Object.values(changes).filter(c => c.guidanceId === item.id)) {
+        Object.assign(change, { title, newHash: item.contentHash });
+      }
+      Object.assign(Object.values(seen).find(e => e.url === url), { title, description });
+    }
+    writeJSON(workspace, 'guidance.json', guidance);
+    writeJSON(workspace, 'changes.json', changes);
+    writeJSON(workspace, 'seen.json', seen);
+
+    migrate(workspace, 'decode-entities');
+    const migrated = readJSON(workspace, 'guidance.json');
+    for (const url of Object.keys(LEGACY)) {
+      const item = Object.values(migrated).find(i => i.url === url);
+      const fresh = polled[item.id];
+      assert.deepEqual([item.title, item.content, item.contentHash], [fresh.title, fresh.content, fresh.contentHash]);
+    }
+    assert.equal(Object.values(migrated).find(i => i.url.endsWith('/asthma-reviews-and-the-qof-indicators')).title,
+      'News: Asthma reviews and the <QOF> indicators');
+
+    runPoller('poll-rss.js', workspace, FIXTURE_SETS);
+    assert.deepEqual(Object.keys(readJSON(workspace, 'changes.json')), Object.keys(changes));
+  });
+});
+
+describe('tag-topics migration', () => {
+  let workspace;
+  const id = `content:${hashString('https://example.org/inhalers')}`;
+
+  before(() => {
+    workspace = makeWorkspace();
+    writeJSON(workspace, 'guidance.json', {
+      [id]: {
+        id,
+        url: 'https://example.org/inhalers',
+        title: 'Switching inhalers in asthma',
+        source: 'ncl',
+        content: 'Review inhaler technique at every appointment.',
+        metadata: { description: 'Review inhaler technique at every appointment.' }
+      }
+    });
+    migrate(workspace, 'tag-topics');
+  });
+
+  after(() => removeWorkspace(workspace));
+
+  it('tags stored items and writes the default taxonomy to config.json', () => {
+    assert.deepEqual(readJSON(workspace, 'guidance.json')[id].topics, ['respiratory']);
+    assert.equal(readJSON(workspace, 'config.json').topics.respiratory.label, 'Respiratory');
+  });
+
+  it('re-tags with an edited taxonomy when forced', () => {
+    const config = readJSON(workspace, 'config.json');
+    config.topics = { 'long-term': { label: 'Long-term conditions', synonyms: ['asthma'] } };
+    writeJSON(workspace, 'config.json', config);
+
+    migrate(workspace, 'tag-topics', '--force');
+    assert.deepEqual(readJSON(workspace, 'guidance.json')[id].topics, ['long-term']);
+  });
+});
+
+describe('extract-medicines migration', () => {
+  let workspace;
+  const id = `content:${hashString('https://example.org/doacs')}`;
+
+  before(() => {
+    workspace = makeWorkspace();
+    writeJSON(workspace, 'guidance.json', {
+      [id]: {
+        id,
+        url: 'https://example.org/doacs',
+        title: 'Anticoagulation in atrial fibrillation',
+        source: 'ncl',
+        content: 'Offer apixaban or another DOAC. Review people still taking warfarin.',
+        metadata: {}
+      }
+    });
+    migrate(workspace, 'extract-medicines');
+  });
+
+  after(() => removeWorkspace(workspace));
+
+  it('records the medicines and drug classes each item mentions', () => {
+    assert.deepEqual(readJSON(workspace, 'guidance.json')[id].medicines, {
+      drugs: ['apixaban', 'warfarin'],
+      classes: ['anticoagulants', 'doacs']
+    });
+  });
+});
+
+describe('normalise-dates migration', () => {
+  let workspace;
+
+  before(() => {
+    workspace = makeWorkspace();
+    writeJSON(workspace, 'guidance.json', {
+      feed: { id: 'feed', source: 'nhs', publishedDate: 'Thu, 26 Mar 2026 11:56:05 +0000' },
+      listing: { id: 'listing', source: 'artp', publishedDate: '04/03/2026' },
+      iso: { id: 'iso', source: 'ncl', publishedDate: '2026-02-25' },
+      undated: { id: 'undated', source: 'ncl', publishedDate: 'TBC' }
+    });
+    migrate(workspace, 'normalise-dates');
+  });
+
+  after(() => removeWorkspace(workspace));
+
+  it('stores feed and listing dates as ISO days and leaves unreadable ones', () => {
+    const guidance = readJSON(workspace, 'guidance.json');
+    assert.equal(guidance.feed.publishedDate, '2026-03-26');
+    assert.equal(guidance.listing.publishedDate, '2026-03-04');
+    assert.equal(guidance.iso.publishedDate, '2026-02-25');
+    assert.equal(guidance.undated.publishedDate, 'TBC');
+  });
+});
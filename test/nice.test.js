@@ -0,0 +1,60 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { guidanceCode, parseNICEDate, parseUpdateInformation, parseNICEMetadata } = require('../scripts/lib/nice');
+
+describe('guidanceCode', () => {
+  it('reads the code and type from guidance and chapter URLs', () => {
+    assert.deepEqual(guidanceCode('https://www.nice.org.uk/guidance/ng136'), { code: 'NG136', guidanceType: 'NICE guideline' });
+    assert.deepEqual(guidanceCode('https://www.nice.org.uk/guidance/ta123/chapter/1-Recommendations'), { code: 'TA123', guidanceType: 'Technology appraisal guidance' });
+    assert.equal(guidanceCode('https://www.nice.org.uk/news/article/x'), null);
+  });
+});
+
+describe('parseNICEDate', () => {
+  it('converts NICE dates to ISO', () => {
+    assert.equal(parseNICEDate('28 August 2019'), '2019-08-28');
+    assert.equal(parseNICEDate('2 December 2015'), '2015-12-02');
+    assert.equal(parseNICEDate('November 2023'), '2023-11');
+    assert.equal(parseNICEDate('Smarch 2023'), null);
+  });
+});
+
+describe('parseUpdateInformation', () => {
+  it('splits dated entries, including heading-style ones and minor changes', () => {
+    const entries = parseUpdateInformation([
+      'Update information',
+      'November 2023: We updated the recommendations on blood pressure targets.',
+      'March 2022',
+      'We made new recommendations on step 4 treatment.',
+      'See the evidence reviews for details.',
+      'Minor changes since publication',
+      'June 2020: We corrected a dosage typo in recommendation 1.4.12.'
+    ].join('\n'));
+
+    assert.deepEqual(entries, [
+      { date: '2023-11', label: 'November 2023', text: 'We updated the recommendations on blood pressure targets.', minor: false },
+      { date: '2022-03', label: 'March 2022', text: 'We made new recommendations on step 4 treatment.\nSee the evidence reviews for details.', minor: false },
+      { date: '2020-06', label: 'June 2020', text: 'We corrected a dosage typo in recommendation 1.4.12.', minor: true }
+    ]);
+  });
+});
+
+describe('parseNICEMetadata', () => {
+  it('reads the header line for published and last-updated dates', () => {
+    const text = 'Hypertension in adults\nNICE guideline [NG136] Published: 28 August 2019 Last updated: 21 November 2023\nOverview';
+    assert.deepEqual(parseNICEMetadata('https://www.nice.org.uk/guidance/ng136', text), {
+      code: 'NG136',
+      guidanceType: 'NICE guideline',
+      published: '2019-08-28',
+      lastUpdated: '2023-11-21'
+    });
+  });
+
+  it('only parses update entries on the Update information chapter', () => {
+    const text = 'November 2023: We updated things.';
+    assert.equal(parseNICEMetadata('https://www.nice.org.uk/guidance/ng136/chapter/Recommendations', text).updateInformation, undefined);
+    assert.equal(parseNICEMetadata('https://www.nice.org.uk/guidance/ng136/chapter/Update-information', text).updateInformation.length, 1);
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normaliseContent, changeMagnitude } = require('../scripts/lib/normalise');
+const { storeItem } = require('../scripts/lib/crawl');
+const { splitRecommendations } = require('../scripts/lib/recommendations');
+
+const PAGE = [
+  'Hypertension case finding in community pharmacies',
+  'Practices should code results received from pharmacies.',
+  'Page last reviewed: 18 March 2026',
+  'Related links',
+  'We use cookies to make this site work.'
+].join('\n');
+
+describe('normaliseContent', () => {
+  it('drops page furniture and evens out typography and whitespace', () => {
+    const text = normaliseContent('  It’s  “good” practice – mostly\n\nBack to top\nPage last updated 1 May 2026');
+    assert.equal(text, 'It\'s "good" practice - mostly');
+  });
+
+  it('applies the source\'s ignore patterns and boilerplate lines', () => {
+    const text = normaliseContent('Body text\nShare your feedback\nVisitors today: 1234', {
+      ignorePatterns: ['^visitors today:'],
+      boilerplate: ['share YOUR feedback']
+    });
+    assert.equal(text, 'Body text');
+  });
+});
+
+describe('changeMagnitude', () => {
+  it('counts only the characters that differ within a reworded paragraph', () => {
+    const magnitude = changeMagnitude('Intro\nThe dose is 5 mg daily.\nEnd', 'Intro\nThe dose is 10 mg daily.\nEnd');
+    assert.deepEqual(magnitude, { paragraphs: 1, characters: 2, ratio: 0.061 });
+  });
+
+  it('counts unpaired paragraphs in full', () => {
+    const magnitude = changeMagnitude('Intro\nOld advice.', 'Intro\nNew advice here.\nAnother paragraph.');
+    // "Old advice." → "New advice here." changes 14 characters, plus the new 18
+    assert.deepEqual(magnitude, { paragraphs: 2, characters: 32, ratio: 1 });
+  });
+});
+
+describe('storeItem change detection', () => {
+  const store = (content, data, changeDetection, recommendations) => storeItem({
+    url: 'https://www.england.nhs.uk/2026/03/hypertension-case-finding/',
+    title: 'Hypertension case finding',
+    source: 'nhs',
+    content,
+    changeDetection,
+    recommendations
+  }, data.guidance, data.changes, data.history, data.config);
+
+  const stored = () => {
+    const data = { guidance: {}, changes: {}, history: {}, config: {} };
+    store(PAGE, data);
+    return data;
+  };
+
+  it('ignores updates confined to page furniture', () => {
+    const data = stored();
+    const edited = PAGE.replace('18 March 2026', '2 April 2026').replace('pharmacies.', 'pharmacies.  ');
+
+    assert.equal(store(edited, data), null);
+    assert.equal(Object.keys(data.changes).length, 1);
+    assert.equal(Object.values(data.guidance)[0].content, PAGE);
+  });
+
+  it('records small edits as minor and leaves them out of the unread count', () => {
+    const data = stored();
+    assert.equal(store(PAGE.replace('pharmacies.', 'pharmacies promptly.'), data), 'content_update');
+
+    const update = Object.values(data.changes).find(c => c.changeType === 'content_update');
+    assert.equal(update.minor, true);
+    assert.deepEqual(update.magnitude, { paragraphs: 1, characters: 9, ratio: 0.086 });
+    assert.equal(data.config.unreadChanges, 1);
+  });
+
+  it('never marks a negated recommendation or changed dose as minor', () => {
+    const CHAPTER = [
+      '1.6 Anticoagulation',
+      '1.6.1 Offer apixaban to people with atrial fibrillation and a CHA2DS2-VASc score of 2 or above.',
+      '1.6.2 Reduce the dose of edoxaban to 5 mg once daily if creatinine clearance is 15 to 50 ml/min.'
+    ].join('\n');
+    const storeChapter = (content, data) => store(content, data, undefined, splitRecommendations(content));
+
+    const data = { guidance: {}, changes: {}, history: {}, config: {} };
+    storeChapter(CHAPTER, data);
+    storeChapter(CHAPTER.replace('Offer apixaban', 'Do not offer apixaban'), data);
+    storeChapter(CHAPTER.replace('Do not offer apixaban', 'Offer apixaban').replace('5 mg', '10 mg'), data);
+
+    const updates = Object.values(data.changes).filter(c => c.changeType === 'content_update');
+    assert.deepEqual(updates.map(c => [c.magnitude.characters <= 20, c.minor]), [[true, false], [true, false]]);
+    assert.deepEqual(updates.map(c => c.recommendationChanges.reworded.map(r => r.number)), [['1.6.1'], ['1.6.1', '1.6.2']]);
+    assert.equal(data.config.unreadChanges, 3);
+  });
+
+  it('uses the source\'s minor threshold', () => {
+    const data = stored();
+    store(PAGE.replace('pharmacies.', 'pharmacies promptly.'), data, { minorMaxChars: 5 });
+
+    const update = Object.values(data.changes).find(c => c.changeType === 'content_update');
+    assert.equal(update.minor, false);
+    assert.equal(data.config.unreadChanges, 2);
+  });
+});
@@ -0,0 +1,388 @@
+'use strict';
+
+// Full poll cycles against recorded fixtures (see scripts/lib/http.js)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeWorkspace, removeWorkspace, runPoller, readJSON, writeJSON } = require('./helpers');
+
+const byUrl = items => Object.fromEntries(Object.values(items).map(item => [item.url, item]));
+
+describe('RSS poller', () => {
+  let workspace;
+
+  before(() => {
+    workspace = makeWorkspace();
+    runPoller('poll-rss.js', workspace);
+  });
+
+  after(() => removeWorkspace(workspace));
+
+  it('stores NICE guidance matching the keywords, with its chapters', () => {
+    const guidance = byUrl(readJSON(workspace, 'guidance.json'));
+
+    const ng136 = guidance['https://www.nice.org.uk/guidance/ng136'];
+    assert.equal(ng136.source, 'nice');
+    assert.equal(ng136.type, 'guidance');
+    assert.equal(ng136.title, 'Hypertension in adults: diagnosis and management');
+
+    const recs = guidance['https://www.nice.org.uk/guidance/ng136/chapter/Recommendations'];
+    assert.equal(recs.type, 'chapter');
+    assert.equal(recs.parentUrl, ng136.url);
+    assert.equal(recs.title, 'Hypertension in adults: diagnosis and management — Recommendations');
+    assert.match(recs.content, /^1\.1\.1 When measuring blood pressure/m);
+    assert.doesNotMatch(recs.content, /dataLayer|Cookie settings/);
+
+    assert.deepEqual(ng136.topics, ['cardiovascular']);
+    assert.deepEqual(guidance['https://www.nice.org.uk/guidance/ng28'].topics, ['diabetes']);
+    assert.deepEqual(guidance['https://www.nice.org.uk/guidance/ng28/chapter/Recommendations'].medicines, {
+      drugs: ['metformin'],
+      classes: ['antidiabetics', 'sglt2-inhibitors']
+    });
+    assert.equal(guidance['https://www.nice.org.uk/guidance/ng180'], undefined, 'no primary care keyword in title');
+  });
+
+  it('keeps NICE codes, dates and update information', () => {
+    const guidance = byUrl(readJSON(workspace, 'guidance.json'));
+
+    const ng136 = guidance['https://www.nice.org.uk/guidance/ng136'];
+    assert.deepEqual(ng136.metadata.nice, {
+      code: 'NG136',
+      guidanceType: 'NICE guideline',
+      published: '2019-08-28',
+      lastUpdated: '2023-11-21'
+    });
+    assert.equal(ng136.publishedDate, '2019-08-28');
+
+    const recs = guidance['https://www.nice.org.uk/guidance/ng136/chapter/Recommendations'];
+    assert.equal(recs.metadata.nice.lastUpdated, '2023-11-21', 'chapters inherit the guideline\'s dates');
+    assert.deepEqual(recs.recommendations.map(r => r.number), ['1.1.1', '1.1.2', '1.4.1']);
+
+    const updates = guidance['https://www.nice.org.uk/guidance/ng136/chapter/Update-information'].metadata.nice.updateInformation;
+    assert.deepEqual(updates.map(u => u.date), ['2023-11', '2022-03']);
+    assert.equal(updates[1].text, 'We reviewed the evidence and made new recommendations on step 4 antihypertensive treatment.');
+
+    assert.equal(guidance['https://www.nice.org.uk/guidance/ng28'].metadata.nice.published, '2015-12-02');
+  });
+
+  it('stores RSS-only items from the feed description', () => {
+    const guidance = byUrl(readJSON(workspace, 'guidance.json'));
+    const item = guidance['https://gps.northcentrallondon.icb.nhs.uk/news/lab-introduces-more-accurate-cholesterol-measurements'];
+
+    assert.equal(item.source, 'ncl');
+    assert.equal(item.title, 'News: Lab introduces more accurate cholesterol measurements');
+    assert.equal(item.publishedDate, '2026-02-25');
+    assert.match(item.content, /^Changed methodology at Health Services Laboratories/);
+  });
+
+  it('crawls article pages for non-RSS-only feeds', () => {
+    const guidance = byUrl(readJSON(workspace, 'guidance.json'));
+    const item = guidance['https://www.england.nhs.uk/2026/03/hypertension-case-finding/'];
+
+    assert.equal(item.source, 'nhs');
+    assert.equal(item.publishedDate, '2026-03-26');
+    assert.match(item.content, /Community pharmacies will offer blood pressure checks/);
+    assert.doesNotMatch(item.content, /Related news/);
+  });
+
+  it('applies include and exclude relevance rules', () => {
+    const seen = byUrl(readJSON(workspace, 'seen.json'));
+
+    assert.equal(seen['https://gps.northcentrallondon.icb.nhs.uk/jobs/practice-manager-camden'], undefined);
+    assert.equal(seen['https://gps.northcentrallondon.icb.nhs.uk/news/office-move'], undefined);
+    assert.equal(seen['https://www.england.nhs.uk/2026/03/ambulance-handover-times/'], undefined);
+    assert.equal(Object.keys(seen).length, 5);
+  });
+
+  it('records why items were included or excluded', () => {
+    const seen = byUrl(readJSON(workspace, 'seen.json'));
+    const filtered = byUrl(readJSON(workspace, 'filtered.json'));
+    const guidance = byUrl(readJSON(workspace, 'guidance.json'));
+
+    const ng136 = seen['https://www.nice.org.uk/guidance/ng136'].relevance;
+    assert.equal(ng136.included, true);
+    assert.equal(ng136.rule, 'keywords');
+    assert.deepEqual(ng136.matches[0].hits, [{ field: 'title', text: 'Hypertension' }]);
+    assert.deepEqual(guidance['https://www.nice.org.uk/guidance/ng136'].relevance, ng136);
+
+    const vacancy = filtered['https://gps.northcentrallondon.icb.nhs.uk/jobs/practice-manager-camden'].relevance;
+    assert.equal(vacancy.reason, 'excluded');
+    assert.equal(vacancy.rule, 'exclude-keywords');
+
+    const officeMove = filtered['https://gps.northcentrallondon.icb.nhs.uk/news/office-move'].relevance;
+    assert.deepEqual([officeMove.reason, officeMove.rule], ['no-match', null]);
+    assert.equal(filtered['https://www.nice.org.uk/guidance/ng180'].source, 'nice');
+  });
+
+  it('records a new_guidance change and one revision per stored item', () => {
+    const guidance = readJSON(workspace, 'guidance.json');
+    const changes = Object.values(readJSON(workspace, 'changes.json'));
+    const history = readJSON(workspace, 'history.json');
+
+    assert.equal(changes.length, Object.keys(guidance).length);
+    for (const change of changes) {
+      assert.equal(change.changeType, 'new_guidance');
+      assert.equal(change.newHash, guidance[change.guidanceId].contentHash);
+      assert.equal(history[change.guidanceId].length, 1);
+    }
+
+    const config = readJSON(workspace, 'config.json');
+    assert.deepEqual(config.lastRunStats.rssPollerResults, { nice: 2, ncl: 2, nhs: 1, total: 5 });
+    assert.equal(config.unreadChanges, changes.length);
+  });
+
+  it('writes a search index of the stored items', () => {
+    const guidance = readJSON(workspace, 'guidance.json');
+    const index = readJSON(workspace, 'search-index.json');
+
+    assert.deepEqual([...index.docs].sort(), Object.keys(guidance).sort());
+    const ng136 = index.docs.indexOf(Object.values(guidance).find(i => i.url.endsWith('/ng136')).id);
+    const postings = index.postings.hypertens;
+    assert.ok(postings.some((doc, i) => i % 3 === 0 && doc === ng136 && postings[i + 1] > 0), 'title term indexed');
+  });
+
+  it('writes RSS and Atom feeds of the changes, per source', () => {
+    const changes = Object.values(readJSON(workspace, 'changes.json'));
+    const feeds = fs.readdirSync(path.join(workspace, 'data', 'feeds')).sort();
+    assert.deepEqual(feeds.filter(f => f.startsWith('all.') || f.startsWith('source-nice.')), ['all.atom', 'all.rss', 'source-nice.atom', 'source-nice.rss']);
+
+    const rss = fs.readFileSync(path.join(workspace, 'data', 'feeds', 'all.rss'), 'utf8');
+    assert.equal((rss.match(/<item>/g) || []).length, changes.length);
+    const nice = changes.find(c => c.source === 'nice');
+    assert.match(rss, new RegExp(`<guid isPermaLink="false">${nice.id}</guid>`));
+
+    const atom = fs.readFileSync(path.join(workspace, 'data', 'feeds', 'source-nice.atom'), 'utf8');
+    assert.equal((atom.match(/<entry>/g) || []).length, changes.filter(c => c.source === 'nice').length);
+    assert.match(atom, /<title>\[New\] [^<]+<\/title>/);
+    assert.match(atom, /<category term="NICE"\/>/);
+  });
+
+  it('records nothing new when polled again', () => {
+    const before = readJSON(workspace, 'changes.json');
+    runPoller('poll-rss.js', workspace);
+
+    assert.deepEqual(readJSON(workspace, 'changes.json'), before);
+    assert.equal(readJSON(workspace, 'config.json').lastRunStats.rssPollerResults.total, 0);
+  });
+
+  it('keeps feed validators and skips the feed while they still match', () => {
+    const { validators } = readJSON(workspace, 'http-cache.json');
+    assert.equal(validators['https://www.england.nhs.uk/feed/'].etag, 'W/"feed-2026-03-18"');
+    assert.equal(validators['https://gps.northcentrallondon.icb.nhs.uk/news/rss'], undefined, 'no validators sent');
+
+    const output = runPoller('poll-rss.js', workspace);
+    assert.match(output, /NHS: Feed not modified since last fetch/);
+  });
+
+  it('records a content_update with history when a page changes', () => {
+    // Forget the NHS article and NICE guideline (and the feed's validators)
+    // so they are crawled again
+    const seen = readJSON(workspace, 'seen.json');
+    for (const [key, entry] of Object.entries(seen)) {
+      if (entry.source === 'nhs' || entry.url.endsWith('/ng136')) delete seen[key];
+    }
+    writeJSON(workspace, 'seen.json', seen);
+    writeJSON(workspace, 'http-cache.json', { ...readJSON(workspace, 'http-cache.json'), validators: {} });
+
+    runPoller('poll-rss.js', workspace, ['http-updated', 'http']);
+
+    const guidance = byUrl(readJSON(workspace, 'guidance.json'));
+    const history = readJSON(workspace, 'history.json');
+    const updates = Object.values(readJSON(workspace, 'changes.json')).filter(c => c.changeType === 'content_update');
+
+    assert.deepEqual(updates.map(c => c.url).sort(), [
+      'https://www.england.nhs.uk/2026/03/hypertension-case-finding/'
+    ]);
+
+    const article = guidance['https://www.england.nhs.uk/2026/03/hypertension-case-finding/'];
+    assert.match(article.content, /within 5 working days/);
+    assert.equal(updates[0].newHash, article.contentHash);
+    assert.deepEqual(updates[0].magnitude, { paragraphs: 1, characters: 22, ratio: 0.048 });
+    assert.equal(updates[0].minor, false);
+    assert.equal(history[article.id].length, 2);
+    assert.equal(history[article.id][0].hash, updates[0].previousHash);
+  });
+});
+
+describe('Revisit scheduler', () => {
+  let workspace;
+
+  // Pretend the item was last checked `days` ago
+  function backdate(url, days) {
+    const guidance = readJSON(workspace, 'guidance.json');
+    const item = Object.values(guidance).find(i => i.url === url);
+    item.lastChecked = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    writeJSON(workspace, 'guidance.json', guidance);
+  }
+
+  before(() => {
+    workspace = makeWorkspace();
+    runPoller('poll-rss.js', workspace);
+    runPoller('poll-html.js', workspace);
+  });
+
+  after(() => removeWorkspace(workspace));
+
+  it('re-crawls a seen NICE chapter once it is due and records the update', () => {
+    const url = 'https://www.nice.org.uk/guidance/ng136/chapter/Recommendations';
+    backdate(url, 8);
+    runPoller('poll-rss.js', workspace, ['http-updated', 'http']);
+
+    const updates = Object.values(readJSON(workspace, 'changes.json')).filter(c => c.changeType === 'content_update');
+    assert.deepEqual(updates.map(c => c.url), [url]);
+
+    const recs = updates[0].recommendationChanges;
+    assert.deepEqual(recs.added.map(r => r.number), ['1.1.3']);
+    assert.deepEqual(recs.reworded.map(r => r.number), ['1.1.2']);
+    assert.match(recs.reworded[0].after, /home blood pressure monitoring \(HBPM\)/);
+    assert.deepEqual(recs.removed, []);
+
+    const config = readJSON(workspace, 'config.json');
+    assert.deepEqual(config.lastRunStats.rssPollerRevisits.nice, { checked: 1, updated: 1 });
+    assert.equal(config.lastRunStats.rssPollerResults.total, 0);
+
+    const item = byUrl(readJSON(workspace, 'guidance.json'))[url];
+    assert.ok(Date.now() - Date.parse(item.lastChecked) < 60 * 60 * 1000);
+  });
+
+  it('revisits HTML listing articles even when the listing is unchanged', () => {
+    const url = 'https://www.artp.org.uk/news/170/spirometry_standards_update_2026';
+    backdate(url, 30);
+    const output = runPoller('poll-html.js', workspace, ['http-updated', 'http']);
+
+    assert.match(output, /ARTP: Listing unchanged/);
+    const updates = Object.values(readJSON(workspace, 'changes.json')).filter(c => c.changeType === 'content_update');
+    assert.ok(updates.some(c => c.url === url));
+    assert.equal(byUrl(readJSON(workspace, 'guidance.json'))[url].publishedDate, '2026-03-04');
+  });
+
+  it('leaves items alone until they are due', () => {
+    const before = readJSON(workspace, 'changes.json');
+    runPoller('poll-rss.js', workspace, ['http-updated', 'http']);
+    runPoller('poll-html.js', workspace, ['http-updated', 'http']);
+
+    assert.deepEqual(readJSON(workspace, 'changes.json'), before);
+  });
+
+  it('keeps an item due when its revisit fetch fails', () => {
+    const url = 'https://www.nice.org.uk/guidance/ng136/chapter/Recommendations';
+    backdate(url, 8);
+    const lastChecked = byUrl(readJSON(workspace, 'guidance.json'))[url].lastChecked;
+    const before = readJSON(workspace, 'changes.json');
+
+    runPoller('poll-rss.js', workspace, ['http-failing', 'http-updated', 'http']);
+    assert.equal(byUrl(readJSON(workspace, 'guidance.json'))[url].lastChecked, lastChecked);
+    assert.deepEqual(readJSON(workspace, 'changes.json'), before);
+
+    runPoller('poll-rss.js', workspace, ['http-updated', 'http']);
+    assert.notEqual(byUrl(readJSON(workspace, 'guidance.json'))[url].lastChecked, lastChecked);
+  });
+});
+
+describe('RSS poller and robots.txt', () => {
+  let workspace;
+
+  before(() => {
+    workspace = makeWorkspace();
+    runPoller('poll-rss.js', workspace, ['robots-strict', 'http']);
+  });
+
+  after(() => removeWorkspace(workspace));
+
+  it('skips pages our user agent is disallowed from', () => {
+    const guidance = byUrl(readJSON(workspace, 'guidance.json'));
+
+    assert.ok(guidance['https://www.nice.org.uk/guidance/ng136']);
+    assert.equal(guidance['https://www.nice.org.uk/guidance/ng28'], undefined);
+    assert.equal(guidance['https://www.nice.org.uk/guidance/ng28/chapter/Recommendations'], undefined);
+  });
+
+  it('caches each origin\'s robots.txt', () => {
+    const { robots } = readJSON(workspace, 'http-cache.json');
+
+    assert.deepEqual(Object.keys(robots).sort(), [
+      'https://gps.northcentrallondon.icb.nhs.uk',
+      'https://www.england.nhs.uk',
+      'https://www.nice.org.uk'
+    ]);
+    assert.match(robots['https://www.nice.org.uk'].body, /Disallow: \/guidance\/ng28/);
+  });
+});
+
+describe('RSS poller with an Atom source', () => {
+  let workspace;
+
+  before(() => {
+    workspace = makeWorkspace({
+      mhra: {
+        enabled: true,
+        type: 'rss',
+        label: 'MHRA',
+        url: 'https://www.gov.uk/drug-safety-update.atom',
+        rssOnly: true,
+        relevance: { rules: [{ id: 'safety', action: 'include', match: 'safety' }] }
+      }
+    });
+    runPoller('poll-rss.js', workspace);
+  });
+
+  after(() => removeWorkspace(workspace));
+
+  it('stores Atom entries with their id and categories', () => {
+    const guidance = Object.values(readJSON(workspace, 'guidance.json'));
+
+    assert.equal(guidance.length, 1);
+    assert.equal(guidance[0].url, 'https://www.gov.uk/drug-safety-update/valproate-reminder-of-current-pregnancy-prevention-programme-requirements');
+    assert.equal(guidance[0].publishedDate, '2026-03-20');
+    assert.match(guidance[0].content, /^Healthcare professionals should continue/);
+    assert.equal(guidance[0].metadata.guid, 'tag:www.gov.uk,2005:/drug-safety-update/valproate-reminder-of-current-pregnancy-prevention-programme-requirements');
+    assert.deepEqual(guidance[0].metadata.categories, ['Drug Safety Update']);
+  });
+});
+
+describe('HTML poller', () => {
+  let workspace;
+
+  before(() => {
+    workspace = makeWorkspace();
+    runPoller('poll-html.js', workspace);
+  });
+
+  after(() => removeWorkspace(workspace));
+
+  it('stores new articles from the listing and skips excluded titles', () => {
+    const guidance = byUrl(readJSON(workspace, 'guidance.json'));
+    const seen = byUrl(readJSON(workspace, 'seen.json'));
+
+    const article = guidance['https://www.artp.org.uk/news/170/spirometry_standards_update_2026'];
+    assert.equal(article.source, 'artp');
+    assert.equal(article.title, 'Spirometry standards update 2026');
+    assert.equal(article.publishedDate, '2026-03-04');
+    assert.match(article.content, /quality assurance of spirometry/);
+
+    assert.equal(seen['https://www.artp.org.uk/news/171/student_training_scheme_2026'], undefined);
+    assert.equal(Object.keys(guidance).length, 1);
+  });
+
+  it('fingerprints the listing page', () => {
+    const pageHashes = readJSON(workspace, 'page-hashes.json');
+
+    assert.equal(pageHashes['artp-listing'].url, 'https://www.artp.org.uk/news');
+    assert.equal(pageHashes['artp-listing'].articlesFound, 2);
+    assert.equal(pageHashes['artp-listing'].newArticlesFound, 1);
+  });
+
+  it('records a content_update when a forgotten article is crawled again', () => {
+    writeJSON(workspace, 'seen.json', {});
+    writeJSON(workspace, 'page-hashes.json', {});
+    runPoller('poll-html.js', workspace, ['http-updated', 'http']);
+
+    const changes = Object.values(readJSON(workspace, 'changes.json'));
+    assert.deepEqual(changes.map(c => c.changeType), ['new_guidance', 'content_update']);
+
+    const history = readJSON(workspace, 'history.json');
+    assert.equal(history[changes[1].guidanceId].length, 2);
+  });
+});
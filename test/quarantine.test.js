@@ -0,0 +1,52 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ROOT, makeWorkspace, removeWorkspace, runPoller, readJSON } = require('./helpers');
+
+const OFFICE_MOVE = 'https://gps.northcentrallondon.icb.nhs.uk/news/office-move';
+
+function quarantine(workspace, ...args) {
+  return execFileSync(process.execPath, [path.join(ROOT, 'scripts', 'quarantine.js'), ...args], {
+    cwd: workspace,
+    encoding: 'utf8'
+  });
+}
+
+describe('Filtered items', () => {
+  let workspace;
+  let key;
+
+  before(() => {
+    workspace = makeWorkspace();
+    runPoller('poll-rss.js', workspace);
+    key = Object.keys(readJSON(workspace, 'filtered.json'))
+      .find(k => readJSON(workspace, 'filtered.json')[k].url === OFFICE_MOVE);
+  });
+
+  after(() => removeWorkspace(workspace));
+
+  it('lists excluded items with the reason', () => {
+    const output = quarantine(workspace, '--source', 'ncl');
+    assert.match(output, new RegExp(`${key}\\n  News: Office move`));
+    assert.match(output, /no include rule matched/);
+    assert.doesNotMatch(output, /ng180/);
+  });
+
+  it('stores a promoted item on the next poll', () => {
+    assert.match(quarantine(workspace, 'promote', key), /the next poll will store it/);
+    assert.ok(readJSON(workspace, 'filtered.json')[key].promoted);
+
+    runPoller('poll-rss.js', workspace);
+
+    const stored = Object.values(readJSON(workspace, 'guidance.json')).find(item => item.url === OFFICE_MOVE);
+    assert.equal(stored.relevance.reason, 'promoted');
+    assert.equal(readJSON(workspace, 'filtered.json')[key], undefined);
+  });
+
+  it('rejects unknown keys', () => {
+    assert.throws(() => quarantine(workspace, 'promote', 'ncl:missing'), /No filtered item "ncl:missing"/);
+  });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitRecommendations, compareRecommendations } = require('../scripts/lib/recommendations');
+
+const CHAPTER = [
+  'Recommendations | Hypertension in adults',
+  'People have the right to be involved in discussions about their care.',
+  '1.1 Measuring blood pressure',
+  '1.1.1 Standardise the environment when measuring blood pressure.',
+  '1.1.2 Offer ABPM to confirm the diagnosis:',
+  'if clinic blood pressure is 140/90 mmHg or higher',
+  'unless ABPM is unsuitable.',
+  '1.2 Diagnosing hypertension',
+  'Supporting text that belongs to no recommendation.',
+  '1.2.1 Diagnose hypertension using ABPM averages.'
+].join('\n');
+
+describe('splitRecommendations', () => {
+  it('splits numbered recommendations and keeps their continuation lines', () => {
+    const recs = splitRecommendations(CHAPTER);
+
+    assert.deepEqual(recs.map(r => r.number), ['1.1.1', '1.1.2', '1.2.1']);
+    assert.equal(recs[1].text, 'Offer ABPM to confirm the diagnosis:\nif clinic blood pressure is 140/90 mmHg or higher\nunless ABPM is unsuitable.');
+    assert.equal(recs[2].text, 'Diagnose hypertension using ABPM averages.');
+    assert.match(recs[0].hash, /^[0-9a-f]{16}$/);
+  });
+
+  it('returns nothing for pages without numbered recommendations', () => {
+    assert.deepEqual(splitRecommendations('Overview\nThis guideline covers hypertension.'), []);
+  });
+});
+
+describe('compareRecommendations', () => {
+  const recs = (...pairs) => splitRecommendations(pairs.map(([n, t]) => `${n} ${t}`).join('\n'));
+
+  it('reports added, removed and reworded recommendations', () => {
+    const before = recs(['1.1.1', 'Measure.'], ['1.1.2', 'Offer ABPM.'], ['1.1.3', 'Old advice.']);
+    const after = recs(['1.1.1', 'Measure.'], ['1.1.2', 'Offer ABPM or HBPM.'], ['1.1.4', 'New advice.']);
+
+    assert.deepEqual(compareRecommendations(before, after), {
+      added: [{ number: '1.1.4', text: 'New advice.' }],
+      removed: [{ number: '1.1.3', text: 'Old advice.' }],
+      reworded: [{ number: '1.1.2', before: 'Offer ABPM.', after: 'Offer ABPM or HBPM.' }],
+      renumbered: []
+    });
+  });
+
+  it('treats unchanged text under a new number as renumbered', () => {
+    const before = recs(['1.1.1', 'Measure.'], ['1.1.2', 'Offer ABPM.']);
+    const after = recs(['1.1.1', 'Measure.'], ['1.1.2', 'Inserted advice.'], ['1.1.3', 'Offer ABPM.']);
+
+    assert.deepEqual(compareRecommendations(before, after), {
+      added: [{ number: '1.1.2', text: 'Inserted advice.' }],
+      removed: [],
+      reworded: [],
+      renumbered: [{ from: '1.1.2', to: '1.1.3' }]
+    });
+  });
+});
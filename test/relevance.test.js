@@ -0,0 +1,132 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuery, evaluateRelevance, applyPromotion, pruneFiltered, rulesFromKeywords } = require('../scripts/lib/relevance');
+const { resolveSource } = require('../scripts/lib/sources');
+
+const matches = (match, fields, extra = {}) =>
+  evaluateRelevance({ rules: [{ id: 'r', action: 'include', match, ...extra }] }, fields).included;
+
+describe('relevance queries', () => {
+  it('matches whole words, prefixes and phrases', () => {
+    assert.ok(matches('ckd', { title: 'CKD in adults' }));
+    assert.ok(!matches('ckd', { title: 'Backdrop CKDs' }));
+    assert.ok(matches('guideline*', { title: 'New guidelines published' }));
+    assert.ok(matches('"primary care"', { title: 'Primary\n  care networks' }));
+    assert.ok(!matches('"primary care"', { title: 'care in primary schools' }));
+  });
+
+  it('combines terms with AND, OR, NOT and parentheses', () => {
+    const query = '(asthma OR copd) AND NOT paediatric*';
+    assert.ok(matches(query, { title: 'COPD inhalers' }));
+    assert.ok(!matches(query, { title: 'Paediatric asthma' }));
+    assert.ok(matches('asthma inhaler*', { title: 'Asthma: inhalers' }), 'adjacent terms are ANDed');
+    assert.ok(!matches('asthma inhaler*', { title: 'Asthma review' }));
+  });
+
+  it('supports regular expressions and field scopes', () => {
+    assert.ok(matches('/\\bNG\\d+\\b/', { title: 'NG136 updated' }));
+    assert.ok(!matches('title:vaccin*', { title: 'Bulletin', description: 'Vaccination update' }));
+    assert.ok(matches('description:(vaccin* OR immunis*)', { title: 'Bulletin', description: 'Vaccination update' }));
+    assert.ok(!matches('bulletin', { title: 'Bulletin' }, { fields: ['description'] }));
+  });
+
+  it('rejects malformed queries', () => {
+    assert.throws(() => parseQuery('(asthma OR'), /ends unexpectedly/);
+    assert.throws(() => parseQuery('asthma)'), /Unexpected \)/);
+  });
+});
+
+describe('evaluateRelevance', () => {
+  const relevance = {
+    rules: [
+      { id: 'respiratory', action: 'include', match: 'asthma OR copd', weight: 2 },
+      { id: 'news', action: 'include', match: 'news' },
+      { id: 'events', action: 'exclude', match: 'webinar*', weight: 2 },
+      { id: 'jobs', action: 'exclude', match: 'vacanc*' }
+    ]
+  };
+
+  it('records the deciding rule and the text each rule matched', () => {
+    const decision = evaluateRelevance(relevance, { title: 'News: COPD audit', description: 'asthma too' });
+
+    assert.equal(decision.included, true);
+    assert.equal(decision.rule, 'respiratory');
+    assert.equal(decision.score, 3);
+    assert.deepEqual(decision.matches[0].hits, [{ field: 'description', text: 'asthma' }, { field: 'title', text: 'COPD' }]);
+  });
+
+  it('subtracts weighted exclude rules and vetoes on unweighted ones', () => {
+    const webinar = evaluateRelevance(relevance, { title: 'News: asthma webinar' });
+    assert.deepEqual([webinar.included, webinar.score], [true, 1]);
+
+    const lowScore = evaluateRelevance(relevance, { title: 'News: webinars' });
+    assert.deepEqual([lowScore.included, lowScore.reason, lowScore.rule], [false, 'below-threshold', 'events']);
+
+    const vacancy = evaluateRelevance(relevance, { title: 'Asthma nurse vacancy' });
+    assert.deepEqual([vacancy.included, vacancy.reason, vacancy.rule], [false, 'excluded', 'jobs']);
+  });
+
+  it('includes everything not excluded when there are no include rules', () => {
+    const decision = evaluateRelevance({ rules: [{ id: 'jobs', action: 'exclude', match: 'vacanc*' }] }, { title: 'Anything' });
+    assert.deepEqual([decision.included, decision.reason], [true, 'not-excluded']);
+  });
+});
+
+describe('filtered items', () => {
+  const excluded = evaluateRelevance({ rules: [{ id: 'jobs', action: 'exclude', match: 'vacanc*' }] }, { title: 'Nurse vacancy' });
+
+  it('includes promoted items, remembering the rule that excluded them', () => {
+    assert.equal(applyPromotion(excluded, { title: 'Nurse vacancy' }), excluded);
+
+    const promoted = applyPromotion(excluded, { promoted: '2026-03-01T00:00:00.000Z' });
+    assert.deepEqual([promoted.included, promoted.reason, promoted.rule, promoted.excludedBy], [true, 'promoted', null, 'jobs']);
+  });
+
+  it('drops entries no run has seen within the retention window', () => {
+    const now = Date.parse('2026-06-01T00:00:00Z');
+    const filtered = {
+      recent: { lastEvaluated: '2026-05-20T00:00:00Z' },
+      stale: { lastEvaluated: '2026-01-01T00:00:00Z' },
+      promoted: { lastEvaluated: '2026-01-01T00:00:00Z', promoted: '2026-01-02T00:00:00Z' }
+    };
+
+    assert.equal(pruneFiltered(filtered, now), 1);
+    assert.deepEqual(Object.keys(filtered), ['recent', 'promoted']);
+  });
+});
+
+describe('keyword lists', () => {
+  it('become word-prefix rules, with a trailing space meaning a whole word', () => {
+    const [include] = rulesFromKeywords({ keywords: ['infection', 'chronic kidney', 'gp '] }, ['title']);
+    assert.equal(include.match, 'infection* OR "chronic kidney*" OR gp');
+    assert.ok(matches(include.match, { title: 'Infections in GPs' }) === true);
+    assert.ok(!matches('gp', { title: 'GPs only' }));
+  });
+
+  it('replace only the default rules of the same action', () => {
+    const source = resolveSource('ncl', { type: 'rss', url: 'https://example.org/feed', keywords: ['asthma'] });
+    assert.deepEqual(source.relevance.rules.map(r => r.id), ['administration', 'keywords']);
+    assert.deepEqual(source.relevance.rules[1].fields, ['title', 'description']);
+  });
+});
+
+describe('source relevance rules', () => {
+  it('replace only the default rules of the same action', () => {
+    const source = resolveSource('ncl', {
+      type: 'rss',
+      url: 'https://example.org/feed',
+      relevance: { rules: [{ id: 'respiratory', action: 'include', match: 'asthma OR copd' }], minScore: 2 }
+    });
+    assert.deepEqual(source.relevance.rules.map(r => [r.id, r.action]), [['administration', 'exclude'], ['respiratory', 'include']]);
+    assert.equal(source.relevance.minScore, 2);
+
+    const listing = resolveSource('artp', {
+      type: 'html-listing',
+      url: 'https://example.org/news',
+      relevance: { rules: [{ id: 'events', action: 'exclude', match: 'webinar*' }] }
+    });
+    assert.deepEqual(listing.relevance.rules.map(r => r.id), ['events']);
+  });
+});
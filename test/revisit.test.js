@@ -0,0 +1,76 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseItemDate, selectDue } = require('../scripts/lib/revisit');
+const { resolveSource } = require('../scripts/lib/sources');
+const { isoDate } = require('../scripts/lib/util');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+const daysAgo = n => new Date(NOW - n * DAY).toISOString();
+
+function item(id, fields) {
+  return { id, source: 'nice', type: 'guidance', url: `https://example.org/${id}`, ...fields };
+}
+
+describe('parseItemDate', () => {
+  it('reads ISO, feed and listing dates', () => {
+    assert.equal(parseItemDate('2026-03-04'), Date.UTC(2026, 2, 4));
+    assert.equal(parseItemDate('Wed, 04 Mar 2026 00:00:00 GMT'), Date.UTC(2026, 2, 4));
+    assert.equal(parseItemDate('04/03/2026'), Date.UTC(2026, 2, 4));
+    assert.equal(parseItemDate('soon'), null);
+    assert.equal(parseItemDate(null), null);
+  });
+
+  it('normalises them to the ISO day', () => {
+    assert.equal(isoDate('Thu, 26 Mar 2026 11:56:05 +0000'), '2026-03-26');
+    assert.equal(isoDate('04/03/2026'), '2026-03-04');
+    assert.equal(isoDate('2026-03-26T23:30:00-05:00'), '2026-03-26');
+    assert.equal(isoDate('soon'), null);
+  });
+});
+
+describe('selectDue', () => {
+  const nice = resolveSource('nice', { type: 'nice-index', url: 'https://example.org' });
+
+  it('revisits guidelines weekly and recent items daily', () => {
+    const guidance = {
+      old: item('old', { publishedDate: '2024-01-01', lastChecked: daysAgo(8) }),
+      oldChecked: item('oldChecked', { publishedDate: '2024-01-01', lastChecked: daysAgo(3) }),
+      recent: item('recent', { publishedDate: daysAgo(10).split('T')[0], lastChecked: daysAgo(1.5) }),
+      recentChecked: item('recentChecked', { publishedDate: daysAgo(10).split('T')[0], lastChecked: daysAgo(0.5) })
+    };
+
+    assert.deepEqual(selectDue(guidance, nice, NOW).map(i => i.id), ['old', 'recent']);
+  });
+
+  it('falls back to fetchedDate for items never revisited', () => {
+    const guidance = { legacy: item('legacy', { publishedDate: '2024-01-01', fetchedDate: daysAgo(30) }) };
+    assert.deepEqual(selectDue(guidance, nice, NOW).map(i => i.id), ['legacy']);
+  });
+
+  it('takes the most overdue first, up to maxPerRun', () => {
+    const source = { ...nice, revisit: { ...nice.revisit, maxPerRun: 2 } };
+    const guidance = {
+      a: item('a', { publishedDate: '2024-01-01', lastChecked: daysAgo(9) }),
+      b: item('b', { publishedDate: '2024-01-01', lastChecked: daysAgo(40) }),
+      c: item('c', { publishedDate: '2024-01-01', lastChecked: daysAgo(20) })
+    };
+
+    assert.deepEqual(selectDue(guidance, source, NOW).map(i => i.id), ['b', 'c']);
+  });
+
+  it('only picks the source\'s own items, and none for RSS-only sources', () => {
+    const guidance = { other: item('other', { source: 'nhs', lastChecked: daysAgo(60) }) };
+    assert.deepEqual(selectDue(guidance, nice, NOW), []);
+
+    const ncl = resolveSource('ncl', { type: 'rss', url: 'https://example.org/rss', rssOnly: true });
+    assert.deepEqual(selectDue({ n: item('n', { source: 'ncl', lastChecked: daysAgo(60) }) }, ncl, NOW), []);
+  });
+
+  it('can be switched off per source with maxPerRun: 0', () => {
+    const source = resolveSource('nice', { type: 'nice-index', url: 'https://example.org', revisit: { maxPerRun: 0 } });
+    assert.deepEqual(selectDue({ old: item('old', { lastChecked: daysAgo(60) }) }, source, NOW), []);
+  });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRobots, isAllowed } = require('../scripts/lib/robots');
+
+const TOKEN = 'ClinicalGuidanceMonitor';
+
+describe('parseRobots', () => {
+  it('uses the groups naming our product token over the * group', () => {
+    const robots = parseRobots(`
+User-agent: *
+Disallow: /
+
+User-agent: Googlebot
+User-agent: clinicalguidancemonitor
+Disallow: /private/
+Crawl-delay: 5
+`, TOKEN);
+
+    assert.equal(isAllowed(robots, 'https://example.org/guidance/ng136'), true);
+    assert.equal(isAllowed(robots, 'https://example.org/private/page'), false);
+    assert.equal(robots.crawlDelay, 5);
+  });
+
+  it('falls back to the * group and ignores comments and empty Disallow', () => {
+    const robots = parseRobots(`# hello
+User-agent: *   # everyone
+Disallow:
+Disallow: /admin # staff only
+`, TOKEN);
+
+    assert.equal(isAllowed(robots, '/news'), true);
+    assert.equal(isAllowed(robots, '/admin/users'), false);
+    assert.equal(robots.crawlDelay, null);
+  });
+
+  it('allows everything when nothing applies', () => {
+    assert.equal(isAllowed(parseRobots('', TOKEN), '/anything'), true);
+    assert.equal(isAllowed(parseRobots('User-agent: OtherBot\nDisallow: /', TOKEN), '/anything'), true);
+  });
+});
+
+describe('isAllowed', () => {
+  const robots = parseRobots(`
+User-agent: *
+Disallow: /wp-admin/
+Allow: /wp-admin/admin-ajax.php
+Disallow: /*/print$
+Disallow: /search?
+Allow: /page
+Disallow: /page
+`, TOKEN);
+
+  it('lets the longest matching rule win', () => {
+    assert.equal(isAllowed(robots, '/wp-admin/options.php'), false);
+    assert.equal(isAllowed(robots, '/wp-admin/admin-ajax.php'), true);
+  });
+
+  it('supports * wildcards and $ anchors', () => {
+    assert.equal(isAllowed(robots, '/guidance/ng136/print'), false);
+    assert.equal(isAllowed(robots, '/guidance/ng136/print-friendly'), true);
+  });
+
+  it('matches against the query string too', () => {
+    assert.equal(isAllowed(robots, '/search?q=asthma'), false);
+    assert.equal(isAllowed(robots, '/search'), true);
+  });
+
+  it('prefers Allow when equally specific rules conflict', () => {
+    assert.equal(isAllowed(robots, '/page'), true);
+  });
+
+  it('always allows robots.txt itself', () => {
+    assert.equal(isAllowed(parseRobots('User-agent: *\nDisallow: /', TOKEN), '/robots.txt'), true);
+  });
+});
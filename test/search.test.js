@@ -0,0 +1,110 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Search = require('../js/search.js');
+
+const items = [
+  { id: 'a', title: 'Asthma in adults', content: 'Offer an inhaled corticosteroid. Review inhaler technique.' },
+  { id: 'b', title: 'Hypertension', content: 'Management of asthma is not covered. Measure blood pressure in adults.' },
+  { id: 'c', title: 'Chronic kidney disease', content: 'Monitor eGFR. Asthma guidelines are elsewhere.', metadata: { description: 'Kidney guidelines' } }
+];
+
+describe('Search text analysis', () => {
+  it('reduces words to Porter stems', () => {
+    const stems = ['guidelines', 'guideline', 'vaccinations', 'therapies', 'therapy', 'relational', 'hopping']
+      .map(Search.stem);
+    assert.deepEqual(stems, ['guidelin', 'guidelin', 'vaccin', 'therapi', 'therapi', 'relat', 'hop']);
+    assert.equal(Search.stem('ng136'), 'ng136');
+  });
+
+  it('drops stop words, accents and possessives', () => {
+    assert.deepEqual(Search.analyze('The patient’s Ménière\'s disease'), ['patient', 'menier', 'diseas']);
+    assert.deepEqual(Search.analyze('Management of asthma', { keepStopWords: true }), ['manag', 'of', 'asthma']);
+  });
+
+  it('parses words and quoted phrases', () => {
+    const parsed = Search.parseQuery('adults "management of asthma"');
+    assert.deepEqual(parsed.terms, ['adult', 'manag', 'asthma']);
+    assert.deepEqual(parsed.phrases, [{ stems: ['manag', 'of', 'asthma'], field: null }]);
+  });
+});
+
+describe('Search query operators', () => {
+  const now = new Date('2026-03-18T12:00:00Z');
+
+  it('parses filters, title scopes and exclusions', () => {
+    const parsed = Search.parseQuery('asthma source:nice,nhs -source:ncl type:chapter title:"heart failure" -webinar', now);
+    assert.deepEqual(parsed.terms, ['asthma']);
+    assert.deepEqual(parsed.titleTerms, ['heart', 'failur']);
+    assert.deepEqual(parsed.phrases, [{ stems: ['heart', 'failur'], field: 'title' }]);
+    assert.deepEqual(parsed.exclusions, [{ stems: ['webinar'], field: null }]);
+    assert.deepEqual(parsed.filters.source, { include: ['nice', 'nhs'], exclude: ['ncl'] });
+    assert.deepEqual(parsed.filters.type, { include: ['chapter'], exclude: [] });
+    assert.equal(parsed.text, 'asthma');
+  });
+
+  it('turns dates, periods and comparisons into ranges', () => {
+    assert.deepEqual(Search.parseDateRange('>2026-01-01', now), { from: '2026-01-02', to: null });
+    assert.deepEqual(Search.parseDateRange('<=2026-02', now), { from: null, to: '2026-03-01' });
+    assert.deepEqual(Search.parseDateRange('2025', now), { from: '2025-01-01', to: '2026-01-01' });
+    assert.deepEqual(Search.parseDateRange('last-7d', now), { from: '2026-03-11', to: null });
+    assert.deepEqual(Search.parseDateRange('last-1m', now), { from: '2026-02-18', to: null });
+    assert.equal(Search.parseDateRange('2026-02-30', now), null);
+  });
+
+  it('reports operator values it can\'t use', () => {
+    const parsed = Search.parseQuery('published:soon changed: kidney', now);
+    assert.equal(parsed.errors.length, 2);
+    assert.match(parsed.errors[0], /published:soon isn't a date/);
+    assert.match(parsed.errors[1], /changed: needs a value/);
+    assert.deepEqual(parsed.terms, ['kidnei']);
+  });
+
+  it('matches dates in a range, or outside it when negated', () => {
+    const range = Search.parseDateRange('2026-03', now);
+    assert.equal(Search.inDateRange('2026-03-31T23:00:00Z', range), true);
+    assert.equal(Search.inDateRange('2026-04-01', range), false);
+    assert.equal(Search.inDateRange('2026-04-01', { ...range, negated: true }), true);
+    assert.equal(Search.inDateRange(null, range), false);
+  });
+});
+
+describe('Search ranking', () => {
+  const index = Search.buildIndex(items);
+
+  it('requires every word and ranks title matches first', () => {
+    const { mode, results } = Search.rank(index, Search.parseQuery('asthma'));
+    assert.equal(mode, 'all');
+    assert.deepEqual(results.map(r => r.id), ['a', 'b', 'c']);
+    assert.equal(results[0].inTitle, true);
+
+    assert.deepEqual(Search.rank(index, Search.parseQuery('asthma adults')).results.map(r => r.id), ['a', 'b']);
+  });
+
+  it('falls back to any word when no item has them all', () => {
+    const { mode, results } = Search.rank(index, Search.parseQuery('kidney inhaler'));
+    assert.equal(mode, 'any');
+    assert.deepEqual(results.map(r => r.id).sort(), ['a', 'c']);
+  });
+
+  it('indexes descriptions with the body and matches stemmed forms', () => {
+    assert.deepEqual(Search.rank(index, Search.parseQuery('guideline')).results.map(r => r.id), ['c']);
+  });
+
+  it('limits title: words to titles and drops excluded words', () => {
+    assert.deepEqual(Search.rank(index, Search.parseQuery('title:asthma')).results.map(r => r.id), ['a']);
+    assert.deepEqual(Search.rank(index, Search.parseQuery('asthma -kidney')).results.map(r => r.id), ['a', 'b']);
+    assert.deepEqual(Search.rank(index, Search.parseQuery('-title:asthma')).results.map(r => r.id), ['b', 'c']);
+  });
+
+  it('checks phrases in order', () => {
+    const phrase = Search.parseQuery('"management of asthma"').phrases[0].stems;
+    assert.equal(Search.containsPhrase(items[1].content, phrase), true);
+    assert.equal(Search.containsPhrase('Asthma management', phrase), false);
+  });
+
+  it('ignores words that name object properties', () => {
+    assert.deepEqual(Search.rank(index, Search.parseQuery('constructor')).results, []);
+  });
+});
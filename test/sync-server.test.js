@@ -0,0 +1,116 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startSyncServer } = require('../scripts/sync-server');
+
+describe('Sync server', () => {
+  let server;
+  let dir;
+  let base;
+  const file = () => path.join(dir, 'sync.json');
+
+  const request = async (method, route, { body, user, token = 'team-secret' } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (user) headers['X-User-Id'] = user;
+    const res = await fetch(`${base}${route}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: res.status, data: res.status === 204 ? null : await res.json(), headers: res.headers };
+  };
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cgm-sync-'));
+    server = await startSyncServer({ port: 0, file: file(), token: 'team-secret' });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('requires the access token and answers CORS preflights', async () => {
+    assert.equal((await request('GET', '/sync', { token: '' })).status, 401);
+    const preflight = await request('OPTIONS', '/sync/state', { token: '' });
+    assert.equal(preflight.status, 204);
+    assert.match(preflight.headers.get('access-control-allow-headers'), /X-User-Id/);
+    assert.deepEqual((await request('GET', '/sync')).data, { ok: true, users: 0 });
+  });
+
+  it('creates users, matching an existing name', async () => {
+    const created = await request('POST', '/sync/users', { body: { name: 'Dr Patel', role: 'GP partner' } });
+    assert.equal(created.status, 201);
+    const again = await request('POST', '/sync/users', { body: { name: 'dr patel' } });
+    assert.equal(again.status, 200);
+    assert.equal(again.data.user.id, created.data.user.id);
+    assert.equal((await request('POST', '/sync/users', { body: {} })).status, 400);
+  });
+
+  it('shares read marks and reviews, and keeps saved items per user', async () => {
+    const patel = (await request('POST', '/sync/users', { body: { name: 'Dr Patel' } })).data.user.id;
+    const sam = (await request('POST', '/sync/users', { body: { name: 'Sam', role: 'Pharmacist' } })).data.user.id;
+
+    assert.equal((await request('GET', '/sync/state')).status, 401);
+    assert.deepEqual((await request('POST', '/sync/acknowledged', { user: patel, body: { ids: ['change:1:a', 'change:2:b'] } })).data, { acknowledged: 2 });
+    assert.deepEqual((await request('POST', '/sync/acknowledged', { user: sam, body: { ids: ['change:1:a'] } })).data, { acknowledged: 0 });
+
+    const review = await request('PUT', '/sync/reviews/change%3A3%3Ac', { user: sam, body: { status: 'actioned', assignee: 'Sam', note: 'Formulary updated' } });
+    assert.equal(review.data.review.updatedBy, 'Sam');
+    assert.equal((await request('PUT', '/sync/reviews/change%3A3%3Ac', { user: sam, body: { status: 'done' } })).status, 400);
+
+    await request('PUT', '/sync/saved/ng136', { user: patel });
+    await request('PUT', '/sync/saved/ng28', { user: patel });
+    await request('DELETE', '/sync/saved/ng28', { user: patel });
+
+    const state = (await request('GET', '/sync/state', { user: sam })).data;
+    assert.equal(state.user.name, 'Sam');
+    assert.deepEqual(Object.keys(state.acknowledged).sort(), ['change:1:a', 'change:2:b', 'change:3:c']);
+    assert.equal(state.acknowledged['change:1:a'].by, 'Dr Patel');
+    assert.equal(state.reviews['change:3:c'].note, 'Formulary updated');
+    assert.deepEqual(state.saved, {});
+    assert.deepEqual(Object.keys((await request('GET', '/sync/state', { user: patel })).data.saved), ['ng136']);
+
+    const stored = JSON.parse(fs.readFileSync(file(), 'utf8'));
+    assert.equal(Object.keys(stored.users).length, 2);
+    assert.ok(stored.saved[patel].ng136);
+  });
+
+  it('picks up the state file again after a restart', async () => {
+    const restarted = await startSyncServer({ port: 0, file: file(), token: 'team-secret' });
+    try {
+      const res = await fetch(`http://127.0.0.1:${restarted.address().port}/sync`, { headers: { Authorization: 'Bearer team-secret' } });
+      assert.deepEqual(await res.json(), { ok: true, users: 2 });
+    } finally {
+      restarted.close();
+    }
+  });
+
+  it('treats "__proto__" and "constructor" as ordinary ids, across restarts', async () => {
+    const sam = (await request('POST', '/sync/users', { body: { name: 'Sam' } })).data.user.id;
+    assert.deepEqual((await request('POST', '/sync/acknowledged', { user: sam, body: { ids: ['__proto__', 'constructor'] } })).data, { acknowledged: 2 });
+    assert.equal((await request('PUT', '/sync/reviews/__proto__', { user: sam, body: { status: 'not_relevant' } })).status, 200);
+    assert.equal((await request('PUT', '/sync/saved/constructor', { user: sam })).status, 200);
+    assert.equal((await request('GET', '/sync/state', { user: '__proto__' })).status, 401);
+
+    const restarted = await startSyncServer({ port: 0, file: file(), token: 'team-secret' });
+    try {
+      const res = await fetch(`http://127.0.0.1:${restarted.address().port}/sync/state`, { headers: { Authorization: 'Bearer team-secret', 'X-User-Id': sam } });
+      const state = await res.json();
+      assert.equal(state.reviews.__proto__.status, 'not_relevant');
+      assert.equal(state.acknowledged.constructor.by, 'Sam');
+      assert.deepEqual(Object.keys(state.saved), ['constructor']);
+    } finally {
+      restarted.close();
+    }
+  });
+
+  it('rejects unknown routes and methods, and malformed paths with 400', async () => {
+    assert.equal((await request('GET', '/sync/nothing')).status, 404);
+    assert.equal((await request('DELETE', '/sync/users')).status, 405);
+    assert.deepEqual((await request('PUT', '/sync/saved/%E0')).data, { error: 'Malformed path' });
+    assert.equal((await request('DELETE', '/sync/saved/%E0%A4%A')).status, 400);
+  });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { tagTopics, synonymPattern } = require('../scripts/lib/topics');
+
+const TOPICS = {
+  cardiovascular: { label: 'Cardiovascular', synonyms: ['hypertension', 'blood pressure'] },
+  neurology: { label: 'Neurology', synonyms: ["parkinson's", 'stroke'] },
+  renal: { label: 'Renal', synonyms: ['ckd'] }
+};
+
+describe('tagTopics', () => {
+  it('tags topics mentioned in the title, description or categories', () => {
+    assert.deepEqual(tagTopics({ title: 'Hypertension in adults' }, TOPICS), ['cardiovascular']);
+    assert.deepEqual(tagTopics({ title: 'Guideline', categories: ['CKD'] }, TOPICS), ['renal']);
+    assert.deepEqual(tagTopics({ title: 'Update', description: "Care in Parkinson's disease" }, TOPICS), ['neurology']);
+  });
+
+  it('needs several mentions in the body text', () => {
+    const once = 'Measure blood pressure annually.';
+    const often = 'Measure blood pressure annually. Record the blood pressure. Repeat if the blood\npressure is high.';
+
+    assert.deepEqual(tagTopics({ title: 'Annual review', content: once }, TOPICS), []);
+    assert.deepEqual(tagTopics({ title: 'Annual review', content: often }, TOPICS), ['cardiovascular']);
+  });
+
+  it('matches whole words only', () => {
+    assert.deepEqual(tagTopics({ title: 'Backstroke lessons and CKDs' }, TOPICS), []);
+  });
+});
+
+describe('synonymPattern', () => {
+  it('escapes synonyms and allows any whitespace between words', () => {
+    const pattern = new RegExp(synonymPattern(['blood pressure', 'covid-19 (acute)']), 'i');
+    assert.ok(pattern.test('high Blood  Pressure'));
+    assert.ok(pattern.test('COVID-19 (acute) rules'));
+    assert.ok(!pattern.test('post-covid-19 (acute)x'));
+  });
+});
@@ -0,0 +1,168 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { changePriority, matchesEndpoint, describeChange, FORMATS, notifyWebhooks } = require('../scripts/lib/webhooks');
+
+const config = {
+  sources: { nice: { name: 'NICE', type: 'nice-index' }, ncl: { name: 'NCL GP', type: 'rss' } },
+  topics: { respiratory: { label: 'Respiratory' } },
+  crawler: { userAgent: 'ClinicalGuidanceMonitor/1.0', contact: 'mailto:tests@example.org' }
+};
+
+const guidance = {
+  asthma: {
+    id: 'asthma', source: 'nice', title: 'Asthma <update>', url: 'https://example.org/asthma',
+    topics: ['respiratory'], metadata: { description: 'New advice on inhaled steroids.' }
+  },
+  webinar: { id: 'webinar', source: 'ncl', title: 'Webinar', url: 'https://example.org/webinar', topics: [], metadata: {} }
+};
+
+const change = (id, guidanceId, source, detectedAt, fields = {}) => ({
+  id, guidanceId, source, detectedAt, title: guidance[guidanceId].title, url: guidance[guidanceId].url, changeType: 'new_guidance', ...fields
+});
+
+const changes = {
+  a: change('a', 'asthma', 'nice', '2026-06-07T10:00:00Z'),
+  b: change('b', 'webinar', 'ncl', '2026-06-07T11:00:00Z'),
+  c: change('c', 'asthma', 'nice', '2026-06-07T12:00:00Z', {
+    changeType: 'content_update',
+    recommendationChanges: { added: [], removed: [], reworded: [{ number: '1.3.1' }], renumbered: [] }
+  }),
+  minor: change('minor', 'asthma', 'nice', '2026-06-07T13:00:00Z', { changeType: 'content_update', minor: true })
+};
+
+describe('Webhook priority and filters', () => {
+  it('rates changes by source and by what an update touched', () => {
+    assert.equal(changePriority(changes.a, config), 'high');
+    assert.equal(changePriority(changes.b, config), 'normal');
+    assert.equal(changePriority(changes.c, config), 'high');
+    assert.equal(changePriority(changes.minor, config), 'low');
+    assert.equal(changePriority({ ...changes.minor, minor: false, magnitude: { paragraphs: 1, ratio: 0.05 } }, config), 'normal');
+  });
+
+  it('filters by source, change type and minimum priority', () => {
+    const n = id => describeChange(changes[id], guidance, config);
+    assert.equal(matchesEndpoint({}, n('b')), true);
+    assert.equal(matchesEndpoint({}, n('minor')), false);
+    assert.equal(matchesEndpoint({ minPriority: 'low' }, n('minor')), true);
+    assert.equal(matchesEndpoint({ sources: ['nice'] }, n('b')), false);
+    assert.equal(matchesEndpoint({ changeTypes: ['content_update'] }, n('a')), false);
+    assert.equal(matchesEndpoint({ minPriority: 'high' }, n('c')), true);
+  });
+});
+
+describe('Webhook payloads', () => {
+  const notification = describeChange(changes.c, guidance, config);
+
+  it('builds Slack messages with escaped mrkdwn', () => {
+    const payload = FORMATS.slack(notification);
+    assert.match(payload.text, /^Updated · NICE · high priority · Respiratory: Asthma <update> https:\/\/example\.org\/asthma$/);
+    assert.equal(payload.blocks[0].text.text, '*<https://example.org/asthma|Asthma &lt;update&gt;>*\nRecommendations: 1 reworded\nNew advice on inhaled steroids.');
+  });
+
+  it('builds Teams Adaptive Cards and generic JSON', () => {
+    const card = FORMATS.teams(notification).attachments[0].content;
+    assert.equal(card.type, 'AdaptiveCard');
+    assert.equal(card.body[1].text, 'Asthma <update>');
+    assert.deepEqual(card.actions, [{ type: 'Action.OpenUrl', title: 'Open', url: 'https://example.org/asthma' }]);
+
+    const json = FORMATS.json(notification);
+    assert.equal(json.event, 'change');
+    assert.deepEqual(json.change.topics, ['Respiratory']);
+    assert.equal(json.change.priority, 'high');
+  });
+});
+
+describe('Webhook delivery', () => {
+  let server;
+  let received = [];
+  let failures = 0;         // requests still to answer with a 500
+  let base;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        if (req.url === '/gone') {
+          res.writeHead(404).end();
+          return;
+        }
+        if (failures > 0) {
+          failures--;
+          res.writeHead(500).end();
+          return;
+        }
+        received.push({ url: req.url, agent: req.headers['user-agent'], body: JSON.parse(body) });
+        res.writeHead(200).end('ok');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  const since = '2026-06-01T00:00:00Z';
+  const run = (endpoints, log, options = {}) =>
+    notifyWebhooks(changes, guidance, { ...config, webhooks: endpoints }, log, { startedAt: since, env: { HOOK_URL: `${base}/env` }, ...options });
+
+  it('posts each matching change once across runs', async () => {
+    received = [];
+    const log = {};
+    const endpoints = [{ id: 'all', format: 'json', url: `${base}/all` }, { id: 'nice', format: 'slack', urlEnv: 'HOOK_URL', sources: ['nice'] }];
+
+    const stats = await run(endpoints, log);
+    assert.deepEqual(stats, { all: { delivered: 3, failed: 0 }, nice: { delivered: 2, failed: 0 } });
+    assert.deepEqual(received.filter(r => r.url === '/all').map(r => r.body.change.id), ['a', 'b', 'c']);
+    assert.equal(received.filter(r => r.url === '/env').length, 2);
+    assert.match(received[0].agent, /^ClinicalGuidanceMonitor\/1\.0/);
+    assert.equal(log.all.deliveries.a.status, 'delivered');
+
+    await run(endpoints, log);
+    assert.equal(received.length, 5);
+  });
+
+  it('only sends a new endpoint changes from when it was added', async () => {
+    received = [];
+    const log = {};
+    await run([{ id: 'late', url: `${base}/late` }], log, { startedAt: '2026-06-07T11:30:00Z' });
+    assert.deepEqual(received.map(r => r.body.change.id), ['c']);
+    assert.equal(log.late.since, '2026-06-07T11:30:00Z');
+  });
+
+  it('retries server errors, then on the next run', async () => {
+    received = [];
+    const log = {};
+    const endpoints = [{ id: 'flaky', url: `${base}/flaky`, sources: ['ncl'], retries: 1, backoffMs: 1 }];
+
+    failures = 1;
+    assert.deepEqual(await run(endpoints, log), { flaky: { delivered: 1, failed: 0 } });
+    assert.equal(log.flaky.deliveries.b.attempts, 2);
+
+    delete log.flaky.deliveries.b;
+    failures = 2;
+    assert.deepEqual(await run(endpoints, log), { flaky: { delivered: 0, failed: 1 } });
+    assert.equal(log.flaky.deliveries.b.status, 'pending');
+
+    assert.deepEqual(await run(endpoints, log), { flaky: { delivered: 1, failed: 0 } });
+    assert.deepEqual(log.flaky.deliveries.b, { ...log.flaky.deliveries.b, status: 'delivered', attempts: 3 });
+    assert.equal(received.length, 2);
+  });
+
+  it('gives up on rejected posts and skips endpoints without a URL', async () => {
+    const log = {};
+    const stats = await run([
+      { id: 'gone', url: `${base}/gone`, sources: ['ncl'], backoffMs: 1 },
+      { id: 'unset', urlEnv: 'MISSING_URL' }
+    ], log);
+    assert.deepEqual(stats, { gone: { delivered: 0, failed: 1 } });
+    assert.deepEqual(log.gone.deliveries.b, { ...log.gone.deliveries.b, status: 'failed', attempts: 1, error: 'HTTP 404' });
+    assert.equal(log.unset, undefined);
+
+    await run([{ id: 'gone', url: `${base}/gone`, sources: ['ncl'] }], log);
+    assert.equal(log.gone.deliveries.b.attempts, 1);
+  });
+});